@@ -0,0 +1,82 @@
+const { findBrigades, getBrigadeByCapcode } = require('../shared/brigadeService');
+
+/**
+ * Azure Function to query the capcode-to-brigade directory
+ * GET /api/brigades                  - all brigades
+ * GET /api/brigades?district=&name=  - filtered list
+ * GET /api/brigades/{capcode}        - single brigade, 404 if unknown
+ * The directory is the operator's BRIGADE_DIRECTORY_PATH file (see shared/brigadeService)
+ */
+module.exports = async function (context, req) {
+    context.log('Brigades request received');
+
+    try {
+        const capcode = context.bindingData.capcode;
+
+        if (capcode) {
+            const brigade = getBrigadeByCapcode(capcode);
+
+            if (!brigade) {
+                context.res = {
+                    status: 404,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Access-Control-Allow-Origin': '*'
+                    },
+                    body: JSON.stringify({
+                        error: 'Brigade not found',
+                        message: `No brigade found for capcode ${capcode}`
+                    })
+                };
+                return;
+            }
+
+            context.res = {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Access-Control-Allow-Origin': '*',
+                    'Access-Control-Allow-Methods': 'GET',
+                    'Access-Control-Allow-Headers': 'Content-Type',
+                    'Cache-Control': 'public, max-age=3600' // The directory is only read when an instance starts
+                },
+                body: JSON.stringify(brigade)
+            };
+            return;
+        }
+
+        const query = req.query || {};
+        const brigades = findBrigades({
+            capcode: query.capcode,
+            district: query.district,
+            name: query.name
+        });
+
+        context.res = {
+            status: 200,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'GET',
+                'Access-Control-Allow-Headers': 'Content-Type',
+                'Cache-Control': 'public, max-age=3600' // The directory is only read when an instance starts
+            },
+            body: JSON.stringify(brigades)
+        };
+
+    } catch (error) {
+        context.log.error('Error querying brigade directory:', error);
+
+        context.res = {
+            status: 500,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            },
+            body: JSON.stringify({
+                error: 'Failed to query brigade directory',
+                message: error.message
+            })
+        };
+    }
+};
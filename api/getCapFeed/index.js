@@ -0,0 +1,116 @@
+const { getEmergencyIncidents } = require('../shared/feedService');
+const { parseFeedFilters } = require('../shared/feedFilters');
+const { sendFeedResponse, sendFeedUnavailable } = require('../shared/feedResponse');
+const { CAP_CONTENT_TYPE, getAlertIdentifier, serializeCapAlert, serializeCapAtomFeed } = require('../shared/formats/cap');
+const { ATOM_CONTENT_TYPE } = require('../shared/formats/rss');
+
+// The Atom index, with links to each incident's standalone alert at ?id=
+const CAP_INDEX_FORMAT = {
+    contentType: ATOM_CONTENT_TYPE,
+    serialize: (incidents, { selfUrl }) => {
+        const baseUrl = selfUrl ? selfUrl.split('?')[0] : null;
+        return serializeCapAtomFeed(incidents, {
+            selfUrl: selfUrl,
+            alertUrl: baseUrl ? identifier => `${baseUrl}?id=${encodeURIComponent(identifier)}` : null
+        });
+    }
+};
+
+// A single incident's alert
+const CAP_ALERT_FORMAT = {
+    contentType: CAP_CONTENT_TYPE,
+    serialize: incidents => serializeCapAlert(incidents[0])
+};
+
+/**
+ * Azure Function to export the merged emergency incidents as CAP 1.2 (CAP-AU profile)
+ * GET /api/cap       - Atom index with every incident's CAP alert embedded
+ * GET /api/cap?id=   - a single CAP alert by identifier
+ * Uses the same cached incidents as getEmergencyFeed, and accepts its query filters for the
+ * index (see shared/feedFilters) except since=<version>
+ * Responses carry an ETag (If-None-Match gets a 304), like the other feed endpoints
+ */
+module.exports = async function (context, req) {
+    context.log('CAP feed request received');
+
+    const { id, ...filterQuery } = req.query || {};
+    let { filters, error: filterError } = parseFeedFilters(id ? {} : filterQuery);
+    if (!filterError && filters.sinceVersion !== undefined) {
+        filterError = 'since=<version> is only available for JSON';
+    }
+    if (filterError) {
+        context.res = {
+            status: 400,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            },
+            body: JSON.stringify({
+                error: 'Invalid filter',
+                message: filterError
+            })
+        };
+        return;
+    }
+
+    try {
+        const feed = await getEmergencyIncidents(context);
+        if (!feed) {
+            sendFeedUnavailable(context, 'Emergency');
+            return;
+        }
+        const { incidents, version, fetchedAt, cacheStatus } = feed;
+
+        if (id) {
+            const incident = incidents.find(item => getAlertIdentifier(item) === id);
+            if (!incident) {
+                context.res = {
+                    status: 404,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Access-Control-Allow-Origin': '*'
+                    },
+                    body: JSON.stringify({
+                        error: 'Alert not found',
+                        message: `No current incident has identifier ${id}`
+                    })
+                };
+                return;
+            }
+
+            await sendFeedResponse(context, req, {
+                items: [incident],
+                version: version,
+                fetchedAt: fetchedAt,
+                filters: filters,
+                format: CAP_ALERT_FORMAT,
+                cacheStatus: cacheStatus
+            });
+            return;
+        }
+
+        await sendFeedResponse(context, req, {
+            items: incidents,
+            version: version,
+            fetchedAt: fetchedAt,
+            filters: filters,
+            format: CAP_INDEX_FORMAT,
+            cacheStatus: cacheStatus
+        });
+
+    } catch (error) {
+        context.log.error('Error in CAP feed handler:', error);
+
+        context.res = {
+            status: 500,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            },
+            body: JSON.stringify({
+                error: 'Failed to build CAP feed',
+                message: error.message
+            })
+        };
+    }
+};
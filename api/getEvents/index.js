@@ -0,0 +1,133 @@
+const { getFeedEvents } = require('../shared/storageService');
+const { EVENT_TYPES } = require('../shared/changeDetection');
+
+// Events returned when since is omitted
+const DEFAULT_WINDOW_MS = 24 * 60 * 60 * 1000;
+// Maximum number of events returned per request
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+/**
+ * Azure Function to list feed change events (see shared/changeDetection)
+ * GET /api/events?since=<event id or ISO time>&type=&source=&limit=
+ * Returns events oldest first; pass the last event's id as since to get the next ones.
+ * Without since, starts 24 hours ago
+ */
+module.exports = async function (context, req) {
+    context.log('Events request received');
+
+    const { options, error: queryError } = parseEventsQuery(req.query || {});
+    if (queryError) {
+        context.res = {
+            status: 400,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            },
+            body: JSON.stringify({
+                error: 'Invalid filter',
+                message: queryError
+            })
+        };
+        return;
+    }
+
+    try {
+        const events = await getFeedEvents(options);
+
+        if (!events) {
+            context.res = {
+                status: 503,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Access-Control-Allow-Origin': '*'
+                },
+                body: JSON.stringify({
+                    error: 'Events unavailable',
+                    message: 'Feed events are not being recorded'
+                })
+            };
+            return;
+        }
+
+        context.res = {
+            status: 200,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'GET',
+                'Access-Control-Allow-Headers': 'Content-Type',
+                'Cache-Control': 'no-cache'
+            },
+            body: JSON.stringify(events)
+        };
+
+    } catch (error) {
+        context.log.error('Error listing feed events:', error);
+
+        context.res = {
+            status: 500,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            },
+            body: JSON.stringify({
+                error: 'Failed to list feed events',
+                message: error.message
+            })
+        };
+    }
+};
+
+/**
+ * Parse and validate the query
+ * since is an event id (events after it) or an ISO time (events at or after it), both
+ * turned into a row key to compare with (see storageService.getFeedEvents)
+ * Returns { options } or { error }
+ */
+function parseEventsQuery(query) {
+    const splitList = value => String(value).split(',').map(part => part.trim()).filter(Boolean);
+    const options = { limit: DEFAULT_LIMIT };
+
+    if (query.since === undefined) {
+        options.after = padTime(Date.now() - DEFAULT_WINDOW_MS);
+    } else if (/^\d{15}-/.test(query.since)) {
+        options.after = query.since;
+    } else {
+        const since = Date.parse(query.since);
+        if (!/^\d{4}-\d{2}-\d{2}/.test(query.since) || isNaN(since)) {
+            return { error: 'since must be an event id or an ISO 8601 timestamp' };
+        }
+        options.after = padTime(since);
+    }
+
+    if (query.type) {
+        const typeNames = Object.values(EVENT_TYPES);
+        options.types = splitList(query.type);
+        const unknown = options.types.find(type => !typeNames.includes(type));
+        if (unknown) {
+            return { error: `type must be one of ${typeNames.join(', ')}` };
+        }
+    }
+
+    if (query.source) {
+        options.sources = splitList(query.source).map(source => source.toUpperCase());
+    }
+
+    if (query.limit !== undefined) {
+        const limit = parseInt(query.limit, 10);
+        if (!/^\d+$/.test(String(query.limit).trim()) || limit < 1) {
+            return { error: 'limit must be a positive integer' };
+        }
+        options.limit = Math.min(limit, MAX_LIMIT);
+    }
+
+    return { options };
+}
+
+/**
+ * Zero-padded milliseconds, the prefix of every event id at that time
+ */
+function padTime(time) {
+    return String(time).padStart(15, '0');
+}
@@ -0,0 +1,71 @@
+const { getMergedFeed } = require('../shared/feedService');
+const { formatSourceStatus } = require('../shared/sources');
+const { parseFeedRequest, sendFeedResponse, sendFeedUnavailable } = require('../shared/feedResponse');
+
+/**
+ * Azure Function to export the CFA pager incidents and emergency incidents together
+ * GET /api/feed.geojson - GeoJSON FeatureCollection
+ * GET /api/feed.kml     - KML placemarks styled by warning level (Google Earth)
+ * GET /api/feed.gpx     - GPX waypoints (handheld GPS units)
+ * GET /api/feed.rss, /api/feed.atom - RSS 2.0 / Atom with GeoRSS points, one item per event
+ * Formats are registered in shared/formats
+ * Accepts the same query filters as the JSON endpoints (see shared/feedFilters)
+ */
+module.exports = async function (context, req) {
+    context.log('Feed export request received');
+
+    const format = context.bindingData.format;
+    const { filters, format: feedFormat, error: filterError } = parseFeedRequest({ ...req.query, format: format });
+    if (filterError) {
+        context.res = {
+            status: 400,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            },
+            body: JSON.stringify({
+                error: 'Invalid filter',
+                message: filterError
+            })
+        };
+        return;
+    }
+
+    try {
+        const feed = await getMergedFeed(context);
+        if (!feed) {
+            sendFeedUnavailable(context, 'merged');
+            return;
+        }
+        const { items, fetchedAt, cacheStatus, sourceStatuses } = feed;
+
+        const headers = {};
+        if (sourceStatuses.length > 0) {
+            headers['X-Source-Status'] = formatSourceStatus(sourceStatuses);
+        }
+
+        await sendFeedResponse(context, req, {
+            items: items,
+            fetchedAt: fetchedAt,
+            filters: filters,
+            format: feedFormat,
+            cacheStatus: cacheStatus,
+            headers: headers
+        });
+
+    } catch (error) {
+        context.log.error('Error in feed export handler:', error);
+
+        context.res = {
+            status: 500,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            },
+            body: JSON.stringify({
+                error: 'Failed to export feed',
+                message: error.message
+            })
+        };
+    }
+};
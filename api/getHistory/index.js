@@ -0,0 +1,121 @@
+const { getIncidentHistory } = require('../shared/archiveService');
+const { parseFeedFilters, applyFeedFilters } = require('../shared/feedFilters');
+
+// Window returned when from/to are omitted
+const DEFAULT_WINDOW_MS = 24 * 60 * 60 * 1000;
+// Longest window per request; the archive query scans every version in it
+const MAX_WINDOW_MS = 31 * 24 * 60 * 60 * 1000;
+
+// Feed filters that also apply to history
+const HISTORY_FILTERS = ['source', 'bbox', 'near', 'radiusKm', 'warningLevel', 'minWarningLevel', 'type', 'limit', 'offset'];
+
+/**
+ * Azure Function to look up archived incidents (see shared/archiveService)
+ * GET /api/history?from=<ISO time>&to=<ISO time>&bbox=&source=
+ * Returns the incidents current at any point in the window (default: the last 24 hours),
+ * each as its latest version in the window with validFrom, validTo and versionCount
+ * Also accepts the near/radiusKm, warning level, type and limit/offset feed filters (see shared/feedFilters)
+ */
+module.exports = async function (context, req) {
+    context.log('History request received');
+
+    const query = req.query || {};
+    const { window, error: windowError } = parseWindow(query);
+    const filterQuery = {};
+    for (const name of HISTORY_FILTERS) {
+        if (query[name] !== undefined) filterQuery[name] = query[name];
+    }
+    const { filters, error: filterError } = windowError ? {} : parseFeedFilters(filterQuery);
+
+    if (windowError || filterError) {
+        context.res = {
+            status: 400,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            },
+            body: JSON.stringify({
+                error: 'Invalid filter',
+                message: windowError || filterError
+            })
+        };
+        return;
+    }
+
+    try {
+        const incidents = await getIncidentHistory({ ...window, sources: filters.sources });
+
+        if (!incidents) {
+            context.res = {
+                status: 503,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Access-Control-Allow-Origin': '*'
+                },
+                body: JSON.stringify({
+                    error: 'History unavailable',
+                    message: 'Incidents are not being archived'
+                })
+            };
+            return;
+        }
+
+        const { items, total } = applyFeedFilters(incidents, filters);
+
+        context.res = {
+            status: 200,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'GET',
+                'Access-Control-Allow-Headers': 'Content-Type',
+                'Access-Control-Expose-Headers': 'X-Total-Count',
+                'Cache-Control': 'no-cache',
+                'X-Total-Count': String(total)
+            },
+            body: JSON.stringify(items)
+        };
+
+    } catch (error) {
+        context.log.error('Error in history handler:', error);
+
+        context.res = {
+            status: 500,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            },
+            body: JSON.stringify({
+                error: 'Failed to fetch incident history',
+                message: error.message
+            })
+        };
+    }
+};
+
+/**
+ * Parse the from/to window, defaulting to the DEFAULT_WINDOW_MS before to (or now)
+ * Returns { window: { from, to } } or { error }
+ */
+function parseWindow(query) {
+    const times = {};
+    for (const name of ['from', 'to']) {
+        if (query[name] === undefined) continue;
+        const time = Date.parse(query[name]);
+        if (!/^\d{4}-\d{2}-\d{2}/.test(query[name]) || isNaN(time)) {
+            return { error: `${name} must be an ISO 8601 timestamp` };
+        }
+        times[name] = time;
+    }
+
+    const to = times.to !== undefined ? times.to : Date.now();
+    const from = times.from !== undefined ? times.from : to - DEFAULT_WINDOW_MS;
+
+    if (from > to) {
+        return { error: 'from must be before to' };
+    }
+    if (to - from > MAX_WINDOW_MS) {
+        return { error: 'from and to must be at most 31 days apart' };
+    }
+    return { window: { from: new Date(from), to: new Date(to) } };
+}
@@ -0,0 +1,85 @@
+const { getRejectedItems } = require('../shared/storageService');
+const { REJECTION_REASONS, RETENTION_MS } = require('../shared/rejectedItemService');
+const { CFA_FEED_TYPE } = require('../shared/feedService');
+const { getAllSources } = require('../shared/sources');
+
+// Items returned per request, unless limit= asks for fewer or more (up to MAX_LIMIT)
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+/**
+ * Azure Function to list feed items the parsers rejected
+ * GET /api/diagnostics/rejected                               - most recent 100 rejected items
+ * GET /api/diagnostics/rejected?source=&reason=&since=&limit= - filtered list
+ * since is an ISO time; items are kept for RETENTION_MS (see shared/rejectedItemService)
+ * Used to find message formats the location and RSS parsers don't handle yet
+ */
+module.exports = async function (context, req) {
+    context.log('Rejected items request received');
+
+    try {
+        const query = req.query || {};
+        const reason = query.reason ? query.reason.toUpperCase() : undefined;
+        const limitValid = query.limit === undefined || /^\d+$/.test(String(query.limit).trim()) && parseInt(query.limit, 10) >= 1;
+        const limit = query.limit === undefined ? DEFAULT_LIMIT : Math.min(parseInt(query.limit, 10), MAX_LIMIT);
+        const since = query.since ? new Date(query.since) : new Date(Date.now() - RETENTION_MS);
+
+        let invalid = null;
+        if (reason && !REJECTION_REASONS[reason]) {
+            invalid = {
+                error: 'Invalid reason',
+                message: `reason must be one of ${Object.keys(REJECTION_REASONS).join(', ')}`
+            };
+        } else if (isNaN(since.getTime())) {
+            invalid = { error: 'Invalid since', message: 'since must be an ISO time' };
+        } else if (!limitValid) {
+            invalid = { error: 'Invalid limit', message: 'limit must be a positive integer' };
+        }
+
+        if (invalid) {
+            context.res = {
+                status: 400,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Access-Control-Allow-Origin': '*'
+                },
+                body: JSON.stringify(invalid)
+            };
+            return;
+        }
+
+        // Items are partitioned by source, so each source is its own query
+        const sources = query.source
+            ? [query.source.toUpperCase()]
+            : [CFA_FEED_TYPE, ...getAllSources().map(source => source.id)];
+
+        const items = await getRejectedItems({ sources, since, reason, limit });
+
+        context.res = {
+            status: 200,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'GET',
+                'Access-Control-Allow-Headers': 'Content-Type',
+                'Cache-Control': 'no-store'
+            },
+            body: JSON.stringify(items)
+        };
+
+    } catch (error) {
+        context.log.error('Error listing rejected items:', error);
+
+        context.res = {
+            status: 500,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            },
+            body: JSON.stringify({
+                error: 'Failed to list rejected items',
+                message: error.message
+            })
+        };
+    }
+};
@@ -0,0 +1,194 @@
+const { CFA_FEED_TYPE, EMERGENCY_FEED_TYPE, getCFAAlerts, getEmergencyIncidents } = require('../shared/feedService');
+const { getCachedFeedEntry, getCachedFeedVersion } = require('../shared/storageService');
+const { buildDelta } = require('../shared/feedDiff');
+
+// Functions buffer HTTP responses, so the stream is served as a series of windows: each
+// response waits up to STREAM_WINDOW_MS for a change, and EventSource reconnects after it
+const STREAM_WINDOW_MS = 25 * 1000;
+const POLL_INTERVAL_MS = 5 * 1000;
+const RECONNECT_MS = 1000;
+
+// Feeds on the stream and the name each is given in events and the cursor
+const STREAM_FEEDS = [
+    { feedType: CFA_FEED_TYPE, name: 'cfa' },
+    { feedType: EMERGENCY_FEED_TYPE, name: 'emergency' }
+];
+
+/**
+ * Azure Function serving live incident changes as Server-Sent Events
+ * GET /api/stream?cfa=<version>&emergency=<version>
+ * Events (data is JSON):
+ *   incident.added / incident.updated  { feed: 'cfa' | 'emergency', item }
+ *   incident.removed                   { feed, id }
+ *   feed.reset                         { feed } - the version is too old to diff; reload the feed
+ *   sync                               { versions: { cfa, emergency } } - ends each window
+ * The sync event's id is the cursor ("cfa:<version>,emergency:<version>"), which EventSource
+ * sends back as Last-Event-ID on reconnect; the query parameters give the first cursor
+ */
+module.exports = async function (context, req) {
+    context.log('Stream request received');
+
+    const headers = (req && req.headers) || {};
+    const cursor = parseCursor(headers['last-event-id'], req.query || {});
+
+    try {
+        const started = Date.now();
+        let { events, versions } = await collectChanges(cursor, context);
+
+        if (Object.values(versions).some(version => !version)) {
+            // Without storage there are no versions to diff; clients keep polling instead
+            context.res = {
+                status: 503,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Access-Control-Allow-Origin': '*'
+                },
+                body: JSON.stringify({
+                    error: 'Stream unavailable',
+                    message: 'Feed versions are not being recorded'
+                })
+            };
+            return;
+        }
+
+        // Poll the cached feeds' versions until something changes or the window ends
+        while (events.length === 0 && Date.now() - started + POLL_INTERVAL_MS <= STREAM_WINDOW_MS) {
+            await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+            ({ events, versions } = await collectChanges(cursor, context));
+        }
+
+        events.push({ id: formatCursor(cursor), event: 'sync', data: { versions: { ...cursor } } });
+        context.log(`Stream window closing with ${events.length - 1} changes`);
+
+        context.res = {
+            status: 200,
+            headers: {
+                'Content-Type': 'text/event-stream; charset=utf-8',
+                'Cache-Control': 'no-cache',
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'GET',
+                'Access-Control-Allow-Headers': 'Content-Type, Last-Event-ID'
+            },
+            body: `retry: ${RECONNECT_MS}\n\n` + events.map(formatEvent).join('')
+        };
+
+    } catch (error) {
+        context.log.error('Error in stream handler:', error);
+
+        context.res = {
+            status: 500,
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            },
+            body: JSON.stringify({
+                error: 'Failed to stream incident changes',
+                message: error.message
+            })
+        };
+    }
+};
+
+/**
+ * Turn what changed in each feed since the cursor into events
+ * Only the cached version is read on each poll; a feed's items are loaded when its version
+ * has moved on from the cursor (or it has never been cached, see loadFeed)
+ * Advances the cursor; a feed with no cursor version starts from its current version
+ * Returns { events, versions }
+ */
+async function collectChanges(cursor, context) {
+    const events = [];
+    const versions = {};
+
+    for (const feed of STREAM_FEEDS) {
+        const since = cursor[feed.name];
+        let version = await getCachedFeedVersion(feed.feedType);
+        let items = null;
+        if (!version) {
+            ({ items, version } = await loadFeed(feed.feedType, context));
+        }
+        versions[feed.name] = version;
+
+        if (!version) {
+            continue;
+        }
+        if (!since || since === version) {
+            cursor[feed.name] = version;
+            continue;
+        }
+
+        if (!items) {
+            // The feed may have been re-cached since its version was read
+            ({ items, version } = await loadFeed(feed.feedType, context));
+            versions[feed.name] = version;
+            if (!version) {
+                continue;
+            }
+        }
+
+        const delta = await buildDelta(feed.feedType, since, version, items);
+        if (!delta) {
+            events.push({ event: 'feed.reset', data: { feed: feed.name } });
+        } else {
+            delta.added.forEach(item => events.push({ event: 'incident.added', data: { feed: feed.name, item } }));
+            delta.updated.forEach(item => events.push({ event: 'incident.updated', data: { feed: feed.name, item } }));
+            delta.removed.forEach(id => events.push({ event: 'incident.removed', data: { feed: feed.name, id } }));
+        }
+        cursor[feed.name] = version;
+    }
+
+    return { events, versions };
+}
+
+/**
+ * Current items and version of a feed, from cache
+ * Falls back to reading the cache directly if that fails (e.g. the first fetch, before ingestion
+ * has run), so one feed's outage doesn't end the stream
+ */
+async function loadFeed(feedType, context) {
+    try {
+        if (feedType === CFA_FEED_TYPE) {
+            const feed = await getCFAAlerts(context);
+            if (feed) return { items: feed.alerts, version: feed.version };
+        } else {
+            const feed = await getEmergencyIncidents(context);
+            if (feed) return { items: feed.incidents, version: feed.version };
+        }
+    } catch (error) {
+        context.log.warn(`Stream: failed to fetch ${feedType} feed, using cache - ${error.message}`);
+    }
+    const cached = await getCachedFeedEntry(feedType, { allowStale: true });
+    return cached ? { items: cached.data, version: cached.version } : { items: [], version: null };
+}
+
+/**
+ * Read the cursor from Last-Event-ID ("cfa:<version>,emergency:<version>"),
+ * falling back to the cfa/emergency query parameters
+ */
+function parseCursor(lastEventId, query) {
+    const cursor = {};
+    for (const part of String(lastEventId || '').split(',')) {
+        const [name, version] = part.split(':');
+        if (/^\d+$/.test(version || '')) {
+            cursor[name] = parseInt(version, 10);
+        }
+    }
+
+    for (const feed of STREAM_FEEDS) {
+        if (cursor[feed.name] === undefined && /^\d+$/.test(query[feed.name] || '')) {
+            cursor[feed.name] = parseInt(query[feed.name], 10);
+        }
+    }
+    return cursor;
+}
+
+function formatCursor(cursor) {
+    return STREAM_FEEDS.map(feed => `${feed.name}:${cursor[feed.name]}`).join(',');
+}
+
+/**
+ * Format an event in the text/event-stream format
+ */
+function formatEvent({ id, event, data }) {
+    return (id ? `id: ${id}\n` : '') + `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
@@ -0,0 +1,21 @@
+const { ingestDueFeeds } = require('../shared/ingestionService');
+
+/**
+ * Azure Function (timer, once a minute) that ingests the upstream feeds into FeedCache
+ * Each feed is only fetched when its own interval is due (see shared/ingestionService), so
+ * user requests never wait on upstream fetches or geocoding
+ * Once a minute is as often as the upstream feeds should be polled (the CFA pager feed on
+ * mazzanet asks for no more than one request a minute), so don't shorten the schedule
+ */
+module.exports = async function (context, timer) {
+    if (timer && timer.isPastDue) {
+        context.log.warn('Ingestion timer is running late');
+    }
+
+    const results = await ingestDueFeeds(context);
+
+    for (const result of results) {
+        const outcome = result.ok ? 'ok' : `failed - ${result.error}`;
+        context.log(`Ingestion: ${result.id} ${outcome} (${result.durationMs}ms)`);
+    }
+};
@@ -0,0 +1,51 @@
+/**
+ * Record a snapshot of each upstream feed into test/fixtures/feeds, for the parser and adapter tests
+ * Usage: npm run record-fixtures [-- <name> ...]   (e.g. -- emergency-vic nsw-rfs-major-incidents)
+ * Each snapshot is saved as <name>-<UTC time>.<ext>; the tests pick up every file of a feed, so a
+ * recorded snapshot is checked alongside the samples. Feed URLs follow the same app settings as
+ * the sources (e.g. EMERGENCY_VIC_FEED_URL).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fetchFeedText } = require('../shared/sources/fetchFeed');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'test', 'fixtures', 'feeds');
+
+const JSON_ACCEPT = 'application/geo+json, application/json, */*';
+
+const FEEDS = [
+    { name: 'emergency-vic', ext: 'xml', url: process.env.EMERGENCY_VIC_FEED_URL || 'https://data.emergency.vic.gov.au/Show?pageId=getIncidentRSS' },
+    { name: 'vic-warnings', ext: 'json', accept: JSON_ACCEPT, url: process.env.EMERGENCY_VIC_WARNINGS_URL || 'https://emergency.vic.gov.au/public/events-geojson.json' },
+    { name: 'nsw-rfs-major-incidents', ext: 'xml', url: 'https://www.rfs.nsw.gov.au/feeds/majorIncidents.xml' },
+    { name: 'nsw-rfs-major-incidents', ext: 'json', accept: JSON_ACCEPT, url: process.env.NSW_RFS_FEED_URL || 'https://www.rfs.nsw.gov.au/feeds/majorIncidents.json' },
+    { name: 'cfa-pager', ext: 'html', accept: 'text/html, */*', url: process.env.CFA_FEED_URL || 'https://www.mazzanet.net.au/cfa/pager-cfa.php' },
+    { name: 'sa-cfs', ext: 'json', accept: JSON_ACCEPT, url: process.env.SA_CFS_FEED_URL || 'https://data.eso.sa.gov.au/prod/cfs/criimson/cfs_current_incidents.json' },
+    { name: 'qld-fire', ext: 'json', accept: JSON_ACCEPT, url: process.env.QLD_FIRE_FEED_URL || 'https://publiccontent-gis-psba-qld-gov-au.s3.amazonaws.com/content/Feeds/BushfireCurrentIncidents/bushfireAlert.json' },
+    { name: 'tas-alert', ext: 'json', accept: JSON_ACCEPT, url: process.env.TAS_ALERT_FEED_URL || 'https://alert.tas.gov.au/data/data.geojson' },
+    { name: 'act-esa', ext: 'xml', url: process.env.ACT_ESA_FEED_URL || 'https://www.esa.act.gov.au/feeds/currentincidents.xml' }
+];
+
+async function main() {
+    const names = process.argv.slice(2);
+    const feeds = names.length > 0 ? FEEDS.filter(feed => names.includes(feed.name)) : FEEDS;
+    const recordedAt = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, 'Z');
+    let failed = 0;
+
+    // One at a time, and once each: these are public services
+    for (const feed of feeds) {
+        try {
+            const text = await fetchFeedText(feed.url, feed.accept ? { accept: feed.accept } : {});
+            const file = path.join(FIXTURES_DIR, `${feed.name}-${recordedAt}.${feed.ext}`);
+            fs.writeFileSync(file, text);
+            console.log(`${feed.name}: ${text.length} characters -> ${path.relative(process.cwd(), file)}`);
+        } catch (error) {
+            failed++;
+            console.error(`${feed.name}: ${error.message} (${feed.url})`);
+        }
+    }
+
+    process.exitCode = failed > 0 ? 1 : 0;
+}
+
+main();
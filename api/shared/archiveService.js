@@ -0,0 +1,98 @@
+/**
+ * Archive Service
+ * Keeps every version of every incident in the IncidentArchive table, so past incidents can be
+ * looked up after they've left the feeds (see /api/history)
+ * Each version is current from when it was first fetched until a changed version replaces it
+ * or the incident leaves the feed; unchanged incidents aren't written again on each refresh
+ */
+
+const { archiveIncidentVersions, getArchivedIncidents } = require('./storageService');
+const { buildFingerprints, diffItems } = require('./feedDiff');
+
+/**
+ * Archive what changed between a feed's previously cached items and its new items
+ * feedType is the source for items without one (CFA pager items); observedAt is the fetch time
+ * Items missing because their source failed to fetch (failedSources) are left open
+ */
+async function archiveFeedChanges(feedType, previousItems, items, observedAt, { failedSources = [], context = null } = {}) {
+    const { added, updated, removed } = diffItems(buildFingerprints(previousItems || []), items);
+    const getSource = item => item.source || feedType;
+
+    // Writes are grouped by source, the archive's partition (see archiveIncidentVersions)
+    const changes = new Map();
+    const changesFor = source => {
+        if (!changes.has(source)) {
+            changes.set(source, { stored: [], closedIds: [] });
+        }
+        return changes.get(source);
+    };
+
+    // New items close any open version too, in case the previous cache was lost
+    for (const item of added.concat(updated)) {
+        changesFor(getSource(item)).stored.push(item);
+    }
+
+    const previousById = new Map((previousItems || []).map(item => [item.id, item]));
+    for (const id of removed) {
+        const source = getSource(previousById.get(id));
+        if (!failedSources.includes(source)) {
+            changesFor(source).closedIds.push(id);
+        }
+    }
+
+    for (const [source, { stored, closedIds }] of changes) {
+        await archiveIncidentVersions(source, stored, closedIds, observedAt);
+    }
+
+    if (context && (added.length || updated.length || removed.length)) {
+        context.log(`Archived ${feedType}: ${added.length} added, ${updated.length} updated, ${removed.length} closed`);
+    }
+}
+
+/**
+ * Incidents current at any point between from and to, optionally from some sources only
+ * Returns one item per incident (its latest version in the window) with source set and
+ * validFrom/validTo covering its versions in the window (validTo null while still current),
+ * or null if the archive is unavailable
+ */
+async function getIncidentHistory({ from, to, sources }) {
+    const versions = await getArchivedIncidents({ from, to, sources });
+    if (!versions) {
+        return null;
+    }
+
+    const incidents = new Map();
+    for (const version of versions) {
+        const key = `${version.source}|${version.item.id}`;
+        const incident = incidents.get(key);
+
+        if (!incident) {
+            incidents.set(key, { latest: version, validFrom: version.validFrom, validTo: version.validTo, versionCount: 1 });
+            continue;
+        }
+
+        incident.versionCount++;
+        if (version.validFrom > incident.latest.validFrom) {
+            incident.latest = version;
+        }
+        if (version.validFrom < incident.validFrom) {
+            incident.validFrom = version.validFrom;
+        }
+        if (incident.validTo !== null && (version.validTo === null || version.validTo > incident.validTo)) {
+            incident.validTo = version.validTo;
+        }
+    }
+
+    return Array.from(incidents.values()).map(incident => ({
+        ...incident.latest.item,
+        source: incident.latest.source,
+        validFrom: incident.validFrom,
+        validTo: incident.validTo,
+        versionCount: incident.versionCount
+    }));
+}
+
+module.exports = {
+    archiveFeedChanges,
+    getIncidentHistory
+};
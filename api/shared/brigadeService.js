@@ -0,0 +1,136 @@
+/**
+ * Brigade Directory Service
+ * Maps CFA pager capcodes to brigade name, district and station location
+ * The directory is supplied by the operator as a JSON file named by the BRIGADE_DIRECTORY_PATH
+ * app setting; without one, the empty data/brigades.json is used and capcodes stay unresolved
+ */
+
+const fs = require('fs');
+
+// Empty directory showing the file's shape: { brigades: [{ capcode, brigade, group, district, stationAddress, coordinates }] }
+const EMPTY_DIRECTORY_PATH = require.resolve('./data/brigades.json');
+
+// Directory and lookup index, loaded on first use
+let directoryData = null;
+let brigadesByCapcode = null;
+
+/**
+ * Load (once) and return the directory
+ * A file that can't be read or parsed is logged and treated as an empty directory, so alerts
+ * still load with bare capcodes
+ */
+function getDirectory() {
+    if (!directoryData) {
+        const path = process.env.BRIGADE_DIRECTORY_PATH || EMPTY_DIRECTORY_PATH;
+        try {
+            const data = JSON.parse(fs.readFileSync(path, 'utf8'));
+            directoryData = { brigades: Array.isArray(data.brigades) ? data.brigades : [] };
+        } catch (error) {
+            console.error(`Failed to load brigade directory ${path}:`, error.message);
+            directoryData = { brigades: [] };
+        }
+    }
+    return directoryData;
+}
+
+/**
+ * Normalize a capcode for lookup
+ * Feed capcodes are zero-padded digits, but may arrive with spaces or without padding
+ */
+function normalizeCapcode(capcode) {
+    if (!capcode) return '';
+
+    const digits = String(capcode).replace(/\D/g, '');
+    if (!digits) return '';
+
+    return digits.padStart(7, '0');
+}
+
+/**
+ * Build (once) and return the capcode lookup index
+ */
+function getIndex() {
+    if (!brigadesByCapcode) {
+        brigadesByCapcode = new Map();
+        for (const entry of getDirectory().brigades) {
+            brigadesByCapcode.set(normalizeCapcode(entry.capcode), entry);
+        }
+    }
+    return brigadesByCapcode;
+}
+
+/**
+ * Get all brigades in the directory
+ */
+function getAllBrigades() {
+    return getDirectory().brigades.slice();
+}
+
+/**
+ * Look up a brigade by capcode
+ * Returns null when the capcode isn't in the directory
+ */
+function getBrigadeByCapcode(capcode) {
+    const key = normalizeCapcode(capcode);
+    if (!key) return null;
+
+    return getIndex().get(key) || null;
+}
+
+/**
+ * Search the directory
+ * Supports capcode (exact), district (exact, case-insensitive) and name (partial, case-insensitive)
+ */
+function findBrigades({ capcode, district, name } = {}) {
+    let results = getAllBrigades();
+
+    if (capcode) {
+        const key = normalizeCapcode(capcode);
+        results = results.filter(entry => normalizeCapcode(entry.capcode) === key);
+    }
+
+    if (district) {
+        const districtUpper = district.toUpperCase();
+        results = results.filter(entry => (entry.district || '').toUpperCase() === districtUpper);
+    }
+
+    if (name) {
+        const nameUpper = name.toUpperCase();
+        results = results.filter(entry => (entry.brigade || '').toUpperCase().includes(nameUpper));
+    }
+
+    return results;
+}
+
+/**
+ * Summarise the brigades paged by a set of capcodes for inclusion in alert JSON
+ * Unknown capcodes are kept with a null brigade so the UI can fall back to the number
+ */
+function describePagedBrigades(capcodes) {
+    const seen = new Set();
+    const paged = [];
+
+    for (const capcode of capcodes || []) {
+        const key = normalizeCapcode(capcode);
+        if (!key || seen.has(key)) continue;
+        seen.add(key);
+
+        const entry = getBrigadeByCapcode(key);
+        paged.push({
+            capcode: capcode,
+            brigade: entry ? entry.brigade : null,
+            district: entry ? entry.district : null,
+            coordinates: entry ? entry.coordinates : null
+        });
+    }
+
+    return paged;
+}
+
+module.exports = {
+    normalizeCapcode,
+    getAllBrigades,
+    getBrigadeByCapcode,
+    findBrigades,
+    describePagedBrigades
+};
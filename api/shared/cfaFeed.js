@@ -0,0 +1,693 @@
+/**
+ * CFA Pager Feed
+ * Fetches the CFA pager feed and parses it into threaded incidents, with the dispatch
+ * fields, brigades and location extracted from each incident's messages
+ */
+
+// Using node-fetch v2 for compatibility with CommonJS modules in Azure Functions
+// Note: Could migrate to native fetch API in Node.js 18+ or node-fetch v3 (ESM) in future
+const fetch = require('node-fetch');
+const { describePagedBrigades } = require('./brigadeService');
+const { parseFeedTimestamp, TIME_ZONES } = require('./timestampService');
+
+const CFA_FEED_URL = process.env.CFA_FEED_URL || 'https://www.mazzanet.net.au/cfa/pager-cfa.php';
+
+/**
+ * Fetch the pager feed and parse it into incidents
+ */
+async function fetchCFAFeed(context) {
+    const response = await fetch(CFA_FEED_URL, {
+        headers: {
+            'User-Agent': 'CFA-Location-Finder/1.0'
+        },
+        timeout: 10000
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const feedText = await response.text();
+    
+    // Parse the feed into threaded incidents
+    const alerts = parseCFAFeed(feedText);
+    context.log(`Parsed ${alerts.length} CFA incidents from feed`);
+    return alerts;
+}
+
+/**
+ * Parse CFA feed data
+ * The actual feed is an HTML table with alerts
+ * Messages sharing an F-number are threaded into a single incident with a message timeline
+ */
+function parseCFAFeed(feedText) {
+    const messages = [];
+    
+    // Parse HTML table rows: <tr><td class='capcode'>...</td><td class='timestamp'>...</td><td>...</td></tr>
+    const rowRegex = /<tr><td class='capcode'>([^<]*)<\/td><td class='timestamp'>([^<]*)<\/td><td>([\s\S]*?)<\/td><\/tr>/gi;
+    
+    let match;
+    while ((match = rowRegex.exec(feedText)) !== null) {
+        const capcode = match[1].trim();
+        const timestamp = match[2].trim();
+        const messageHtml = match[3];
+        
+        // Extract the text content from the span, removing HTML tags
+        const message = stripHTML(messageHtml);
+        
+        // Skip warning messages about scraping
+        if (message.includes('STOP SCRAPING')) {
+            continue;
+        }
+        
+        // Extract incident number used to thread messages together
+        const incidentMatch = message.match(/F\d{9}/);
+        const incidentId = incidentMatch ? incidentMatch[0] : null;
+        
+        // Dispatches are @@ALERT messages; anything else only matters if it reports
+        // a status change (STOP, UNDER CONTROL, SAFE...) for a known F-number
+        const isAlert = message.includes('@@ALERT');
+        const status = isAlert ? 'ALERT' : getMessageStatus(message);
+        if (!isAlert && (!status || !incidentId)) {
+            continue;
+        }
+        
+        messages.push({
+            capcode: capcode,
+            // Parse timestamp: "HH:MM:SS YYYY-MM-DD"
+            timestamp: parseTimestamp(timestamp),
+            message: message.replace('@@ALERT ', '').trim(),
+            incidentId: incidentId,
+            status: status
+        });
+    }
+    
+    return groupMessagesIntoIncidents(messages);
+}
+
+// Status keywords recognised in non-dispatch pager messages, most specific first,
+// and the incident state each one moves the incident into
+const STATUS_STATES = {
+    'NOT REQUIRED': 'closed',
+    'UNDER CONTROL': 'contained',
+    'SAFE': 'closed',
+    'STOP': 'contained',
+    'RETURNING': 'closed',
+    'ALERT': 'active'
+};
+
+/**
+ * Determine the status a non-dispatch pager message reports
+ * Returns the matched keyword, or null if the message isn't a status update
+ */
+function getMessageStatus(message) {
+    for (const keyword of Object.keys(STATUS_STATES)) {
+        if (keyword !== 'ALERT' && new RegExp(`\\b${keyword}\\b`).test(message)) {
+            return keyword;
+        }
+    }
+    return null;
+}
+
+/**
+ * Build the list of status transitions for a message timeline
+ * A transition is recorded whenever the reported status changes; a fresh @@ALERT after a
+ * STOP (e.g. a flare-up) moves the incident back to active
+ */
+function buildStatusTransitions(timeline) {
+    const transitions = [];
+    let previous = null;
+    
+    for (const item of timeline) {
+        if (item.status === previous) continue;
+        
+        transitions.push({
+            timestamp: item.timestamp,
+            from: previous,
+            to: item.status,
+            state: STATUS_STATES[item.status]
+        });
+        previous = item.status;
+    }
+    
+    return transitions;
+}
+
+/**
+ * Group parsed pager messages into incidents
+ * - Messages with the same F-number share one incident; messages without one stand alone
+ * - The same text paged to several capcodes at once becomes a single timeline entry
+ * - Location and dispatch fields come from the latest dispatch that has a usable location,
+ *   so a changed address in an update replaces the original one
+ * - Status messages set the incident's status, derived state (active/contained/closed)
+ *   and transition history
+ */
+function groupMessagesIntoIncidents(messages) {
+    const threads = new Map(); // incidentId (or unique key) -> messages
+    
+    messages.forEach((entry, index) => {
+        const key = entry.incidentId || `message-${index}`;
+        if (!threads.has(key)) {
+            threads.set(key, []);
+        }
+        threads.get(key).push(entry);
+    });
+    
+    const incidents = [];
+    
+    for (const threadMessages of threads.values()) {
+        // Chronological timeline (stable sort keeps feed order for identical times)
+        // Status messages for an incident whose dispatch isn't in the feed have nothing to attach to
+        if (!threadMessages.some(entry => entry.status === 'ALERT')) {
+            continue;
+        }
+        
+        const sorted = threadMessages
+            .slice()
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        
+        const timeline = [];
+        const capcodes = [];
+        for (const entry of sorted) {
+            if (!capcodes.includes(entry.capcode)) {
+                capcodes.push(entry.capcode);
+            }
+            
+            const existing = timeline.find(item => item.message === entry.message && item.timestamp === entry.timestamp);
+            if (existing) {
+                if (!existing.capcodes.includes(entry.capcode)) {
+                    existing.capcodes.push(entry.capcode);
+                }
+                continue;
+            }
+            
+            timeline.push({
+                timestamp: entry.timestamp,
+                message: entry.message,
+                status: entry.status,
+                capcodes: [entry.capcode]
+            });
+        }
+        
+        const first = timeline[0];
+        const latest = timeline[timeline.length - 1];
+        const latestDispatch = timeline.filter(item => item.status === 'ALERT').pop();
+        const transitions = buildStatusTransitions(timeline);
+        
+        // Prefer the most recent dispatch that still carries a location
+        let locationSource = latestDispatch;
+        let locationMatch = null;
+        for (let i = timeline.length - 1; i >= 0; i--) {
+            if (timeline[i].status !== 'ALERT') continue;
+            locationMatch = extractLocation(timeline[i].message);
+            if (locationMatch) {
+                locationSource = timeline[i];
+                break;
+            }
+        }
+        
+        // Break the message into structured dispatch fields
+        const fields = parseMessageFields(locationSource.message);
+        
+        // Units accumulate across the thread as extra appliances and strike teams are paged
+        const units = [];
+        for (const item of timeline) {
+            for (const unit of parseMessageFields(item.message).units) {
+                if (!units.includes(unit)) {
+                    units.push(unit);
+                }
+            }
+        }
+        
+        incidents.push({
+            message: latestDispatch.message,
+            timestamp: latest.timestamp,
+            reportedAt: first.timestamp,
+            updatedAt: latest.timestamp,
+            firstSeen: first.timestamp,
+            lastSeen: latest.timestamp,
+            status: latest.status,
+            state: STATUS_STATES[latest.status],
+            transitions: transitions,
+            location: locationMatch ? locationMatch.text : null,
+            locationMatch: locationMatch ? {
+                pattern: locationMatch.pattern,
+                patternName: locationMatch.patternName,
+                streetNumber: locationMatch.streetNumber,
+                street: locationMatch.street,
+                suburb: locationMatch.suburb,
+                confidence: locationMatch.confidence
+            } : null,
+            coordinates: null,
+            incidentId: sorted[0].incidentId,
+            capcode: first.capcodes[0],
+            capcodes: capcodes,
+            brigades: describePagedBrigades(capcodes),
+            incidentType: fields.incidentType,
+            incidentTypeDescription: fields.incidentTypeDescription,
+            responseCode: fields.responseCode,
+            address: fields.address,
+            crossStreets: fields.crossStreets,
+            mapReference: fields.mapReference,
+            units: units,
+            messages: timeline
+        });
+    }
+    
+    // Most recently active incidents first
+    incidents.sort((a, b) => new Date(b.lastSeen) - new Date(a.lastSeen));
+    
+    return incidents;
+}
+
+/**
+ * Parse CFA timestamp format: "HH:MM:SS YYYY-MM-DD"
+ * Note: CFA timestamps are Melbourne local time, so AEST or AEDT depending on the date
+ */
+function parseTimestamp(timestamp) {
+    // Fallback to current time
+    return parseFeedTimestamp(timestamp, TIME_ZONES.VIC) || new Date().toISOString();
+}
+
+// Common words to filter out when extracting location names
+const NON_LOCATION_KEYWORDS = [
+    'FIRE', 'GRASS', 'HOUSE', 'BATTERY', 'STRUCTURE', 'VEHICLE', 
+    'UNDEFINED', 'SPREADING', 'INCIDENT', 'STRIKE', 'TEAM', 
+    'CODE', 'TANKER', 'REQUIRED', 'ASSEMBLE', 'ALERT', 'NOW',
+    'EXTINGUISHED', 'ISSUING', 'SMOKE', 'COLUMN', 'ALARM', 'OPERATING',
+    'LEAKING', 'DOWN', 'POWERLINES', 'SPREAD', 'BUSH', 'SCRUB'
+];
+
+// Constants for location extraction
+const MIN_SUBURB_LENGTH = 3;
+const MIN_SUBURB_CHARS = 4;
+const MAX_SUBURB_CHARS = 30;
+const SUBURB_PREFIX_ST = 'ST ';
+
+// Street types that end the street part of a numbered address, so the suburb starts after one
+const STREET_TYPES = '(?:RD|ST|AV|AVE|CR|CT|DR|PDE|WAY|HWY|LANE|BOULEVARD|ROAD|STREET|AVENUE|CRESCENT|COURT|DRIVE|PARADE|HIGHWAY)';
+
+// Location patterns tried by extractLocation, in order, with how much each match can be trusted
+// Confidence reflects how precise the extracted location is: a numbered street address
+// pins the property, a suburb picked out of leftover words may not be a place at all
+const LOCATION_PATTERNS = {
+    1: { name: 'assemblePoint', confidence: 0.6 },
+    2: { name: 'streetAddress', confidence: 0.95 },
+    3: { name: 'corner', confidence: 0.6 },
+    4: { name: 'roadWithoutNumber', confidence: 0.75 },
+    5: { name: 'atLocationAddress', confidence: 0.85 },
+    6: { name: 'suburbBeforeGrid', confidence: 0.4 },
+    7: { name: 'suburbBeforeSlash', confidence: 0.25 }
+};
+
+/**
+ * Build the result returned by extractLocation for a matched pattern
+ */
+function buildLocationMatch(patternId, text, { streetNumber = null, street = null, suburb = null } = {}) {
+    return {
+        text: text,
+        pattern: patternId,
+        patternName: LOCATION_PATTERNS[patternId].name,
+        streetNumber: streetNumber,
+        street: street,
+        suburb: suburb,
+        confidence: LOCATION_PATTERNS[patternId].confidence
+    };
+}
+
+/**
+ * Extract location from CFA message
+ * CFA messages follow patterns:
+ * 1. [TYPE] [STREET_NUM] [STREET] [SUBURB] /[CROSS_ST1] //[CROSS_ST2] [REGION] [GRID] (CODE) [UNITS]
+ * 2. [TYPE] CNR [ROAD1]/[ROAD2] [SUBURB] [REGION] ...
+ * 3. STRIKE TEAM ... ASSEMBLE AT [LOCATION] [ADDRESS] ...
+ * 4. [TYPE] [DESCRIPTION] AT [LOCATION] [ADDRESS] ...
+ *
+ * Returns the match from the first pattern that succeeds (see LOCATION_PATTERNS) with the
+ * location text, the pieces extracted and a confidence score, or null if nothing matched
+ */
+function extractLocation(message) {
+    // Remove @@ALERT prefix if present
+    const cleanMessage = message.replace('@@ALERT ', '').trim();
+    
+    // Pattern 1: "ASSEMBLE AT" locations (Strike teams)
+    // Example: "ASSEMBLE AT MERTON CFA STATION SHAWS RD MERTON /"
+    // Example: "ASSEMBLE AT NATIMUK SHOWGROUNDS RECREATION RESERVE - NATIMUK 48 JORY ST NATIMUK /"
+    // Strategy: Look for the location name that appears twice (once as part of location desc, once as suburb)
+    const assembleMatch = cleanMessage.match(/ASSEMBLE AT\s+([A-Z\s-]+?)\s+(?:CFA\s+)?(?:STATION|SHOWGROUNDS|RESERVE|FIRE STATION)[A-Z\s-]*?\s+(?:\d+\s+)?(?:[A-Z]+\s+(?:RD|ST|AV|HWY|CR|CT|DR))?\s+([A-Z][A-Z\s]+?)\s+\//);
+    if (assembleMatch) {
+        const locationDesc = assembleMatch[1].trim();
+        const suburb = assembleMatch[2].trim();
+        
+        // Clean up suburb - remove leading "ST" if it's not part of the name
+        let cleanSuburb = suburb;
+        if (cleanSuburb.startsWith(SUBURB_PREFIX_ST) && cleanSuburb.length > SUBURB_PREFIX_ST.length) {
+            cleanSuburb = cleanSuburb.substring(SUBURB_PREFIX_ST.length);
+        }
+        
+        // For assembly points, just return the suburb as it's most useful for geocoding
+        return buildLocationMatch(1, cleanSuburb, { suburb: cleanSuburb });
+    }
+    
+    // Pattern 2: Street address with number (most common)
+    // Example: "230 CHURCHILL RD YARROWEYAH /" or "250 HEATHS RD HOPPERS CROSSING /"
+    // Captures: street number + street name + suburb before "/"
+    const streetAddressMatch = cleanMessage.match(new RegExp(`\\b(\\d+\\s+[A-Z][A-Za-z\\s-]+?${STREET_TYPES})\\s+([A-Z][A-Z\\s]+?)\\s+\\/`));
+    if (streetAddressMatch) {
+        const streetAddress = streetAddressMatch[1].trim();
+        const suburb = streetAddressMatch[2].trim();
+        
+        // Filter out fire types and non-location keywords
+        const filterPattern = new RegExp(`^(${NON_LOCATION_KEYWORDS.join('|')})\\b`);
+        if (!suburb.match(filterPattern) && suburb.length >= MIN_SUBURB_LENGTH) {
+            // Clean up suburb name (remove trailing single letters/numbers that might be grid refs)
+            const cleanSuburb = suburb.replace(/\s+[A-Z]\d*$/, '').trim();
+            if (cleanSuburb.length >= MIN_SUBURB_LENGTH) {
+                const numberMatch = streetAddress.match(/^(\d+)\s+(.+)$/);
+                return buildLocationMatch(2, `${streetAddress}, ${cleanSuburb}`, {
+                    streetNumber: numberMatch ? numberMatch[1] : null,
+                    street: numberMatch ? numberMatch[2] : streetAddress,
+                    suburb: cleanSuburb
+                });
+            }
+        }
+    }
+    
+    // Pattern 3: Corner of two roads
+    // Example: "CNR FOGARTYS GAP RD/WOODBROOK RD RAVENSWOOD SOUTH"
+    // Example: "CNR SOUTH GIPPSLAND HWY/STANLAKES RD LANG LANG"
+    // Example: "CNR CHANDLER RD/LEMAN CR NOBLE PARK"
+    const cornerMatch = cleanMessage.match(/CNR\s+[A-Z][A-Za-z\s-]+?(?:HWY|RD|CR|ST)\s*\/\s*[A-Z][A-Za-z\s-]+?(?:RD|HWY|CR|ST)\s+([A-Z][A-Z\s]+?)(?:\s+SV[A-Z]+|\s+M\s+\d)/);
+    if (cornerMatch) {
+        const suburb = cornerMatch[1].trim();
+        const filterPattern = new RegExp(`^(${NON_LOCATION_KEYWORDS.join('|')})\\b`);
+        if (!suburb.match(filterPattern) && suburb.length >= MIN_SUBURB_LENGTH) {
+            return buildLocationMatch(3, suburb, { suburb: suburb });
+        }
+    }
+    
+    // Pattern 4: Road name without street number
+    // Example: "SHELFORD-MT MERCER RD MOUNT MERCER /" or "BENALLA-TOCUMWAL RD MUCKATAH"
+    // Note: Be careful not to match descriptions like "GRASS FIRE ON ... BALLARAT RD"
+    const roadMatch = cleanMessage.match(/\b([A-Z][A-Za-z\s-]+?)\s+RD\s+([A-Z][A-Z\s]+?)\s+(?:\/|SV[A-Z]+|M\s+\d)/);
+    if (roadMatch) {
+        const road = roadMatch[1].trim();
+        const suburb = roadMatch[2].trim();
+        
+        // Filter out if the "road" part contains non-location keywords (e.g., "FIRE", "GRASS")
+        // This prevents matching descriptions like "GRASS FIRE ON EMPTY BLOCK OF LAND BALLARAT"
+        const roadFilterPattern = new RegExp(`\\b(${NON_LOCATION_KEYWORDS.join('|')})\\b`);
+        const suburbFilterPattern = new RegExp(`^(${NON_LOCATION_KEYWORDS.join('|')})\\b`);
+        
+        if (!road.match(roadFilterPattern) && !suburb.match(suburbFilterPattern) && suburb.length >= MIN_SUBURB_LENGTH) {
+            return buildLocationMatch(4, `${road} Rd, ${suburb}`, { street: `${road} Rd`, suburb: suburb });
+        }
+    }
+    
+    // Pattern 5: "AT [LOCATION] [ADDRESS]" format
+    // Example: "AT UTLRA PACK 139 PROSPERITY WAY DANDENONG SOUTH"
+    const atLocationMatch = cleanMessage.match(new RegExp(`\\bAT\\s+(?:[A-Z\\s]+-\\s+)?[A-Z][A-Za-z\\s-]+?\\s+(\\d+\\s+[A-Z][A-Za-z\\s-]+?${STREET_TYPES})\\s+([A-Z][A-Z\\s]+?)\\s+(?:\\/|SV[A-Z]+|M\\s+\\d)`));
+    if (atLocationMatch) {
+        const address = atLocationMatch[1].trim();
+        const suburb = atLocationMatch[2].trim();
+        const filterPattern = new RegExp(`^(${NON_LOCATION_KEYWORDS.join('|')})\\b`);
+        if (!suburb.match(filterPattern) && suburb.length >= MIN_SUBURB_LENGTH) {
+            const cleanSuburb = suburb.replace(/\s+[A-Z]\d*$/, '').trim();
+            if (cleanSuburb.length >= MIN_SUBURB_LENGTH) {
+                const numberMatch = address.match(/^(\d+)\s+(.+)$/);
+                return buildLocationMatch(5, `${address}, ${cleanSuburb}`, {
+                    streetNumber: numberMatch ? numberMatch[1] : null,
+                    street: numberMatch ? numberMatch[2] : address,
+                    suburb: cleanSuburb
+                });
+            }
+        }
+    }
+    
+    // Pattern 6: Extract suburb name before regional codes
+    // Example: "GRASS FIRE BULDAR TRAIL RD COMBIENBAR SVSE" -> COMBIENBAR
+    // Example: "BALLARAT RD SUNSHINE NORTH M 26" -> SUNSHINE NORTH
+    // This is a fallback for messages that don't match previous patterns
+    const suburbOnlyMatch = cleanMessage.match(new RegExp(`\\b([A-Z][A-Z\\s]{${MIN_SUBURB_CHARS},${MAX_SUBURB_CHARS}}?)\\s+(?:SV[A-Z]+|M\\s+\\d)`));
+    if (suburbOnlyMatch) {
+        const suburb = suburbOnlyMatch[1].trim();
+        
+        // Filter out fire types and common non-location words
+        const filterPattern = new RegExp(`^(${NON_LOCATION_KEYWORDS.join('|')})\\b`);
+        const words = suburb.split(/\s+/);
+        
+        // Try to find the last valid location word(s) in the sequence
+        // Check from last word backwards, but keep common multi-word suburb patterns
+        for (let i = words.length - 1; i >= 0; i--) {
+            const candidate = words.slice(i).join(' ');
+            
+            // Skip if candidate starts with a non-location keyword
+            if (candidate.match(filterPattern)) {
+                continue;
+            }
+            
+            // Skip if too short or looks like a grid reference
+            if (candidate.length < MIN_SUBURB_CHARS || candidate.match(/^[A-Z]$/) || candidate.match(/^\d/)) {
+                continue;
+            }
+            
+            // Check if this looks like a valid location
+            // Multi-word suburbs often have patterns like "SUNSHINE NORTH", "MOUNT MERCER", etc.
+            // Accept if it's multiple words or a single long word
+            if (candidate.includes(' ') || candidate.length >= 6) {
+                return buildLocationMatch(6, candidate, { suburb: candidate });
+            }
+        }
+    }
+    
+    // Pattern 7: Final fallback - look for suburb before "/"
+    const slashMatch = cleanMessage.match(new RegExp(`\\b([A-Z][A-Z\\s]{${MIN_SUBURB_CHARS},${MAX_SUBURB_CHARS}}?)\\s+\\/`));
+    if (slashMatch) {
+        const suburb = slashMatch[1].trim();
+        const filterPattern = new RegExp(`^(${NON_LOCATION_KEYWORDS.join('|')})\\b`);
+        const words = suburb.split(/\s+/);
+        
+        // Get last 1-3 words that look like a suburb name
+        for (let i = Math.max(0, words.length - 3); i < words.length; i++) {
+            const candidate = words.slice(i).join(' ');
+            if (!candidate.match(filterPattern) && candidate.length >= MIN_SUBURB_CHARS) {
+                const cleaned = candidate.replace(/\s+[A-Z]\d*$/, '').trim();
+                if (cleaned.length >= MIN_SUBURB_CHARS) {
+                    return buildLocationMatch(7, cleaned, { suburb: cleaned });
+                }
+            }
+        }
+    }
+    
+    return null;
+}
+
+// CFA dispatch incident type codes, as they appear immediately before the response code
+// Example: "STRUC1" = structure fire, code 1; "G&SC3" = grass and scrub, code 3
+const INCIDENT_TYPES = {
+    'STRUC': 'Structure Fire',
+    'G&S': 'Grass and Scrub Fire',
+    'NOSTC': 'Non-Structure Fire',
+    'ALARC': 'Alarm',
+    'RESCC': 'Rescue',
+    'INCIC': 'Incident'
+};
+
+// Street suffixes recognised when splitting out the street address
+const STREET_SUFFIXES = [
+    'RD', 'ST', 'AV', 'AVE', 'CR', 'CT', 'DR', 'PDE', 'WAY', 'HWY', 'LANE', 'LN',
+    'PL', 'CL', 'GR', 'TCE', 'BVD', 'TRK', 'TRL', 'TRACK', 'BOULEVARD', 'ROAD',
+    'STREET', 'AVENUE', 'CRESCENT', 'COURT', 'DRIVE', 'PARADE', 'HIGHWAY', 'FWY', 'FREEWAY'
+];
+
+// Words that introduce a place description rather than belong to a street name
+const ADDRESS_LEADING_WORDS = ['AT', 'NR', 'NEAR', 'OPP', 'CFA', 'STATION'];
+
+// Map book references: Spatial Vision (e.g. "SVSE 8102 H6") and Melway (e.g. "M 26 A4")
+const SPATIAL_VISION_REGEX = /\b(SV(?:C|NE|NW|SE|SW))\s+(\d{3,5})\s+([A-K]\d{1,2})\b/;
+const MELWAY_REGEX = /\bM\s+(\d{1,4}[A-Z]?)\s+([A-K]\d{1,2})\b/;
+
+/**
+ * Break a CFA pager message into structured dispatch fields
+ * Typical layout:
+ *   F250101234 BALL1 STRUC1 HOUSE FIRE 12 SMITH ST WENDOUREE /HOWITT ST //FORGE CR SVC 6235 B4 (123456) CBALL CWEND
+ * Returns incident type, response code, street address, cross streets, map reference and dispatched units.
+ * Fields that can't be found are null (or empty arrays for lists).
+ */
+function parseMessageFields(message) {
+    const cleanMessage = message.replace('@@ALERT ', '').trim();
+
+    const fields = {
+        incidentType: null,
+        incidentTypeDescription: null,
+        responseCode: null,
+        address: null,
+        crossStreets: [],
+        mapReference: null,
+        units: []
+    };
+
+    // Incident type and response code, e.g. "STRUC1", "G&SC3", "ALARC1"
+    const typeCodes = Object.keys(INCIDENT_TYPES).map(code => code.replace('&', '\\&')).join('|');
+    const typeMatch = cleanMessage.match(new RegExp(`(?:^|\\s)(${typeCodes})C?([13])(?=\\s|$)`));
+    if (typeMatch) {
+        fields.incidentType = typeMatch[1];
+        fields.incidentTypeDescription = INCIDENT_TYPES[typeMatch[1]];
+        fields.responseCode = `CODE ${typeMatch[2]}`;
+    } else {
+        const codeMatch = cleanMessage.match(/\bCODE\s*([13])\b/);
+        if (codeMatch) {
+            fields.responseCode = `CODE ${codeMatch[1]}`;
+        }
+    }
+
+    // Map grid reference - Spatial Vision first, then Melway
+    const svMatch = cleanMessage.match(SPATIAL_VISION_REGEX);
+    const melwayMatch = svMatch ? null : cleanMessage.match(MELWAY_REGEX);
+    if (svMatch) {
+        fields.mapReference = {
+            system: 'spatialVision',
+            book: svMatch[1],
+            page: svMatch[2],
+            cell: svMatch[3],
+            text: svMatch[0]
+        };
+    } else if (melwayMatch) {
+        fields.mapReference = {
+            system: 'melway',
+            book: 'M',
+            page: melwayMatch[1],
+            cell: melwayMatch[2],
+            text: melwayMatch[0]
+        };
+    }
+    const gridMatch = svMatch || melwayMatch;
+    const gridIndex = gridMatch ? gridMatch.index : -1;
+
+    // Dispatched units follow the job number in brackets, or the grid reference if there is none
+    const jobNumberMatch = cleanMessage.match(/\(\d+\)/);
+    let unitsText = '';
+    if (jobNumberMatch) {
+        unitsText = cleanMessage.substring(jobNumberMatch.index + jobNumberMatch[0].length);
+    } else if (gridMatch) {
+        unitsText = cleanMessage.substring(gridIndex + gridMatch[0].length);
+    }
+    fields.units = unitsText
+        .split(/\s+/)
+        .filter(token => /^[A-Z][A-Z0-9]{2,9}$/.test(token));
+
+    // Everything before the first " /" is header + description + address;
+    // everything after holds the cross streets, terminated by the grid reference or job number
+    let endIndex = cleanMessage.length;
+    if (gridIndex >= 0) {
+        endIndex = gridIndex;
+    } else if (jobNumberMatch) {
+        endIndex = jobNumberMatch.index;
+    }
+    const slashIndex = cleanMessage.indexOf(' /');
+    const mainSegment = cleanMessage
+        .substring(0, slashIndex >= 0 && slashIndex < endIndex ? slashIndex : endIndex)
+        .trim();
+
+    fields.address = parseAddress(mainSegment);
+
+    if (slashIndex >= 0 && slashIndex < endIndex) {
+        const crossText = cleanMessage.substring(slashIndex + 2, endIndex);
+        fields.crossStreets = crossText
+            .split('//')
+            .map(street => street.replace(/\//g, ' ').replace(/\s+/g, ' ').trim())
+            .filter(street => street.length > 0);
+    }
+
+    // A corner address carries its second road as the first cross street
+    if (fields.address && fields.address.corner) {
+        fields.crossStreets.unshift(fields.address.corner);
+    }
+
+    return fields;
+}
+
+/**
+ * Split the street address out of the leading part of a pager message
+ * Handles "[NUM] [STREET] [SUBURB]" and "CNR [ROAD1]/[ROAD2] [SUBURB]"
+ */
+function parseAddress(segment) {
+    if (!segment) return null;
+
+    const suffixes = STREET_SUFFIXES.join('|');
+    const leadingWords = NON_LOCATION_KEYWORDS.concat(ADDRESS_LEADING_WORDS);
+    const keywordPattern = new RegExp(`^(?:(?:${leadingWords.join('|')})\\s+)+`);
+
+    // Corner of two roads
+    const cornerMatch = segment.match(new RegExp(`\\bCNR\\s+([A-Z][A-Z'\\s-]*?\\b(?:${suffixes}))\\s*\\/\\s*([A-Z][A-Z'\\s-]*?\\b(?:${suffixes}))(?:\\s+([A-Z][A-Z\\s]*?))?$`));
+    if (cornerMatch) {
+        const suburb = cornerMatch[3] ? cornerMatch[3].trim() : null;
+        return {
+            text: `CNR ${cornerMatch[1]}/${cornerMatch[2]}${suburb ? ` ${suburb}` : ''}`,
+            streetNumber: null,
+            street: cornerMatch[1].trim(),
+            corner: cornerMatch[2].trim(),
+            suburb: suburb
+        };
+    }
+
+    // Optional street number, street name (up to three words) ending in a known suffix, then the suburb
+    const streetMatch = segment.match(new RegExp(`(?:\\b(\\d+[A-Z]?(?:-\\d+[A-Z]?)?)\\s+)?\\b((?:[A-Z][A-Z'-]*\\s+){0,3}?(?:${suffixes}))(?:\\s+([A-Z][A-Z\\s]*?))?$`));
+    if (!streetMatch) {
+        return null;
+    }
+
+    const streetNumber = streetMatch[1] || null;
+    // Without a street number, leading description words ("GRASS FIRE ...") can be swept into the street name
+    const street = streetMatch[2].replace(keywordPattern, '').trim();
+    const suburb = streetMatch[3] ? streetMatch[3].trim() : null;
+
+    // A bare suffix means we only matched a stray word (e.g. "ST" in a description)
+    if (!street || STREET_SUFFIXES.includes(street)) {
+        return null;
+    }
+
+    return {
+        text: [streetNumber, street, suburb].filter(Boolean).join(' '),
+        streetNumber: streetNumber,
+        street: street,
+        corner: null,
+        suburb: suburb
+    };
+}
+
+/**
+ * Strip HTML tags from text
+ * Uses multiple passes to ensure complete sanitization
+ */
+function stripHTML(html) {
+    // Remove all HTML tags (repeat to catch nested tags)
+    let text = html;
+    let prevText = '';
+    
+    // Keep replacing until no more tags found (handles nested/malformed tags)
+    while (text !== prevText) {
+        prevText = text;
+        text = text.replace(/<[^>]*>/g, '');
+    }
+    
+    // Decode HTML entities (decode &amp; last to avoid double-escaping issues)
+    text = text.replace(/&lt;/g, '<')
+               .replace(/&gt;/g, '>')
+               .replace(/&quot;/g, '"')
+               .replace(/&#39;/g, "'")
+               .replace(/&(?!amp;)[^;\s]+;/g, ' ')  // Replace other entities with space ("G&amp;S" must survive)
+               .replace(/&amp;/g, '&');    // Decode &amp; last
+    
+    // Remove any remaining < or > characters for safety
+    text = text.replace(/[<>]/g, '');
+    
+    return text.trim();
+}
+
+module.exports = {
+    fetchCFAFeed,
+    parseCFAFeed,
+    extractLocation,
+    parseMessageFields
+};
@@ -0,0 +1,127 @@
+/**
+ * Change Detection
+ * Compares each newly fetched feed snapshot with the previous cached one and turns the
+ * differences into typed events (new incident, warning escalated, status changed...), kept in
+ * the FeedEvents table for notifications, the "what's new" view and auditing (see /api/events)
+ */
+
+const { storeFeedEvents } = require('./storageService');
+const { WARNING_LEVEL_RANK } = require('./warningService');
+const { distanceKm } = require('./geoUtils');
+
+const EVENT_TYPES = {
+    NEW: 'incident.new',                    // the incident appeared in the feed
+    ESCALATED: 'incident.escalated',        // its warning level went up
+    DEESCALATED: 'incident.deescalated',    // its warning level went down
+    STATUS_CHANGED: 'incident.statusChanged',
+    MOVED: 'incident.moved',                // its location changed by more than MOVE_THRESHOLD_KM
+    CLOSED: 'incident.closed'               // it left the feed, or its state became closed
+};
+
+// Smaller moves are usually geocoding or rounding differences rather than a new location
+const MOVE_THRESHOLD_KM = 0.5;
+
+/**
+ * Events for one incident present in both snapshots
+ */
+function detectItemChanges(previous, item) {
+    const events = [];
+
+    // Items without a warning level (CFA pager incidents) rank below Advice
+    const previousRank = WARNING_LEVEL_RANK[previous.warningLevel] || 0;
+    const rank = WARNING_LEVEL_RANK[item.warningLevel] || 0;
+    if (rank !== previousRank) {
+        events.push({
+            type: rank > previousRank ? EVENT_TYPES.ESCALATED : EVENT_TYPES.DEESCALATED,
+            from: previous.warningLevel || null,
+            to: item.warningLevel || null
+        });
+    }
+
+    if ((previous.status || null) !== (item.status || null)) {
+        events.push({ type: EVENT_TYPES.STATUS_CHANGED, from: previous.status || null, to: item.status || null });
+    }
+
+    // A newly located incident counts as moved; one that loses its coordinates doesn't
+    if (item.coordinates && (!previous.coordinates || distanceKm(previous.coordinates, item.coordinates) > MOVE_THRESHOLD_KM)) {
+        events.push({ type: EVENT_TYPES.MOVED, from: previous.coordinates || null, to: item.coordinates });
+    }
+
+    if (item.state === 'closed' && previous.state !== 'closed') {
+        events.push({ type: EVENT_TYPES.CLOSED, from: previous.state || null, to: item.state });
+    }
+
+    return events;
+}
+
+/**
+ * Typed events describing how a feed changed between two snapshots
+ * Returns [] without a previous snapshot, since every incident would look new.
+ * Incidents missing because their source failed to fetch (failedSources) aren't closed
+ * Each event is { id, type, feed, source, incidentId, time, from, to, item } where
+ * item is the incident as it is now (or was last seen, for incidents that left the feed)
+ */
+function detectChanges(feedType, previousItems, items, observedAt, { failedSources = [] } = {}) {
+    if (!previousItems) {
+        return [];
+    }
+
+    const events = [];
+    const addEvent = (event, item) => events.push({
+        // Sorts by time, and is unique across feeds and within a snapshot
+        id: `${String(observedAt.getTime()).padStart(15, '0')}-${feedType}-${String(events.length).padStart(4, '0')}`,
+        type: event.type,
+        feed: feedType,
+        source: item.source || feedType,
+        incidentId: item.id,
+        time: observedAt.toISOString(),
+        from: event.from === undefined ? null : event.from,
+        to: event.to === undefined ? null : event.to,
+        item: item
+    });
+
+    const previousById = new Map(previousItems.map(item => [item.id, item]));
+    const currentIds = new Set();
+
+    for (const item of items) {
+        currentIds.add(item.id);
+        const previous = previousById.get(item.id);
+        if (!previous) {
+            addEvent({ type: EVENT_TYPES.NEW, to: item.warningLevel || null }, item);
+        } else {
+            detectItemChanges(previous, item).forEach(event => addEvent(event, item));
+        }
+    }
+
+    for (const previous of previousItems) {
+        const source = previous.source || feedType;
+        // Already reported closed when its state changed
+        if (!currentIds.has(previous.id) && !failedSources.includes(source) && previous.state !== 'closed') {
+            addEvent({ type: EVENT_TYPES.CLOSED, from: previous.state || null }, previous);
+        }
+    }
+
+    return events;
+}
+
+/**
+ * Detect and store the events between a feed's previous and new snapshots
+ * Returns the events
+ */
+async function recordFeedEvents(feedType, previousItems, items, observedAt, { failedSources = [], context = null } = {}) {
+    const events = detectChanges(feedType, previousItems, items, observedAt, { failedSources });
+
+    if (events.length > 0) {
+        await storeFeedEvents(events);
+        if (context) {
+            context.log(`Recorded ${events.length} ${feedType} feed events`);
+        }
+    }
+    return events;
+}
+
+module.exports = {
+    EVENT_TYPES,
+    detectChanges,
+    recordFeedEvents
+};
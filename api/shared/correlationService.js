@@ -0,0 +1,155 @@
+/**
+ * Correlation Service
+ * Links CFA pager incidents with the Emergency VIC incidents they describe, so the two feeds
+ * can show one event as a pair rather than two unrelated items
+ * Each item gets a stable `id`, and `relatedIds` listing the ids of its partners in the other feed
+ */
+
+const crypto = require('crypto');
+const { distanceKm } = require('./geoUtils');
+
+// Pager dispatches and emergency incidents this close together are treated as the same event...
+const CORRELATION_RADIUS_KM = 2;
+// ...when they were first reported within this window of each other
+const CORRELATION_WINDOW_MS = 2 * 60 * 60 * 1000;
+
+// Only Emergency VIC incidents can match CFA pager incidents
+const CORRELATED_SOURCES = ['VIC'];
+
+/**
+ * Stable id for a feed item: the source's incident number where it has one, otherwise a hash
+ * of the fields that identify it and stay the same from one refresh to the next
+ * Times aren't hashed: an item's times change as it's updated
+ * Ids only contain letters, digits, '.', '_' and '-' so they can be used in URLs and XML
+ */
+function getItemId(item, source = item.source) {
+    const prefix = source || 'EMERGENCY';
+    const id = item.incidentId || crypto
+        .createHash('sha1')
+        .update([prefix, item.title || item.message, item.location].join('|'))
+        .digest('hex')
+        .substring(0, 16);
+
+    return `${prefix}-${id}`.replace(/[^A-Za-z0-9._-]/g, '-');
+}
+
+/**
+ * Give every item without one an id
+ * Items that would share an id (e.g. two incidents with the same title at the same location)
+ * are numbered in feed order: the second gets <id>-2, and so on
+ */
+function assignItemIds(items, source) {
+    const ids = new Set(items.map(item => item.id).filter(Boolean));
+
+    for (const item of items) {
+        if (!item.id) {
+            const id = getItemId(item, source);
+            let uniqueId = id;
+            for (let n = 2; ids.has(uniqueId); n++) {
+                uniqueId = `${id}-${n}`;
+            }
+            item.id = uniqueId;
+            ids.add(uniqueId);
+        }
+    }
+    return items;
+}
+
+/**
+ * Digits of an incident number, so a CFA F-number (F250101234) and the
+ * Emergency VIC Incident No (250101234) compare equal
+ */
+function normaliseIncidentNumber(incidentId) {
+    const digits = String(incidentId || '').replace(/^F/i, '').replace(/\D/g, '');
+    return digits || null;
+}
+
+/**
+ * Whether two items were reported close enough in time to be the same event
+ */
+function reportedTogether(a, b) {
+    const timeA = new Date(a.reportedAt || a.timestamp).getTime();
+    const timeB = new Date(b.reportedAt || b.timestamp).getTime();
+    return !isNaN(timeA) && !isNaN(timeB) && Math.abs(timeA - timeB) <= CORRELATION_WINDOW_MS;
+}
+
+function link(alert, incident) {
+    if (!alert.relatedIds.includes(incident.id)) alert.relatedIds.push(incident.id);
+    if (!incident.relatedIds.includes(alert.id)) incident.relatedIds.push(alert.id);
+}
+
+/**
+ * Link CFA pager incidents with emergency incidents, setting relatedIds on both sides
+ * - First by incident number (F-number against the VIC Incident No)
+ * - Otherwise to the nearest emergency incident within CORRELATION_RADIUS_KM that was
+ *   reported within CORRELATION_WINDOW_MS
+ * Both lists are modified in place; returns the number of pager incidents linked
+ */
+function correlateFeeds(cfaAlerts, emergencyIncidents) {
+    assignItemIds(cfaAlerts, 'CFA');
+    assignItemIds(emergencyIncidents);
+
+    for (const item of cfaAlerts.concat(emergencyIncidents)) {
+        item.relatedIds = [];
+    }
+
+    const candidates = emergencyIncidents.filter(incident => CORRELATED_SOURCES.includes(incident.source));
+
+    const byNumber = new Map();
+    for (const incident of candidates) {
+        const number = normaliseIncidentNumber(incident.incidentId);
+        if (number) byNumber.set(number, incident);
+    }
+
+    let linked = 0;
+    for (const alert of cfaAlerts) {
+        const number = normaliseIncidentNumber(alert.incidentId);
+        if (number && byNumber.has(number)) {
+            link(alert, byNumber.get(number));
+            linked++;
+            continue;
+        }
+
+        if (!alert.coordinates) continue;
+
+        let nearest = null;
+        let nearestDistance = Infinity;
+        for (const incident of candidates) {
+            if (!incident.coordinates || !reportedTogether(alert, incident)) continue;
+
+            const distance = distanceKm(alert.coordinates, incident.coordinates);
+            if (distance <= CORRELATION_RADIUS_KM && distance < nearestDistance) {
+                nearest = incident;
+                nearestDistance = distance;
+            }
+        }
+
+        if (nearest) {
+            link(alert, nearest);
+            linked++;
+        }
+    }
+
+    return linked;
+}
+
+/**
+ * Drop CFA pager incidents whose related emergency incident is also in the list, so an event
+ * reported by both feeds appears once, as the emergency incident (which has the warning level)
+ * Pager incidents are items with source CFA, or no source (as served by getCFAFeed)
+ */
+function collapseRelatedItems(items) {
+    const ids = new Set(items.map(item => item.id));
+
+    return items.filter(item => {
+        const isPagerIncident = !item.source || item.source === 'CFA';
+        return !(isPagerIncident && (item.relatedIds || []).some(id => ids.has(id)));
+    });
+}
+
+module.exports = {
+    getItemId,
+    assignItemIds,
+    correlateFeeds,
+    collapseRelatedItems
+};
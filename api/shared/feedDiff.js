@@ -0,0 +1,129 @@
+/**
+ * Feed Diff
+ * Versioned change tracking for the cached feeds, so clients can refresh with only what changed
+ * Each time a feed is cached, the fingerprint of every item is stored against the new version;
+ * a request for ?since=<version> is answered by comparing today's items with those fingerprints
+ */
+
+const crypto = require('crypto');
+const { storeFeedVersion, getFeedVersion } = require('./storageService');
+
+// Fields added when a feed is served rather than when it's cached; they don't make an item "updated"
+const SERVE_TIME_FIELDS = ['distance'];
+
+/**
+ * Fingerprint an item's content
+ */
+function fingerprintItem(item) {
+    const content = { ...item };
+    for (const field of SERVE_TIME_FIELDS) {
+        delete content[field];
+    }
+
+    return crypto.createHash('sha1').update(JSON.stringify(content)).digest('hex').substring(0, 16);
+}
+
+/**
+ * Fingerprints of a feed's items, keyed by item id
+ */
+function buildFingerprints(items) {
+    const fingerprints = {};
+    for (const item of items) {
+        if (item.id) {
+            fingerprints[item.id] = fingerprintItem(item);
+        }
+    }
+    return fingerprints;
+}
+
+/**
+ * Record the items of a newly cached feed version
+ */
+async function recordFeedVersion(feedType, version, items) {
+    if (version) {
+        await storeFeedVersion(feedType, version, buildFingerprints(items));
+    }
+}
+
+/**
+ * Compare items with an earlier version's fingerprints
+ * Returns { added, updated, removed } where removed holds the ids of items no longer present
+ */
+function diffItems(previousFingerprints, items) {
+    const added = [];
+    const updated = [];
+    const currentIds = new Set();
+
+    for (const item of items) {
+        currentIds.add(item.id);
+        const previous = previousFingerprints[item.id];
+        if (previous === undefined) {
+            added.push(item);
+        } else if (previous !== fingerprintItem(item)) {
+            updated.push(item);
+        }
+    }
+
+    const removed = Object.keys(previousFingerprints).filter(id => !currentIds.has(id));
+
+    return { added, updated, removed };
+}
+
+/**
+ * Build the delta from sinceVersion to the current version
+ * Returns { version, since, added, updated, removed }, or null when sinceVersion
+ * is no longer stored (the caller should send the full feed instead)
+ */
+async function buildDelta(feedType, sinceVersion, currentVersion, items) {
+    if (!currentVersion) {
+        return null;
+    }
+
+    if (sinceVersion === currentVersion) {
+        return { version: currentVersion, since: sinceVersion, added: [], updated: [], removed: [] };
+    }
+
+    const previousFingerprints = await getFeedVersion(feedType, sinceVersion);
+    if (!previousFingerprints) {
+        return null;
+    }
+
+    return {
+        version: currentVersion,
+        since: sinceVersion,
+        ...diffItems(previousFingerprints, items)
+    };
+}
+
+/**
+ * Strong ETag for a response body
+ */
+function computeETag(body) {
+    return `"${crypto.createHash('sha1').update(body).digest('base64').replace(/=+$/, '')}"`;
+}
+
+/**
+ * Whether a request's If-None-Match header matches an ETag
+ * Accepts a list of tags, weak tags (W/"...") and "*"
+ */
+function matchesIfNoneMatch(req, etag) {
+    const headers = (req && req.headers) || {};
+    const header = headers['if-none-match'] || headers['If-None-Match'];
+    if (!header) {
+        return false;
+    }
+
+    return header.split(',')
+        .map(tag => tag.trim().replace(/^W\//, ''))
+        .some(tag => tag === '*' || tag === etag);
+}
+
+module.exports = {
+    fingerprintItem,
+    buildFingerprints,
+    recordFeedVersion,
+    diffItems,
+    buildDelta,
+    computeETag,
+    matchesIfNoneMatch
+};
@@ -0,0 +1,220 @@
+/**
+ * Feed Filters
+ * Query-string filters shared by the feed endpoints, applied to the cached items so callers
+ * (embedded displays, scripts, the map) can ask for just the incidents they need
+ *
+ * Parameters (all optional):
+ *   ids=CFA-F250101234,...  items with these ids (see correlationService.getItemId)
+ *   source=VIC,NSW          item source (CFA pager items are source CFA)
+ *   warningLevel=emergency  advice, watchAndAct and/or emergency
+ *   minWarningLevel=watchAndAct  this warning level or higher
+ *   type=grass,structure    matched case-insensitively against the incident type
+ *   since=2026-01-05T00:00Z items updated at or after this time
+ *   since=<version>         only what changed since a feed version (see feedDiff.js)
+ *   bbox=west,south,east,north
+ *   near=lat,lng&radiusKm=  items within radiusKm (default 50) of a point
+ *   limit=, offset=         page through the results, newest first
+ */
+
+const { distanceKm } = require('./geoUtils');
+const { WARNING_LEVEL_RANK } = require('./warningService');
+
+const DEFAULT_RADIUS_KM = 50;
+const MAX_LIMIT = 1000;
+
+/**
+ * Split a comma-separated parameter into trimmed, non-empty values
+ */
+function splitList(value) {
+    return String(value).split(',').map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a comma-separated list of numbers, or null if any part isn't a number
+ */
+function parseNumbers(value, count) {
+    const numbers = splitList(value).map(Number);
+    return numbers.length === count && numbers.every(number => !isNaN(number)) ? numbers : null;
+}
+
+/**
+ * Parse a non-negative integer parameter, or null if it's invalid
+ */
+function parseCount(value) {
+    return /^\d+$/.test(String(value).trim()) ? parseInt(value, 10) : null;
+}
+
+/**
+ * Parse and validate filter parameters from a request query
+ * Returns { filters } or { error } with a message suitable for a 400 response
+ */
+function parseFeedFilters(query = {}) {
+    const filters = {};
+
+    if (query.ids) {
+        filters.ids = splitList(query.ids);
+    }
+
+    if (query.source) {
+        filters.sources = splitList(query.source).map(source => source.toUpperCase());
+    }
+
+    if (query.warningLevel) {
+        const levels = splitList(query.warningLevel);
+        const levelNames = Object.keys(WARNING_LEVEL_RANK);
+        const unknown = levels.find(level => !levelNames.includes(level));
+        if (unknown) {
+            return { error: `warningLevel must be one of ${levelNames.join(', ')}` };
+        }
+        filters.warningLevels = levels;
+    }
+
+    if (query.minWarningLevel) {
+        if (!WARNING_LEVEL_RANK[query.minWarningLevel]) {
+            return { error: `minWarningLevel must be one of ${Object.keys(WARNING_LEVEL_RANK).join(', ')}` };
+        }
+        filters.minWarningRank = WARNING_LEVEL_RANK[query.minWarningLevel];
+    }
+
+    if (query.type) {
+        filters.types = splitList(query.type).map(type => type.toUpperCase());
+    }
+
+    if (query.since && /^\d+$/.test(String(query.since).trim())) {
+        // A feed version (the X-Feed-Version header of an earlier response) rather than a time
+        filters.sinceVersion = parseInt(query.since, 10);
+    } else if (query.since) {
+        const since = Date.parse(query.since);
+        if (!/^\d{4}-\d{2}-\d{2}/.test(query.since) || isNaN(since)) {
+            return { error: 'since must be an ISO 8601 timestamp' };
+        }
+        filters.since = since;
+    }
+
+    if (query.bbox) {
+        const bbox = parseNumbers(query.bbox, 4);
+        if (!bbox || bbox[0] > bbox[2] || bbox[1] > bbox[3] ||
+            bbox.some((value, index) => Math.abs(value) > (index % 2 === 0 ? 180 : 90))) {
+            return { error: 'bbox must be west,south,east,north in degrees' };
+        }
+        filters.bbox = bbox;
+    }
+
+    if (query.near) {
+        const near = parseNumbers(query.near, 2);
+        if (!near || Math.abs(near[0]) > 90 || Math.abs(near[1]) > 180) {
+            return { error: 'near must be lat,lng in degrees' };
+        }
+        const radiusKm = query.radiusKm !== undefined ? Number(query.radiusKm) : DEFAULT_RADIUS_KM;
+        if (isNaN(radiusKm) || radiusKm <= 0) {
+            return { error: 'radiusKm must be a positive number' };
+        }
+        // Stored as a GeoJSON [lng, lat] position to match item coordinates
+        filters.near = { position: [near[1], near[0]], radiusKm: radiusKm };
+    } else if (query.radiusKm !== undefined) {
+        return { error: 'radiusKm requires near=lat,lng' };
+    }
+
+    if (query.limit !== undefined) {
+        const limit = parseCount(query.limit);
+        if (limit === null || limit < 1) {
+            return { error: 'limit must be a positive integer' };
+        }
+        filters.limit = Math.min(limit, MAX_LIMIT);
+    }
+
+    if (query.offset !== undefined) {
+        const offset = parseCount(query.offset);
+        if (offset === null) {
+            return { error: 'offset must be a non-negative integer' };
+        }
+        filters.offset = offset;
+    }
+
+    // A delta lists everything that changed, so it can't be paged
+    if (filters.sinceVersion !== undefined && (filters.limit !== undefined || filters.offset !== undefined)) {
+        return { error: 'limit and offset cannot be used with since=<version>' };
+    }
+
+    return { filters };
+}
+
+/**
+ * Whether an item passes the filters
+ * defaultSource is used for items without a source field (CFA pager items)
+ */
+function matchesFilters(item, filters, defaultSource) {
+    if (filters.ids && !filters.ids.includes(item.id)) {
+        return false;
+    }
+
+    if (filters.sources && !filters.sources.includes(String(item.source || defaultSource).toUpperCase())) {
+        return false;
+    }
+
+    if (filters.warningLevels && !filters.warningLevels.includes(item.warningLevel)) {
+        return false;
+    }
+
+    // Items without a warning level (CFA pager incidents) are below every level
+    if (filters.minWarningRank && (WARNING_LEVEL_RANK[item.warningLevel] || 0) < filters.minWarningRank) {
+        return false;
+    }
+
+    if (filters.types) {
+        const typeText = [item.type, item.incidentType, item.incidentTypeDescription]
+            .filter(Boolean)
+            .join(' ')
+            .toUpperCase();
+        if (!filters.types.some(type => typeText.includes(type))) {
+            return false;
+        }
+    }
+
+    if (filters.since !== undefined) {
+        const updated = new Date(item.updatedAt || item.timestamp).getTime();
+        if (isNaN(updated) || updated < filters.since) {
+            return false;
+        }
+    }
+
+    if (filters.bbox) {
+        if (!item.coordinates) return false;
+        const [lng, lat] = item.coordinates;
+        const [west, south, east, north] = filters.bbox;
+        if (lng < west || lng > east || lat < south || lat > north) {
+            return false;
+        }
+    }
+
+    if (filters.near) {
+        if (!item.coordinates || distanceKm(filters.near.position, item.coordinates) > filters.near.radiusKm) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Apply filters to a feed's items, newest first
+ * Returns { items, total } where total is the number matching before limit/offset
+ */
+function applyFeedFilters(items, filters, { defaultSource = null } = {}) {
+    const matching = items
+        .filter(item => matchesFilters(item, filters, defaultSource))
+        .sort((a, b) => (new Date(b.timestamp).getTime() || 0) - (new Date(a.timestamp).getTime() || 0));
+
+    const offset = filters.offset || 0;
+    const end = filters.limit !== undefined ? offset + filters.limit : undefined;
+
+    return {
+        items: matching.slice(offset, end),
+        total: matching.length
+    };
+}
+
+module.exports = {
+    parseFeedFilters,
+    applyFeedFilters
+};
@@ -0,0 +1,324 @@
+/**
+ * Feed Parser
+ * Turns RSS 2.0 / RSS 1.0 (RDF) and Atom documents into plain item objects using the streaming
+ * XML parser. GeoRSS geometries (Simple point, line, polygon and box; GML Point, LineString and
+ * Polygon) and W3C geo:lat/geo:long are converted to GeoJSON geometries with [lng, lat] positions.
+ */
+
+const { createXmlParser, getNodeText } = require('./xmlParser');
+
+// Namespace URIs with the prefixes feeds conventionally use for them
+// Elements match on either, since feeds sometimes use a prefix without declaring it
+const NAMESPACES = {
+    georss: 'http://www.georss.org/georss',
+    gml: 'http://www.opengis.net/gml',
+    geo: 'http://www.w3.org/2003/01/geo/wgs84_pos#',
+    dc: 'http://purl.org/dc/elements/1.1/',
+    content: 'http://purl.org/rss/1.0/modules/content/'
+};
+
+/**
+ * Whether a parsed tag is the given element
+ * prefix null means an unqualified element (RSS fields, or Atom's default namespace)
+ */
+function isElement(tag, local, prefix = null) {
+    if (tag.local !== local) return false;
+    if (prefix === null) return tag.prefix === '';
+    return tag.namespace === NAMESPACES[prefix] || tag.prefix === prefix;
+}
+
+/**
+ * First direct child element matching local name and prefix
+ */
+function findChild(node, local, prefix = null) {
+    return node.children.find(child => isElement(child.tag, local, prefix)) || null;
+}
+
+/**
+ * All direct child elements matching local name and prefix
+ */
+function findChildren(node, local, prefix = null) {
+    return node.children.filter(child => isElement(child.tag, local, prefix));
+}
+
+/**
+ * All descendant elements (depth first)
+ */
+function findDescendants(node, predicate, results = []) {
+    for (const child of node.children) {
+        if (predicate(child.tag)) results.push(child);
+        findDescendants(child, predicate, results);
+    }
+    return results;
+}
+
+/**
+ * HTML content of a description-like element
+ * Escaped or CDATA HTML is already text once decoded; unescaped markup nested directly
+ * in the element (seen in some feeds) is returned as written
+ */
+function getHtml(node) {
+    if (!node) return null;
+    return node.children.length > 0 ? node.markup.trim() : getNodeText(node);
+}
+
+/**
+ * Parse a GeoRSS/GML position list ("lat lon lat lon ...") into GeoJSON [lng, lat] positions
+ * Returns null if the list is malformed or any position is out of range
+ */
+function parsePositions(text) {
+    if (!text) return null;
+
+    const values = text.trim().split(/[\s,]+/).map(Number);
+    if (values.length < 2 || values.length % 2 !== 0 || values.some(value => !isFinite(value))) {
+        return null;
+    }
+
+    const positions = [];
+    for (let i = 0; i < values.length; i += 2) {
+        const latitude = values[i];
+        const longitude = values[i + 1];
+        if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+            return null;
+        }
+        positions.push([longitude, latitude]);
+    }
+    return positions;
+}
+
+/**
+ * Build a GeoJSON geometry from parsed positions
+ */
+function toGeometry(type, positions) {
+    if (!positions) return null;
+
+    if (type === 'Point') {
+        return { type: 'Point', coordinates: positions[0] };
+    }
+    if (type === 'LineString') {
+        return positions.length >= 2 ? { type: 'LineString', coordinates: positions } : null;
+    }
+
+    // Polygon rings must be closed
+    if (positions.length < 3) return null;
+    const first = positions[0];
+    const last = positions[positions.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+        positions.push(first.slice());
+    }
+    return { type: 'Polygon', coordinates: [positions] };
+}
+
+/**
+ * Extract every geometry on an item
+ */
+function extractGeometries(item) {
+    const geometries = [];
+
+    // GeoRSS Simple
+    for (const node of findDescendants(item, tag => isElement(tag, 'point', 'georss'))) {
+        geometries.push(toGeometry('Point', parsePositions(getNodeText(node))));
+    }
+    for (const node of findDescendants(item, tag => isElement(tag, 'line', 'georss'))) {
+        geometries.push(toGeometry('LineString', parsePositions(getNodeText(node))));
+    }
+    for (const node of findDescendants(item, tag => isElement(tag, 'polygon', 'georss'))) {
+        geometries.push(toGeometry('Polygon', parsePositions(getNodeText(node))));
+    }
+    for (const node of findDescendants(item, tag => isElement(tag, 'box', 'georss'))) {
+        // Box is "south west north east"
+        const corners = parsePositions(getNodeText(node));
+        if (corners && corners.length === 2) {
+            const [[west, south], [east, north]] = corners;
+            geometries.push(toGeometry('Polygon', [[west, south], [east, south], [east, north], [west, north]]));
+        }
+    }
+
+    // GeoRSS GML (inside georss:where)
+    for (const node of findDescendants(item, tag => isElement(tag, 'Point', 'gml'))) {
+        geometries.push(toGeometry('Point', parsePositions(getNodeText(findChild(node, 'pos', 'gml')))));
+    }
+    for (const node of findDescendants(item, tag => isElement(tag, 'LineString', 'gml'))) {
+        geometries.push(toGeometry('LineString', parsePositions(getNodeText(findChild(node, 'posList', 'gml')))));
+    }
+    for (const node of findDescendants(item, tag => isElement(tag, 'Polygon', 'gml'))) {
+        const ring = findDescendants(node, tag => isElement(tag, 'posList', 'gml'))[0];
+        geometries.push(toGeometry('Polygon', parsePositions(getNodeText(ring))));
+    }
+
+    // W3C Basic Geo, either directly on the item or inside geo:Point
+    const latNode = findDescendants(item, tag => isElement(tag, 'lat', 'geo'))[0];
+    const longNode = findDescendants(item, tag => isElement(tag, 'long', 'geo'))[0];
+    if (latNode && longNode) {
+        geometries.push(toGeometry('Point', parsePositions(`${getNodeText(latNode)} ${getNodeText(longNode)}`)));
+    }
+
+    return geometries.filter(Boolean);
+}
+
+/**
+ * Map an RSS <item> element to a feed item
+ */
+function mapRssItem(item) {
+    const contentEncoded = findChild(item, 'encoded', 'content');
+
+    return {
+        title: getNodeText(findChild(item, 'title')),
+        link: getNodeText(findChild(item, 'link')),
+        description: getHtml(findChild(item, 'description')) || getHtml(contentEncoded),
+        pubDate: getNodeText(findChild(item, 'pubDate')) || getNodeText(findChild(item, 'date', 'dc')),
+        updated: null,
+        guid: getNodeText(findChild(item, 'guid')),
+        categories: findChildren(item, 'category').map(getNodeText).filter(Boolean)
+    };
+}
+
+/**
+ * Map an Atom <entry> element to a feed item
+ */
+function mapAtomEntry(entry) {
+    const links = findChildren(entry, 'link');
+    const link = links.find(node => !node.tag.attributes.rel || node.tag.attributes.rel === 'alternate') || links[0];
+
+    return {
+        title: getNodeText(findChild(entry, 'title')),
+        link: link ? link.tag.attributes.href || null : null,
+        description: getHtml(findChild(entry, 'summary')) || getHtml(findChild(entry, 'content')),
+        pubDate: getNodeText(findChild(entry, 'published')) || getNodeText(findChild(entry, 'updated')),
+        updated: getNodeText(findChild(entry, 'updated')),
+        guid: getNodeText(findChild(entry, 'id')),
+        categories: findChildren(entry, 'category')
+            .map(node => node.tag.attributes.label || node.tag.attributes.term)
+            .filter(Boolean)
+    };
+}
+
+/**
+ * Create a streaming feed parser
+ * onItem(item) is called as each item/entry closes, with:
+ *   { title, link, description, pubDate, updated, guid, categories, geometries, point, raw }
+ * point is the first Point geometry's [lng, lat] (or null); raw is the item's original XML
+ * Returns { write(chunk), end() }; end() returns { format, title, itemCount }
+ */
+function createFeedParser({ onItem }) {
+    let format = null;
+    let feedTitle = null;
+    let itemCount = 0;
+
+    // Element stack outside items (local names only) and the tree of the item being built
+    // Item nodes are { tag, children (elements), content (text and elements in document order),
+    // markup (source XML between the node's start and end tags) }
+    const path = [];
+    let itemNode = null;
+    let itemStack = [];
+    let itemOpenRaw = '';
+
+    function appendMarkup(raw) {
+        for (const node of itemStack) {
+            node.markup += raw;
+        }
+    }
+
+    function isItemTag(tag) {
+        return (format === 'atom' && isElement(tag, 'entry')) ||
+            (format === 'rss' && tag.local === 'item' && (tag.prefix === '' || tag.prefix === 'rss'));
+    }
+
+    const parser = createXmlParser({
+        onOpenTag(tag, raw) {
+            if (itemNode) {
+                const node = { tag, children: [], content: [], markup: '' };
+                const parent = itemStack[itemStack.length - 1];
+                parent.children.push(node);
+                parent.content.push(node);
+                appendMarkup(raw);
+                itemStack.push(node);
+                return;
+            }
+
+            if (path.length === 0 && !format) {
+                if (tag.local === 'rss' || tag.local === 'RDF') format = 'rss';
+                else if (tag.local === 'feed') format = 'atom';
+            }
+
+            if (isItemTag(tag)) {
+                itemNode = { tag, children: [], content: [], markup: '' };
+                itemStack = [itemNode];
+                itemOpenRaw = raw;
+                return;
+            }
+
+            path.push(tag.local);
+        },
+
+        onText(text, raw) {
+            if (itemNode) {
+                itemStack[itemStack.length - 1].content.push(text);
+                appendMarkup(raw);
+                return;
+            }
+
+            // Feed title: rss > channel > title, or feed > title
+            const parent = path[path.length - 1];
+            const grandparent = path[path.length - 2];
+            if (parent === 'title' && feedTitle === null && (grandparent === 'channel' || grandparent === 'feed')) {
+                feedTitle = text.trim();
+            }
+        },
+
+        onCloseTag(tag, raw) {
+            if (!itemNode) {
+                path.pop();
+                return;
+            }
+
+            const node = itemStack.pop();
+            if (node !== itemNode) {
+                appendMarkup(raw);
+                return;
+            }
+
+            const item = format === 'atom' ? mapAtomEntry(itemNode) : mapRssItem(itemNode);
+            item.geometries = extractGeometries(itemNode);
+            const point = item.geometries.find(geometry => geometry.type === 'Point');
+            item.point = point ? point.coordinates : null;
+            item.raw = itemOpenRaw + itemNode.markup + raw;
+
+            itemNode = null;
+            itemCount++;
+            onItem(item);
+        }
+    });
+
+    return {
+        write(chunk) {
+            parser.write(chunk);
+        },
+
+        end() {
+            parser.end();
+            return { format, title: feedTitle, itemCount };
+        }
+    };
+}
+
+/**
+ * Parse a complete feed document
+ * Returns { format: 'rss' | 'atom' | null, title, items }
+ * format is null when the document isn't RSS or Atom
+ */
+function parseFeed(text) {
+    const items = [];
+    const parser = createFeedParser({ onItem: item => items.push(item) });
+
+    parser.write(text || '');
+    const { format, title } = parser.end();
+
+    return { format, title, items };
+}
+
+module.exports = {
+    NAMESPACES,
+    createFeedParser,
+    parseFeed
+};
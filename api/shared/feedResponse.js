@@ -0,0 +1,144 @@
+/**
+ * Feed Response
+ * Builds the response for the feed endpoints: filters the items, answers ?since=<version>
+ * with a delta or ?format= with an export format, and tags the body with an ETag so
+ * unchanged refreshes get a body-less 304
+ */
+
+const { parseFeedFilters, applyFeedFilters } = require('./feedFilters');
+const { buildDelta, computeETag, matchesIfNoneMatch } = require('./feedDiff');
+const { getFeedFormat, getFeedFormatNames } = require('./formats');
+const { collapseRelatedItems } = require('./correlationService');
+
+/**
+ * Parse the filters and format of a feed request
+ * Returns { filters, format } (format is null for JSON) or { error } for a 400 response
+ */
+function parseFeedRequest(query = {}) {
+    const { filters, error } = parseFeedFilters(query);
+    if (error) {
+        return { error };
+    }
+
+    let format = null;
+    if (query.format && query.format.toLowerCase() !== 'json') {
+        format = getFeedFormat(query.format);
+        if (!format) {
+            return { error: `format must be one of json, ${getFeedFormatNames().join(', ')}` };
+        }
+        if (filters.sinceVersion !== undefined) {
+            return { error: 'since=<version> is only available for JSON' };
+        }
+    }
+
+    return { filters, format };
+}
+
+/**
+ * The delta since sinceVersion for a filtered request, or null when that version is too old
+ * Versions store the whole feed's fingerprints, so the whole feed is diffed and then filtered:
+ * added and updated hold the items that match, and removed the ids of items gone from the feed
+ * plus those of changed items that no longer match (which the client may still be showing)
+ */
+async function buildFilteredDelta(feedType, sinceVersion, version, items, filters, defaultSource) {
+    const delta = await buildDelta(feedType, sinceVersion, version, items);
+    if (!delta) {
+        return null;
+    }
+
+    const added = applyFeedFilters(delta.added, filters, { defaultSource }).items;
+    const updated = applyFeedFilters(delta.updated, filters, { defaultSource }).items;
+    const updatedIds = new Set(updated.map(item => item.id));
+    const unmatched = delta.updated.filter(item => !updatedIds.has(item.id)).map(item => item.id);
+
+    return { ...delta, added, updated, removed: delta.removed.concat(unmatched) };
+}
+
+/**
+ * Set context.res to the feed response
+ * - Without since=<version> the body is the filtered array of items
+ * - With it the body is { version, since, added, updated, removed }, or
+ *   { version, reset: true, items } when that version is too old to diff against
+ * - With a format (see parseFeedRequest) the body is the filtered items in that format,
+ *   linking back to the request URL
+ * Options: { feedType, items, version, fetchedAt, filters, format, cacheStatus, defaultSource, headers }
+ * fetchedAt (milliseconds) is sent as X-Data-Age, the age of the data in seconds
+ */
+async function sendFeedResponse(context, req, { feedType, items, version, fetchedAt, filters, format = null, cacheStatus, defaultSource = null, headers = {} }) {
+    const feedItems = format && format.collapseRelated ? collapseRelatedItems(items) : items;
+    const { items: matching, total } = applyFeedFilters(feedItems, filters, { defaultSource });
+
+    let body;
+    if (format) {
+        body = format.serialize(matching, { defaultSource, selfUrl: req.url || null });
+    } else if (filters.sinceVersion !== undefined) {
+        body = JSON.stringify(await buildFilteredDelta(feedType, filters.sinceVersion, version, items, filters, defaultSource) ||
+            { version: version, reset: true, items: matching });
+    } else {
+        body = JSON.stringify(matching);
+    }
+
+    const etag = computeETag(body);
+
+    const responseHeaders = {
+        'Content-Type': format ? `${format.contentType}; charset=utf-8` : 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET',
+        'Access-Control-Allow-Headers': 'Content-Type, If-None-Match',
+        'Access-Control-Expose-Headers': 'ETag, X-Feed-Version, X-Total-Count, X-Data-Age, X-Cache-Status, X-Source-Status',
+        // Browsers may keep the response but must revalidate it with If-None-Match
+        'Cache-Control': 'no-cache',
+        'ETag': etag,
+        'X-Cache-Status': cacheStatus,
+        'X-Total-Count': String(total),
+        ...headers
+    };
+    if (version) {
+        responseHeaders['X-Feed-Version'] = String(version);
+    }
+    if (fetchedAt) {
+        responseHeaders['X-Data-Age'] = String(Math.max(0, Math.round((Date.now() - fetchedAt) / 1000)));
+    }
+
+    if (matchesIfNoneMatch(req, etag)) {
+        context.res = {
+            status: 304,
+            headers: responseHeaders
+        };
+        return;
+    }
+
+    context.res = {
+        status: 200,
+        headers: responseHeaders,
+        body: body
+    };
+}
+
+// Seconds a client is asked to wait before retrying a feed that's still being fetched
+const UNAVAILABLE_RETRY_AFTER_S = 10;
+
+/**
+ * Answer 503 for a feed that has never been cached while another request is fetching it
+ * (see fetchOnce in feedService)
+ */
+function sendFeedUnavailable(context, feedName) {
+    context.res = {
+        status: 503,
+        headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            'Retry-After': String(UNAVAILABLE_RETRY_AFTER_S)
+        },
+        body: JSON.stringify({
+            error: 'Feed unavailable',
+            message: `The ${feedName} feed is being fetched, try again shortly`
+        })
+    };
+}
+
+module.exports = {
+    parseFeedRequest,
+    sendFeedResponse,
+    sendFeedUnavailable
+};
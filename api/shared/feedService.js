@@ -0,0 +1,436 @@
+/**
+ * Feed Service
+ * Cached access to the CFA pager feed and the combined emergency feed, shared by the
+ * JSON endpoints and the export formats so they all serve the same items, and the refresh
+ * functions the ingestFeeds timer uses to keep the cache up to date (see ingestionService)
+ * Items are cached with relatedIds linking pager incidents and emergency incidents
+ */
+
+const {
+    acquireFetchLease,
+    releaseFetchLease,
+    updateLastFetch,
+    getCachedFeed,
+    getCachedFeedEntry,
+    cacheFeed
+} = require('./storageService');
+const { enrichAlertsWithCoordinates } = require('./geocodingService');
+const { findRejectedAlerts, recordRejectedItems } = require('./rejectedItemService');
+const { getEnabledSources, runSource } = require('./sources');
+const { assignItemIds, correlateFeeds } = require('./correlationService');
+const { recordFeedVersion, buildFingerprints, diffItems } = require('./feedDiff');
+const { fetchCFAFeed } = require('./cfaFeed');
+const { archiveFeedChanges } = require('./archiveService');
+const { recordFeedEvents } = require('./changeDetection');
+
+const EMERGENCY_FEED_TYPE = 'EMERGENCY';
+const CFA_FEED_TYPE = 'CFA';
+
+// Each emergency source is also cached on its own, as SOURCE-<id>, and the combined
+// emergency feed is rebuilt from those whenever one of them is refreshed
+const SOURCE_FEED_PREFIX = 'SOURCE-';
+
+// A source that keeps failing has its last incidents left out of the combined feed after this long
+const SOURCE_MAX_AGE_MS = 30 * 60 * 1000;
+
+// Before the first ingestion, how long a request waits for another caller's fetch to be cached
+const FIRST_FETCH_WAIT_MS = 20 * 1000;
+const FIRST_FETCH_POLL_MS = 1000;
+
+/**
+ * Get the CFA pager incidents from cache (kept up to date by the ingestFeeds timer)
+ * The feed is only fetched here when it has never been cached, e.g. before the first ingestion,
+ * and then by one caller at a time (see fetchOnce)
+ * Returns { alerts, version, fetchedAt, cacheStatus: 'HIT' | 'MISS' } where fetchedAt is
+ * when the alerts were fetched, in milliseconds, or null while another caller's first fetch
+ * is still running
+ */
+async function getCFAAlerts(context) {
+    const cached = await getCachedFeedEntry(CFA_FEED_TYPE, { allowStale: true });
+    if (cached) {
+        context.log(`Using cached CFA feed with ${cached.data.length} alerts`);
+        return { alerts: cached.data, version: cached.version, fetchedAt: cached.cachedAt, cacheStatus: 'HIT' };
+    }
+    
+    const fetched = await fetchOnce(CFA_FEED_TYPE, () => refreshCFAAlerts(context), context);
+    if (!fetched) {
+        return null;
+    }
+    if (fetched.cached) {
+        return getCFAAlerts(context);
+    }
+    
+    const { alerts, version } = fetched;
+    return { alerts, version, fetchedAt: Date.now(), cacheStatus: 'MISS' };
+}
+
+/**
+ * Fetch the CFA pager feed, enrich and cache it
+ * Geocoding uses cached coordinates for known locations
+ * Returns { alerts, version }
+ */
+async function refreshCFAAlerts(context) {
+    context.log('Fetching fresh CFA feed from source');
+    let alerts = await fetchCFAFeed(context);
+    
+    // Enrich alerts with geocoded coordinates (uses cache to minimize Mapbox API calls)
+    alerts = await enrichAlertsWithCoordinates(alerts, CFA_FEED_TYPE, context);
+    
+    // Stable ids let clients and the emergency feed refer to incidents across refreshes
+    assignItemIds(alerts, CFA_FEED_TYPE);
+    
+    // Quarantine incidents we couldn't locate so missed message formats can be reviewed
+    await recordRejectedItems(CFA_FEED_TYPE, findRejectedAlerts(alerts, CFA_FEED_TYPE), context);
+    
+    // Update fetch tracking
+    await updateLastFetch(CFA_FEED_TYPE);
+    
+    // Link with the emergency incidents, then cache the enriched results and record what
+    // changed since the previous cached copy
+    const linked = await linkWithCachedFeed(alerts, CFA_FEED_TYPE, context);
+    const previous = await getCachedFeedEntry(CFA_FEED_TYPE, { allowStale: true });
+    const previousItems = previous ? previous.data : null;
+    
+    // Re-caching unchanged alerts keeps the version, so clients see no change
+    const unchanged = previousItems && isUnchanged(previousItems, alerts);
+    const version = await cacheFeed(CFA_FEED_TYPE, alerts, {
+        version: unchanged ? previous.version : null
+    });
+    if (!unchanged) {
+        await recordFeedChanges(CFA_FEED_TYPE, previousItems, alerts, version, { context });
+    }
+    await recacheLinkedFeed(linked, context);
+    
+    return { alerts, version };
+}
+
+/**
+ * Get the combined emergency incidents from cache (kept up to date by the ingestFeeds timer)
+ * Every source is only fetched here when the feed has never been cached, and then by one
+ * caller at a time (see fetchOnce)
+ * Returns { incidents, version, fetchedAt, cacheStatus: 'HIT' | 'MISS', sourceStatuses }
+ * version identifies the cached copy (null if it couldn't be cached); fetchedAt is when
+ * the oldest source in it was fetched, in milliseconds
+ * Returns null while another caller's first fetch is still running
+ */
+async function getEmergencyIncidents(context) {
+    const cached = await getCachedFeedEntry(EMERGENCY_FEED_TYPE, { allowStale: true });
+    if (cached) {
+        context.log(`Using cached Emergency feed with ${cached.data.length} incidents`);
+        const sourceStatuses = (cached.metadata && cached.metadata.sourceStatuses) || [];
+        return {
+            incidents: cached.data,
+            version: cached.version,
+            fetchedAt: getOldestFetch(sourceStatuses) || cached.cachedAt,
+            cacheStatus: 'HIT',
+            sourceStatuses
+        };
+    }
+    
+    const fetched = await fetchOnce(EMERGENCY_FEED_TYPE, () => refreshEmergencyIncidents(context), context);
+    if (!fetched) {
+        return null;
+    }
+    if (fetched.cached) {
+        return getEmergencyIncidents(context);
+    }
+    
+    const { incidents, version, sourceStatuses } = fetched;
+    return { incidents, version, fetchedAt: getOldestFetch(sourceStatuses) || Date.now(), cacheStatus: 'MISS', sourceStatuses };
+}
+
+/**
+ * Fetch a feed that has never been cached, from a request
+ * Only the caller holding the fetch lease runs refresh(); the others wait for its result to
+ * be cached and get { cached: true }, or null if it isn't cached within FIRST_FETCH_WAIT_MS
+ * (the handlers answer 503, see sendFeedUnavailable)
+ */
+async function fetchOnce(feedType, refresh, context) {
+    const lease = await acquireFetchLease(feedType, { intervalMs: 0 });
+    if (lease) {
+        try {
+            return await refresh();
+        } finally {
+            // Whether or not it worked, later requests needn't wait for the lease to expire:
+            // they'll find the cache, or try the fetch again
+            await releaseFetchLease(lease);
+        }
+    }
+    
+    context.log(`${feedType} feed is being fetched by another request, waiting for it`);
+    for (let waited = 0; waited < FIRST_FETCH_WAIT_MS; waited += FIRST_FETCH_POLL_MS) {
+        await new Promise(resolve => setTimeout(resolve, FIRST_FETCH_POLL_MS));
+        if (await getCachedFeedEntry(feedType, { allowStale: true })) {
+            return { cached: true };
+        }
+    }
+    context.log.warn(`Timed out waiting for the ${feedType} feed to be fetched`);
+    return null;
+}
+
+/**
+ * Fetch every enabled source side by side, then rebuild the combined feed
+ * Returns { incidents, version, sourceStatuses }
+ */
+async function refreshEmergencyIncidents(context) {
+    const sources = getEnabledSources();
+    context.log(`Fetching fresh Emergency feeds from ${sources.length} sources: ${sources.map(source => source.id).join(', ')}`);
+    
+    const results = await Promise.all(sources.map(source => refreshSource(source, context)));
+    return rebuildEmergencyIncidents(context, results);
+}
+
+function getSourceFeedType(source) {
+    return `${SOURCE_FEED_PREFIX}${source.id}`;
+}
+
+/**
+ * Fetch one emergency source, enrich its incidents and cache them as SOURCE-<id>
+ * A failed source keeps its previously cached incidents
+ * Returns { status, incidents, fetchedAt } with incidents null when the fetch failed
+ */
+async function refreshSource(source, context) {
+    const result = await runSource(source, context);
+    const status = result.status;
+    
+    if (status.ok) {
+        context.log(`${status.name}: ${status.count} incidents, ${status.rejected} rejected (${status.durationMs}ms)`);
+    } else {
+        context.log.warn(`${status.name}: failed - ${status.error} (${status.durationMs}ms)`);
+    }
+    
+    // Quarantine items the parser skipped so missed formats can be reviewed
+    await recordRejectedItems(source.id, result.rejected, context);
+    await updateLastFetch(getSourceFeedType(source));
+    
+    if (!status.ok) {
+        return { status, incidents: null, fetchedAt: null };
+    }
+    
+    // Emergency feeds often have coordinates already, but this fills in any gaps
+    // Geocoding only occurs for new/unique locations not already cached in EnrichedAlerts
+    const incidents = await enrichAlertsWithCoordinates(result.incidents, EMERGENCY_FEED_TYPE, context);
+    
+    // Stable ids let clients and the CFA feed refer to incidents across refreshes
+    assignItemIds(incidents);
+    
+    // Incidents the source gives no time for keep the time they were first seen
+    const previous = await getCachedFeed(getSourceFeedType(source), { allowStale: true });
+    fillMissingTimes(incidents, previous);
+    
+    await cacheFeed(getSourceFeedType(source), incidents);
+    return { status, incidents, fetchedAt: Date.now() };
+}
+
+/**
+ * Rebuild and cache the combined emergency feed from each enabled source's incidents:
+ * those just fetched (results of refreshSource) or else the source's cached copy
+ * A source's status carries over from the previous rebuild until it's fetched again
+ * Returns { incidents, version, sourceStatuses }
+ */
+async function rebuildEmergencyIncidents(context, results = []) {
+    const previous = await getCachedFeedEntry(EMERGENCY_FEED_TYPE, { allowStale: true });
+    const previousStatuses = new Map(((previous && previous.metadata && previous.metadata.sourceStatuses) || [])
+        .map(status => [status.id, status]));
+    const resultsById = new Map(results.map(result => [result.status.id, result]));
+    
+    let allIncidents = [];
+    const sourceStatuses = [];
+    const failedSources = [];
+    
+    for (const source of getEnabledSources()) {
+        const result = resultsById.get(source.id);
+        let incidents = result && result.incidents;
+        let fetchedAt = result && result.fetchedAt;
+        
+        if (!incidents) {
+            const cached = await getCachedFeedEntry(getSourceFeedType(source), { allowStale: true });
+            if (cached && Date.now() - cached.cachedAt <= SOURCE_MAX_AGE_MS) {
+                incidents = cached.data;
+                fetchedAt = cached.cachedAt;
+            }
+        }
+        
+        const lastStatus = result ? result.status : previousStatuses.get(source.id);
+        const status = {
+            id: source.id,
+            name: source.name,
+            ok: Boolean(incidents) && (!lastStatus || lastStatus.ok),
+            count: incidents ? incidents.length : 0,
+            fetchedAt: fetchedAt || null
+        };
+        if (lastStatus && !lastStatus.ok) {
+            status.error = lastStatus.error;
+        }
+        sourceStatuses.push(status);
+        
+        if (incidents) {
+            allIncidents = allIncidents.concat(incidents);
+        } else {
+            failedSources.push(source.id);
+        }
+    }
+    
+    context.log(`Total incidents: ${allIncidents.length}`);
+    
+    const linked = await linkWithCachedFeed(allIncidents, EMERGENCY_FEED_TYPE, context);
+    
+    // Re-caching unchanged incidents keeps the version, so clients see no change
+    const previousItems = previous ? previous.data : null;
+    const unchanged = previousItems && isUnchanged(previousItems, allIncidents);
+    const version = await cacheFeed(EMERGENCY_FEED_TYPE, allIncidents, {
+        metadata: { sourceStatuses },
+        version: unchanged ? previous.version : null
+    });
+    
+    // Record what changed since the previous cached copy
+    if (!unchanged) {
+        await recordFeedChanges(EMERGENCY_FEED_TYPE, previousItems, allIncidents, version, { failedSources, context });
+    }
+    await recacheLinkedFeed(linked, context);
+    
+    return { incidents: allIncidents, version, sourceStatuses };
+}
+
+/**
+ * Whether a feed's items are the same (by content fingerprint) as before
+ */
+function isUnchanged(previousItems, items) {
+    const { added, updated, removed } = diffItems(buildFingerprints(previousItems), items);
+    return added.length === 0 && updated.length === 0 && removed.length === 0;
+}
+
+/**
+ * Oldest fetch time across source statuses, or null if none has one
+ */
+function getOldestFetch(sourceStatuses) {
+    const times = sourceStatuses.map(status => status.fetchedAt).filter(Boolean);
+    return times.length > 0 ? Math.min(...times) : null;
+}
+
+/**
+ * Fill in the times an item's source didn't give (see the sources' normalise) with when it
+ * was first seen: its time in the previously cached copy, or now for a new item
+ * Keeps the item the same from one refresh to the next until the source changes it
+ */
+function fillMissingTimes(items, previousItems) {
+    const previousById = new Map((previousItems || []).map(item => [item.id, item]));
+    const now = new Date().toISOString();
+    
+    for (const item of items) {
+        const previous = previousById.get(item.id) || {};
+        for (const field of ['reportedAt', 'updatedAt', 'timestamp']) {
+            if (field in item && !item[field]) {
+                item[field] = previous[field] || now;
+            }
+        }
+    }
+    return items;
+}
+
+/**
+ * Record a newly cached feed version: its fingerprints for ?since= deltas, new and changed
+ * incidents in the archive, and typed change events
+ * previousItems is the previously cached copy (null if there was none); incidents missing
+ * because their source failed to fetch (failedSources) aren't treated as closed
+ */
+async function recordFeedChanges(feedType, previousItems, items, version, { failedSources = [], context = null } = {}) {
+    const observedAt = new Date(version || Date.now());
+    
+    await recordFeedVersion(feedType, version, items);
+    await archiveFeedChanges(feedType, previousItems, items, observedAt, { failedSources, context });
+    await recordFeedEvents(feedType, previousItems, items, observedAt, { failedSources, context });
+}
+
+/**
+ * Get the CFA pager incidents and the emergency incidents as one list, for the exports
+ * Pager incidents are copied with source CFA
+ * Returns { items, fetchedAt, cacheStatus: 'HIT' | 'MISS', sourceStatuses }, or null while
+ * either feed's first fetch is still running (see fetchOnce)
+ */
+async function getMergedFeed(context) {
+    // One after the other, so before the first ingestion the emergency incidents link against
+    // a freshly fetched CFA feed
+    const cfa = await getCFAAlerts(context);
+    const emergency = cfa && await getEmergencyIncidents(context);
+    if (!emergency) {
+        return null;
+    }
+    
+    const items = cfa.alerts
+        .map(alert => ({ ...alert, source: CFA_FEED_TYPE }))
+        .concat(emergency.incidents);
+    
+    return {
+        items,
+        fetchedAt: Math.min(cfa.fetchedAt, emergency.fetchedAt),
+        cacheStatus: cfa.cacheStatus === 'HIT' && emergency.cacheStatus === 'HIT' ? 'HIT' : 'MISS',
+        sourceStatuses: emergency.sourceStatuses
+    };
+}
+
+/**
+ * Link a feed's items, before they're cached, with the other feed's cached items
+ * feedType is the feed the items came from (CFA or EMERGENCY); the other feed is read from
+ * cache even when stale, and never fetched, so refreshing one feed doesn't fetch both
+ * relatedIds are cached with the items, so a change in them is a change to the feed, with a
+ * new version; pass the result to recacheLinkedFeed once the items are cached, to do the same
+ * for the other feed
+ * Returns { feedType, entry, previousItems, changed } for the other feed, or null if it isn't cached
+ */
+async function linkWithCachedFeed(items, feedType, context) {
+    const otherFeedType = feedType === CFA_FEED_TYPE ? EMERGENCY_FEED_TYPE : CFA_FEED_TYPE;
+    const entry = await getCachedFeedEntry(otherFeedType, { allowStale: true });
+    const others = entry ? entry.data : [];
+    
+    // correlateFeeds replaces relatedIds rather than changing them, so shallow copies keep the old links
+    const previousItems = others.map(item => ({ ...item }));
+    
+    const linked = feedType === CFA_FEED_TYPE
+        ? correlateFeeds(items, others)
+        : correlateFeeds(others, items);
+    
+    if (context && linked > 0) {
+        context.log(`Linked ${linked} CFA pager incidents with emergency incidents`);
+    }
+    
+    if (!entry) {
+        return null;
+    }
+    return { feedType: otherFeedType, entry, previousItems, changed: !isUnchanged(previousItems, others) };
+}
+
+/**
+ * Re-cache the other feed when linkWithCachedFeed changed its links, as a new version
+ * Its data and cache time are kept; if it has been cached again since it was read, it's left
+ * for its own refresh to link
+ */
+async function recacheLinkedFeed(linked, context) {
+    if (!linked || !linked.changed) {
+        return;
+    }
+    
+    const { feedType, entry, previousItems } = linked;
+    const version = await cacheFeed(feedType, entry.data, {
+        metadata: entry.metadata,
+        cachedAt: entry.cachedAt,
+        etag: entry.etag
+    });
+    if (version) {
+        context.log(`Re-cached ${feedType} feed with updated links`);
+        await recordFeedChanges(feedType, previousItems, entry.data, version, { context });
+    }
+}
+
+module.exports = {
+    EMERGENCY_FEED_TYPE,
+    CFA_FEED_TYPE,
+    getCFAAlerts,
+    refreshCFAAlerts,
+    getEmergencyIncidents,
+    refreshEmergencyIncidents,
+    refreshSource,
+    rebuildEmergencyIncidents,
+    getSourceFeedType,
+    getMergedFeed
+};
@@ -0,0 +1,266 @@
+/**
+ * CAP-AU Format
+ * Serialises emergency incidents as Common Alerting Protocol 1.2 alerts following the
+ * Australian profile (CAP-AU), and holds the mappings between CAP's severity/urgency/certainty
+ * and our warning levels that the CAP-AU source adapter reads in the other direction
+ */
+
+const { element, textElement, serializeDocument } = require('../xmlWriter');
+const { formatZonedTimestamp, TIME_ZONES } = require('../timestampService');
+const { getItemId } = require('../correlationService');
+
+const CAP_NAMESPACE = 'urn:oasis:names:tc:emergency:cap:1.2';
+const CAP_AU_PROFILE = 'urn:oasis:names:tc:emergency:cap:1.2:profile:CAP-AU:1.0';
+const AU_EVENT_LIST = 'AUeventLIST:1.0';
+const ATOM_NAMESPACE = 'http://www.w3.org/2005/Atom';
+
+const CAP_CONTENT_TYPE = 'application/cap+xml';
+
+// Identifies us as the originator of exported alerts; agencies re-publishing should set their own
+const DEFAULT_SENDER = 'cfa-location-finder';
+
+// All-clear alerts for closed incidents expire this long after they're sent; alerts for open
+// incidents have no expiry, and stand until the next update replaces them
+const EXPIRY_HOURS = 12;
+
+// CAP recommends headlines under 160 characters
+const MAX_HEADLINE_LENGTH = 160;
+
+// Warning level -> CAP info fields
+const WARNING_LEVEL_TO_CAP = {
+    emergency: { severity: 'Extreme', urgency: 'Immediate', certainty: 'Observed' },
+    watchAndAct: { severity: 'Severe', urgency: 'Expected', certainty: 'Observed' },
+    advice: { severity: 'Minor', urgency: 'Future', certainty: 'Observed' }
+};
+
+// CAP severity -> warning level, for alerts that don't name an Australian Warning System level
+const SEVERITY_TO_WARNING_LEVEL = {
+    Extreme: 'emergency',
+    Severe: 'watchAndAct',
+    Moderate: 'advice',
+    Minor: 'advice',
+    Unknown: 'advice'
+};
+
+// Action statement -> CAP responseType
+const ACTION_TO_RESPONSE_TYPE = {
+    'Evacuate Now': 'Evacuate',
+    'Leave Now': 'Evacuate',
+    'Shelter Now': 'Shelter',
+    'Stay Indoors': 'Shelter',
+    'Prepare to Evacuate': 'Prepare',
+    'Prepare to Leave': 'Prepare',
+    'Avoid the Area': 'Avoid',
+    'Not Safe to Return': 'Avoid',
+    'Safe to Return': 'AllClear',
+    'Monitor Conditions': 'Monitor',
+    'Stay Informed': 'Monitor',
+    'Community Information': 'Monitor'
+};
+
+/**
+ * Work out the CAP category and AUeventLIST event code from an incident type
+ */
+function getEventCode(type) {
+    const text = String(type || '').toUpperCase();
+
+    if (/STRUCTURE|HOUSE|BUILDING|RESIDENTIAL/.test(text)) {
+        return { category: 'Fire', event: 'Structure Fire', code: 'structureFire' };
+    }
+    if (/BUSH|GRASS|SCRUB|FOREST|PLANTATION/.test(text)) {
+        return { category: 'Fire', event: 'Bushfire', code: 'bushFire' };
+    }
+    if (/FIRE|BURN/.test(text)) {
+        return { category: 'Fire', event: 'Fire', code: 'fire' };
+    }
+    if (/RESCUE/.test(text)) {
+        return { category: 'Rescue', event: 'Rescue', code: 'rescue' };
+    }
+    if (/HAZMAT|CHEMICAL|GAS LEAK/.test(text)) {
+        return { category: 'CBRNE', event: 'Hazardous Materials', code: 'hazmat' };
+    }
+    return { category: 'Other', event: type || 'Incident', code: 'other' };
+}
+
+/**
+ * A CAP identifier for an incident: its feed item id (see correlationService.getItemId),
+ * which contains none of the characters CAP identifiers can't (spaces, commas, < and &)
+ * This is the identifier of the incident's first alert; see getAlertMessage for the updates
+ */
+function getAlertIdentifier(incident) {
+    return incident.id || getItemId(incident);
+}
+
+/**
+ * The message fields of an incident's current alert
+ * The first alert (identifier = getAlertIdentifier, sent when the incident was reported) is
+ * an Alert; once the incident has been updated or closed the current alert is an Update with
+ * its own identifier (the first one plus the update time), whose references name the first
+ * alert, so consumers replace it rather than show both
+ */
+function getAlertMessage(incident, sender, timeZone) {
+    const identifier = getAlertIdentifier(incident);
+    const updatedAt = incident.updatedAt || incident.timestamp || new Date().toISOString();
+    const reportedAt = incident.reportedAt || updatedAt;
+
+    const updatedSeconds = Math.floor(new Date(updatedAt).getTime() / 1000);
+    const reportedSeconds = Math.floor(new Date(reportedAt).getTime() / 1000);
+
+    if (updatedSeconds <= reportedSeconds && incident.state !== 'closed') {
+        return { identifier, sent: updatedAt, msgType: 'Alert', references: null };
+    }
+
+    return {
+        identifier: `${identifier}-${updatedSeconds}`,
+        sent: updatedAt,
+        msgType: 'Update',
+        references: [sender, identifier, formatZonedTimestamp(reportedAt, timeZone)].join(',')
+    };
+}
+
+/**
+ * CAP "lat,lon" pair from a GeoJSON [lng, lat] position
+ */
+function formatCapPoint([lng, lat]) {
+    return `${lat},${lng}`;
+}
+
+/**
+ * CAP <polygon> values for each outer ring of a Polygon/MultiPolygon perimeter
+ */
+function getPerimeterPolygons(perimeter) {
+    if (!perimeter) return [];
+
+    const polygons = perimeter.type === 'Polygon' ? [perimeter.coordinates]
+        : perimeter.type === 'MultiPolygon' ? perimeter.coordinates
+            : [];
+
+    return polygons
+        .map(rings => rings[0])
+        // CAP polygons need at least four pairs, the first and last the same
+        .filter(ring => ring && ring.length >= 4)
+        .map(ring => ring.map(formatCapPoint).join(' '));
+}
+
+/**
+ * Build the <area> element: the perimeter as polygons where we have one, otherwise the
+ * incident point as a zero-radius circle (CAP has no point geometry; CAP-AU consumers,
+ * and our own CAP-AU source, read a zero-radius circle as a point)
+ */
+function buildArea(incident) {
+    const polygons = getPerimeterPolygons(incident.perimeter);
+    const [lng, lat] = incident.coordinates || [];
+    const circle = polygons.length === 0 && Number.isFinite(lng) && Number.isFinite(lat)
+        ? `${formatCapPoint([lng, lat])} 0`
+        : null;
+
+    return element('area',
+        textElement('areaDesc', incident.location || incident.title || 'Unknown Location'),
+        polygons.map(polygon => textElement('polygon', polygon)),
+        textElement('circle', circle)
+    );
+}
+
+/**
+ * Build a CAP alert element for an incident
+ * Options: { sender } (defaults to the CAP_SENDER app setting)
+ */
+function buildCapAlert(incident, { sender = process.env.CAP_SENDER || DEFAULT_SENDER } = {}) {
+    const timeZone = TIME_ZONES[incident.region] || TIME_ZONES.VIC;
+    const message = getAlertMessage(incident, sender, timeZone);
+
+    const closed = incident.state === 'closed';
+    const expiresAt = closed ? new Date(new Date(message.sent).getTime() + EXPIRY_HOURS * 60 * 60 * 1000) : null;
+    const capFields = WARNING_LEVEL_TO_CAP[incident.warningLevel] || WARNING_LEVEL_TO_CAP.advice;
+    const responseType = closed ? 'AllClear' : ACTION_TO_RESPONSE_TYPE[incident.warningAction] || 'Monitor';
+    const event = getEventCode(incident.type);
+    const headline = (incident.title || event.event).substring(0, MAX_HEADLINE_LENGTH);
+
+    return element('alert', { xmlns: CAP_NAMESPACE },
+        textElement('identifier', message.identifier),
+        textElement('sender', sender),
+        textElement('sent', formatZonedTimestamp(message.sent, timeZone)),
+        textElement('status', 'Actual'),
+        textElement('msgType', message.msgType),
+        textElement('source', incident.source),
+        textElement('scope', 'Public'),
+        textElement('code', CAP_AU_PROFILE),
+        textElement('references', message.references),
+        element('info',
+            textElement('language', 'en-AU'),
+            textElement('category', event.category),
+            textElement('event', event.event),
+            textElement('responseType', responseType),
+            textElement('urgency', closed ? 'Past' : capFields.urgency),
+            textElement('severity', capFields.severity),
+            textElement('certainty', capFields.certainty),
+            element('eventCode',
+                textElement('valueName', AU_EVENT_LIST),
+                textElement('value', event.code)
+            ),
+            textElement('onset', formatZonedTimestamp(incident.reportedAt || message.sent, timeZone)),
+            expiresAt ? textElement('expires', formatZonedTimestamp(expiresAt, timeZone)) : null,
+            textElement('senderName', incident.agency),
+            textElement('headline', headline),
+            textElement('description', incident.message),
+            textElement('instruction', incident.warningAction),
+            textElement('web', incident.link),
+            element('parameter',
+                textElement('valueName', 'IncidentStatus'),
+                textElement('value', incident.status || 'Unknown')
+            ),
+            buildArea(incident)
+        )
+    );
+}
+
+/**
+ * Serialise an incident as a standalone CAP document
+ */
+function serializeCapAlert(incident, options) {
+    return serializeDocument(buildCapAlert(incident, options));
+}
+
+/**
+ * Serialise incidents as an Atom index with each CAP alert embedded in its entry
+ * alertUrl(identifier) gives the link to the standalone alert
+ * Options: { title, selfUrl, alertUrl, sender }
+ */
+function serializeCapAtomFeed(incidents, { title = 'Emergency incidents (CAP-AU)', selfUrl, alertUrl, sender } = {}) {
+    const updated = incidents.reduce((latest, incident) => {
+        const time = incident.updatedAt || incident.timestamp;
+        return time && time > latest ? time : latest;
+    }, '') || new Date().toISOString();
+
+    const entries = incidents.map(incident => {
+        const identifier = getAlertIdentifier(incident);
+        const link = alertUrl ? alertUrl(identifier) : null;
+
+        return element('entry',
+            textElement('id', link || `urn:cap:${identifier}`),
+            textElement('title', incident.title || 'Unknown Location'),
+            textElement('updated', new Date(incident.updatedAt || incident.timestamp || updated).toISOString()),
+            link ? element('link', { rel: 'alternate', type: CAP_CONTENT_TYPE, href: link }) : null,
+            element('content', { type: CAP_CONTENT_TYPE }, buildCapAlert(incident, { sender }))
+        );
+    });
+
+    return serializeDocument(element('feed', { xmlns: ATOM_NAMESPACE },
+        textElement('id', selfUrl || 'urn:cap:emergency-incidents'),
+        textElement('title', title),
+        textElement('updated', new Date(updated).toISOString()),
+        selfUrl ? element('link', { rel: 'self', href: selfUrl }) : null,
+        element('author', textElement('name', process.env.CAP_SENDER || DEFAULT_SENDER)),
+        entries
+    ));
+}
+
+module.exports = {
+    CAP_NAMESPACE,
+    CAP_CONTENT_TYPE,
+    SEVERITY_TO_WARNING_LEVEL,
+    getAlertIdentifier,
+    buildCapAlert,
+    serializeCapAlert,
+    serializeCapAtomFeed
+};
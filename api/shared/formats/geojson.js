@@ -0,0 +1,101 @@
+/**
+ * GeoJSON Format
+ * Serialises feed items as an RFC 7946 FeatureCollection for GIS tools (QGIS, ArcGIS)
+ * Each item is a Point feature with every item field in its properties; items with a
+ * perimeter get a second feature for it, so each layer has a single geometry type
+ */
+
+const GEOJSON_CONTENT_TYPE = 'application/geo+json';
+
+// Item fields carried as geometry rather than properties
+const GEOMETRY_FIELDS = ['coordinates', 'perimeter'];
+
+/**
+ * Twice the signed area of a ring; positive when it runs counterclockwise
+ */
+function ringArea(ring) {
+    let area = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        area += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+    }
+    return area;
+}
+
+/**
+ * Wind a polygon's rings per RFC 7946: exterior counterclockwise, holes clockwise
+ */
+function rewindPolygon(rings) {
+    return rings.map((ring, index) => {
+        const counterclockwise = ringArea(ring) > 0;
+        return counterclockwise === (index === 0) ? ring : ring.slice().reverse();
+    });
+}
+
+/**
+ * RFC 7946 geometry for a Polygon/MultiPolygon perimeter
+ */
+function formatPerimeter(perimeter) {
+    if (perimeter.type === 'Polygon') {
+        return { type: 'Polygon', coordinates: rewindPolygon(perimeter.coordinates) };
+    }
+    return { type: 'MultiPolygon', coordinates: perimeter.coordinates.map(rewindPolygon) };
+}
+
+/**
+ * Feature properties for an item: every field except its geometry
+ */
+function getProperties(item, defaultSource) {
+    const properties = { source: item.source || defaultSource };
+    for (const [key, value] of Object.entries(item)) {
+        if (!GEOMETRY_FIELDS.includes(key)) {
+            properties[key] = value;
+        }
+    }
+    return properties;
+}
+
+/**
+ * Features for a feed item: its point (null geometry if it couldn't be located)
+ * and, where it has one, its perimeter
+ * featureType is 'incident' or 'perimeter'; perimeter ids are the item id + '-perimeter'
+ */
+function buildFeatures(item, defaultSource = null) {
+    const properties = getProperties(item, defaultSource);
+
+    const features = [{
+        type: 'Feature',
+        id: item.id,
+        geometry: item.coordinates ? { type: 'Point', coordinates: item.coordinates } : null,
+        properties: { ...properties, featureType: 'incident' }
+    }];
+
+    if (item.perimeter && ['Polygon', 'MultiPolygon'].includes(item.perimeter.type)) {
+        features.push({
+            type: 'Feature',
+            id: `${item.id}-perimeter`,
+            geometry: formatPerimeter(item.perimeter),
+            properties: { ...properties, featureType: 'perimeter' }
+        });
+    }
+
+    return features;
+}
+
+/**
+ * Serialise feed items as a FeatureCollection
+ * Options: { defaultSource } for items without a source field (CFA pager items)
+ */
+function serializeFeatureCollection(items, { defaultSource = null } = {}) {
+    const features = [];
+    for (const item of items) {
+        features.push(...buildFeatures(item, defaultSource));
+    }
+
+    return JSON.stringify({ type: 'FeatureCollection', features: features });
+}
+
+module.exports = {
+    GEOJSON_CONTENT_TYPE,
+    buildFeatures,
+    serializeFeatureCollection
+};
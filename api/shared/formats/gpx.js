@@ -0,0 +1,64 @@
+/**
+ * GPX Format
+ * Serialises feed items as GPX 1.1 waypoints for handheld GPS units
+ * Waypoints carry the warning level in <type> so units can group or filter by it
+ */
+
+const { element, textElement, serializeDocument } = require('../xmlWriter');
+const { WARNING_LEVEL_LABELS } = require('../warningService');
+
+const GPX_NAMESPACE = 'http://www.topografix.com/GPX/1/1';
+const GPX_CONTENT_TYPE = 'application/gpx+xml';
+
+const CREATOR = 'CFA Location Finder';
+
+/**
+ * Waypoint type: the warning level, or the item's source for pager incidents
+ */
+function getWaypointType(item, source) {
+    if (item.state === 'closed') return 'Closed';
+    return WARNING_LEVEL_LABELS[item.warningLevel] || `${source} Pager`;
+}
+
+function buildWaypoint(item, defaultSource) {
+    const [lng, lat] = item.coordinates;
+    const source = item.source || defaultSource;
+    const updatedAt = new Date(item.updatedAt || item.timestamp);
+
+    return element('wpt', { lat: String(lat), lon: String(lng) },
+        isNaN(updatedAt.getTime()) ? null : textElement('time', updatedAt.toISOString()),
+        textElement('name', item.title || item.location || 'Unknown Location'),
+        textElement('cmt', item.warningAction),
+        textElement('desc', item.message),
+        textElement('src', source),
+        item.link ? element('link', { href: item.link }, textElement('text', 'Incident details')) : null,
+        textElement('type', getWaypointType(item, source))
+    );
+}
+
+/**
+ * Serialise feed items as a GPX document of waypoints; items without coordinates are left out
+ * Options: { defaultSource, title }
+ */
+function serializeGpx(items, { defaultSource = null, title = 'Fire incidents' } = {}) {
+    // The latest item update rather than now, so an unchanged feed keeps the same ETag
+    const updated = items.reduce((latest, item) => {
+        const time = new Date(item.updatedAt || item.timestamp).getTime();
+        return time > latest ? time : latest;
+    }, 0);
+
+    return serializeDocument(element('gpx', { version: '1.1', creator: CREATOR, xmlns: GPX_NAMESPACE },
+        element('metadata',
+            textElement('name', title),
+            updated ? textElement('time', new Date(updated).toISOString()) : null
+        ),
+        items
+            .filter(item => item.coordinates)
+            .map(item => buildWaypoint(item, defaultSource))
+    ));
+}
+
+module.exports = {
+    GPX_CONTENT_TYPE,
+    serializeGpx
+};
@@ -0,0 +1,57 @@
+/**
+ * Feed Formats
+ * Registry of the export formats the feed endpoints can serve instead of JSON,
+ * selected by ?format= on the JSON endpoints or the extension of /api/feed.{format}
+ * Each format has a contentType and serialize(items, options) returning the body text;
+ * formats with collapseRelated list an event reported by both feeds once
+ * (see correlationService.collapseRelatedItems)
+ */
+
+const geojson = require('./geojson');
+const kml = require('./kml');
+const gpx = require('./gpx');
+const rss = require('./rss');
+
+const FEED_FORMATS = {
+    geojson: {
+        contentType: geojson.GEOJSON_CONTENT_TYPE,
+        serialize: geojson.serializeFeatureCollection
+    },
+    kml: {
+        contentType: kml.KML_CONTENT_TYPE,
+        serialize: kml.serializeKml
+    },
+    gpx: {
+        contentType: gpx.GPX_CONTENT_TYPE,
+        serialize: gpx.serializeGpx
+    },
+    rss: {
+        contentType: rss.RSS_CONTENT_TYPE,
+        serialize: rss.serializeRss,
+        collapseRelated: true
+    },
+    atom: {
+        contentType: rss.ATOM_CONTENT_TYPE,
+        serialize: rss.serializeAtom,
+        collapseRelated: true
+    }
+};
+
+/**
+ * Look up a format by name, or null if there's no such format
+ */
+function getFeedFormat(name) {
+    return FEED_FORMATS[String(name).toLowerCase()] || null;
+}
+
+/**
+ * Names of all formats, for error messages
+ */
+function getFeedFormatNames() {
+    return Object.keys(FEED_FORMATS);
+}
+
+module.exports = {
+    getFeedFormat,
+    getFeedFormatNames
+};
@@ -0,0 +1,132 @@
+/**
+ * KML Format
+ * Serialises feed items as a KML 2.2 document for Google Earth and GPS units that read KML
+ * Placemarks are styled by warning level using the Australian Warning System colours;
+ * CFA pager incidents, which have no warning level, get their own style
+ */
+
+const { element, textElement, serializeDocument } = require('../xmlWriter');
+const { WARNING_LEVEL_LABELS } = require('../warningService');
+
+const KML_NAMESPACE = 'http://www.opengis.net/kml/2.2';
+const KML_CONTENT_TYPE = 'application/vnd.google-earth.kml+xml';
+
+const ICON_URL = 'https://maps.google.com/mapfiles/kml/shapes/firedept.png';
+
+// Style per warning level (RGB hex), plus pager incidents and closed incidents
+const STYLES = {
+    emergency: '#D6001C',
+    watchAndAct: '#FF7900',
+    advice: '#FBE032',
+    pager: '#FF4444',
+    closed: '#95A5A6'
+};
+
+// Opacity of perimeter fill (hex alpha)
+const FILL_ALPHA = '55';
+
+/**
+ * KML colour (aabbggrr) from an RGB hex colour
+ */
+function toKmlColor(hex, alpha = 'ff') {
+    const [r, g, b] = [hex.substring(1, 3), hex.substring(3, 5), hex.substring(5, 7)];
+    return `${alpha}${b}${g}${r}`.toLowerCase();
+}
+
+function buildStyle(id, hex) {
+    return element('Style', { id: id },
+        element('IconStyle',
+            textElement('color', toKmlColor(hex)),
+            textElement('scale', id === 'emergency' ? '1.3' : '1.1'),
+            element('Icon', textElement('href', ICON_URL))
+        ),
+        element('LineStyle',
+            textElement('color', toKmlColor(hex)),
+            textElement('width', '2')
+        ),
+        element('PolyStyle', textElement('color', toKmlColor(hex, FILL_ALPHA)))
+    );
+}
+
+/**
+ * Style id for an item
+ */
+function getStyleId(item) {
+    if (item.state === 'closed') return 'closed';
+    return STYLES[item.warningLevel] ? item.warningLevel : 'pager';
+}
+
+function formatCoordinates(positions) {
+    return positions.map(([lng, lat]) => `${lng},${lat}`).join(' ');
+}
+
+function buildPolygon(rings) {
+    return element('Polygon',
+        element('outerBoundaryIs', element('LinearRing', textElement('coordinates', formatCoordinates(rings[0])))),
+        rings.slice(1).map(ring =>
+            element('innerBoundaryIs', element('LinearRing', textElement('coordinates', formatCoordinates(ring))))
+        )
+    );
+}
+
+/**
+ * Geometry for an item: its point, with the perimeter polygons where it has one
+ */
+function buildGeometry(item) {
+    const point = element('Point', textElement('coordinates', formatCoordinates([item.coordinates])));
+    if (!item.perimeter) {
+        return point;
+    }
+
+    const polygons = item.perimeter.type === 'Polygon' ? [item.perimeter.coordinates]
+        : item.perimeter.type === 'MultiPolygon' ? item.perimeter.coordinates
+            : [];
+
+    return element('MultiGeometry', point, polygons.map(buildPolygon));
+}
+
+function buildPlacemark(item, defaultSource) {
+    const source = item.source || defaultSource;
+    const level = WARNING_LEVEL_LABELS[item.warningLevel];
+    const description = [
+        level ? `${level}${item.warningAction ? ` - ${item.warningAction}` : ''}` : null,
+        item.message,
+        item.status ? `Status: ${item.status}` : null,
+        item.link
+    ].filter(Boolean).join('\n');
+
+    return element('Placemark', { id: item.id },
+        textElement('name', item.title || item.location || 'Unknown Location'),
+        textElement('description', description),
+        element('TimeStamp', textElement('when', item.updatedAt || item.timestamp)),
+        textElement('styleUrl', `#${getStyleId(item)}`),
+        element('ExtendedData',
+            [['source', source], ['warningLevel', item.warningLevel], ['type', item.type || item.incidentType],
+                ['status', item.status], ['location', item.location]]
+                .filter(([, value]) => value)
+                .map(([name, value]) => element('Data', { name: name }, textElement('value', value)))
+        ),
+        buildGeometry(item)
+    );
+}
+
+/**
+ * Serialise feed items as a KML document; items without coordinates are left out
+ * Options: { defaultSource, title }
+ */
+function serializeKml(items, { defaultSource = null, title = 'Fire incidents' } = {}) {
+    return serializeDocument(element('kml', { xmlns: KML_NAMESPACE },
+        element('Document',
+            textElement('name', title),
+            Object.entries(STYLES).map(([id, hex]) => buildStyle(id, hex)),
+            items
+                .filter(item => item.coordinates)
+                .map(item => buildPlacemark(item, defaultSource))
+        )
+    ));
+}
+
+module.exports = {
+    KML_CONTENT_TYPE,
+    serializeKml
+};
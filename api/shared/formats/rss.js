@@ -0,0 +1,148 @@
+/**
+ * RSS and Atom Formats
+ * Republishes feed items as RSS 2.0 or Atom 1.0 for community sites and feed readers
+ * Items carry a GeoRSS point, categories for warning level and source, and a GUID
+ * built from the item id so readers don't show the same incident twice across refreshes
+ */
+
+const { element, textElement, serializeDocument } = require('../xmlWriter');
+const { WARNING_LEVEL_LABELS } = require('../warningService');
+
+const RSS_CONTENT_TYPE = 'application/rss+xml';
+const ATOM_CONTENT_TYPE = 'application/atom+xml';
+
+const ATOM_NAMESPACE = 'http://www.w3.org/2005/Atom';
+const GEORSS_NAMESPACE = 'http://www.georss.org/georss';
+
+// Atom ids and category schemes are URNs in this namespace
+const URN_PREFIX = 'urn:cfa-location-finder';
+
+const DEFAULT_TITLE = 'Fire incidents';
+const DESCRIPTION = 'CFA pager incidents and emergency incidents, geocoded and merged';
+
+// Feed readers shouldn't poll more often than the feeds refresh
+const TTL_MINUTES = 1;
+
+/**
+ * Title for an item; CFA pager incidents have none, so use the incident type and location
+ */
+function getItemTitle(item) {
+    if (item.title) return item.title;
+    return [item.incidentTypeDescription || item.incidentType || 'Incident', item.location]
+        .filter(Boolean)
+        .join(' - ');
+}
+
+/**
+ * Plain-text summary: warning level and action, message and status
+ */
+function getItemSummary(item) {
+    const level = WARNING_LEVEL_LABELS[item.warningLevel];
+    return [
+        level ? `${level}${item.warningAction ? ` - ${item.warningAction}` : ''}` : null,
+        item.message,
+        item.status ? `Status: ${item.status}` : null
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * GeoRSS simple point ("lat lng"), or null for items without coordinates
+ */
+function buildGeoRssPoint(item) {
+    if (!item.coordinates) return null;
+    const [lng, lat] = item.coordinates;
+    return textElement('georss:point', `${lat} ${lng}`);
+}
+
+function getUpdated(item) {
+    const time = new Date(item.updatedAt || item.timestamp);
+    return isNaN(time.getTime()) ? null : time;
+}
+
+/**
+ * Latest update across the items, so an unchanged feed serialises (and ETags) the same
+ */
+function getFeedUpdated(items) {
+    const latest = items.reduce((max, item) => {
+        const updated = getUpdated(item);
+        return updated && updated.getTime() > max ? updated.getTime() : max;
+    }, 0);
+    return latest ? new Date(latest) : new Date(0);
+}
+
+function buildRssItem(item, defaultSource) {
+    const updated = getUpdated(item);
+    const level = WARNING_LEVEL_LABELS[item.warningLevel];
+
+    return element('item',
+        textElement('title', getItemTitle(item)),
+        textElement('link', item.link),
+        textElement('description', getItemSummary(item)),
+        level ? textElement('category', level, { domain: `${URN_PREFIX}:warningLevel` }) : null,
+        textElement('category', item.source || defaultSource, { domain: `${URN_PREFIX}:source` }),
+        textElement('guid', item.id, { isPermaLink: 'false' }),
+        updated ? textElement('pubDate', updated.toUTCString()) : null,
+        buildGeoRssPoint(item)
+    );
+}
+
+/**
+ * Serialise feed items as an RSS 2.0 channel
+ * Options: { defaultSource, selfUrl, title }
+ */
+function serializeRss(items, { defaultSource = null, selfUrl = null, title = DEFAULT_TITLE } = {}) {
+    return serializeDocument(element('rss', { version: '2.0', 'xmlns:atom': ATOM_NAMESPACE, 'xmlns:georss': GEORSS_NAMESPACE },
+        element('channel',
+            textElement('title', title),
+            textElement('link', selfUrl),
+            textElement('description', DESCRIPTION),
+            textElement('language', 'en-au'),
+            textElement('lastBuildDate', getFeedUpdated(items).toUTCString()),
+            textElement('ttl', TTL_MINUTES),
+            selfUrl ? element('atom:link', { href: selfUrl, rel: 'self', type: RSS_CONTENT_TYPE }) : null,
+            items.map(item => buildRssItem(item, defaultSource))
+        )
+    ));
+}
+
+function buildAtomEntry(item, defaultSource) {
+    const updated = getUpdated(item) || new Date(0);
+    const published = new Date(item.reportedAt || updated);
+    const level = WARNING_LEVEL_LABELS[item.warningLevel];
+    const source = item.source || defaultSource;
+
+    return element('entry',
+        textElement('id', `${URN_PREFIX}:incident:${item.id}`),
+        textElement('title', getItemTitle(item)),
+        textElement('updated', updated.toISOString()),
+        isNaN(published.getTime()) ? null : textElement('published', published.toISOString()),
+        item.link ? element('link', { rel: 'alternate', href: item.link }) : null,
+        textElement('summary', getItemSummary(item)),
+        level ? element('category', { term: item.warningLevel, label: level, scheme: `${URN_PREFIX}:warningLevel` }) : null,
+        source ? element('category', { term: source, scheme: `${URN_PREFIX}:source` }) : null,
+        buildGeoRssPoint(item)
+    );
+}
+
+/**
+ * Serialise feed items as an Atom 1.0 feed
+ * Options: { defaultSource, selfUrl, title }
+ */
+function serializeAtom(items, { defaultSource = null, selfUrl = null, title = DEFAULT_TITLE } = {}) {
+    return serializeDocument(element('feed', { xmlns: ATOM_NAMESPACE, 'xmlns:georss': GEORSS_NAMESPACE },
+        textElement('id', selfUrl || `${URN_PREFIX}:feed`),
+        textElement('title', title),
+        textElement('subtitle', DESCRIPTION),
+        textElement('updated', getFeedUpdated(items).toISOString()),
+        selfUrl ? element('link', { rel: 'self', type: ATOM_CONTENT_TYPE, href: selfUrl }) : null,
+        element('author', textElement('name', 'CFA Location Finder')),
+        items.map(item => buildAtomEntry(item, defaultSource))
+    ));
+}
+
+module.exports = {
+    RSS_CONTENT_TYPE,
+    ATOM_CONTENT_TYPE,
+    serializeRss,
+    serializeAtom
+};
@@ -0,0 +1,193 @@
+/**
+ * Geometry helpers for GeoJSON positions ([lng, lat])
+ * Used to match warnings, perimeters and incidents from different feeds
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+// Perimeter vertices are rounded to 5 decimal places (~1m) to keep cached feeds small
+const COORDINATE_PRECISION = 100000;
+
+/**
+ * Great-circle distance between two [lng, lat] positions in kilometres
+ */
+function distanceKm([lng1, lat1], [lng2, lat2]) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Flatten a geometry (and any nested GeometryCollections) into a list of simple geometries
+ */
+function flattenGeometry(geometry) {
+    if (!geometry) return [];
+
+    if (geometry.type === 'GeometryCollection') {
+        return (geometry.geometries || []).reduce((all, child) => all.concat(flattenGeometry(child)), []);
+    }
+
+    return geometry.coordinates ? [geometry] : [];
+}
+
+/**
+ * Whether a position is inside a linear ring (ray casting)
+ */
+function pointInRing([x, y], ring) {
+    let inside = false;
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+
+    return inside;
+}
+
+/**
+ * Whether a position is inside a Polygon's coordinates (outer ring minus holes)
+ */
+function pointInPolygon(point, rings) {
+    if (!rings || rings.length === 0 || !pointInRing(point, rings[0])) {
+        return false;
+    }
+    return !rings.slice(1).some(hole => pointInRing(point, hole));
+}
+
+/**
+ * Whether a position is inside any polygon of a geometry
+ * Points and lines never contain a position
+ */
+function pointInGeometry(point, geometry) {
+    return flattenGeometry(geometry).some(part => {
+        if (part.type === 'Polygon') return pointInPolygon(point, part.coordinates);
+        if (part.type === 'MultiPolygon') return part.coordinates.some(rings => pointInPolygon(point, rings));
+        return false;
+    });
+}
+
+/**
+ * A single [lng, lat] position representing a geometry: its first Point, otherwise the
+ * centre of its bounding box. Returns null for an empty geometry.
+ */
+function getRepresentativePoint(geometry) {
+    const parts = flattenGeometry(geometry);
+
+    const point = parts.find(part => part.type === 'Point');
+    if (point) {
+        return point.coordinates;
+    }
+
+    const bounds = getBounds(geometry);
+    return bounds ? [(bounds[0] + bounds[2]) / 2, (bounds[1] + bounds[3]) / 2] : null;
+}
+
+/**
+ * Bounding box [west, south, east, north] of a geometry, or null if it has no positions
+ */
+function getBounds(geometry) {
+    let bounds = null;
+
+    const visit = coordinates => {
+        if (typeof coordinates[0] === 'number') {
+            const [lng, lat] = coordinates;
+            bounds = bounds
+                ? [Math.min(bounds[0], lng), Math.min(bounds[1], lat), Math.max(bounds[2], lng), Math.max(bounds[3], lat)]
+                : [lng, lat, lng, lat];
+            return;
+        }
+        coordinates.forEach(visit);
+    };
+
+    for (const part of flattenGeometry(geometry)) {
+        visit(part.coordinates);
+    }
+
+    return bounds;
+}
+
+/**
+ * Approximate a circle as a Polygon with the given number of segments
+ * Used for areas published as circles (e.g. CAP <circle>) so they can be drawn and matched like polygons
+ */
+function circleToPolygon([lng, lat], radiusKm, segments = 32) {
+    const ring = [];
+    const angularRadius = radiusKm / EARTH_RADIUS_KM;
+    const latRadians = lat * Math.PI / 180;
+    const lngRadians = lng * Math.PI / 180;
+
+    for (let i = 0; i < segments; i++) {
+        const bearing = 2 * Math.PI * i / segments;
+        const pointLat = Math.asin(Math.sin(latRadians) * Math.cos(angularRadius) +
+            Math.cos(latRadians) * Math.sin(angularRadius) * Math.cos(bearing));
+        const pointLng = lngRadians + Math.atan2(Math.sin(bearing) * Math.sin(angularRadius) * Math.cos(latRadians),
+            Math.cos(angularRadius) - Math.sin(latRadians) * Math.sin(pointLat));
+        ring.push([pointLng * 180 / Math.PI, pointLat * 180 / Math.PI]);
+    }
+    ring.push(ring[0]);
+
+    return { type: 'Polygon', coordinates: [ring] };
+}
+
+/**
+ * Combine the polygons among a list of geometries into a single Polygon or MultiPolygon perimeter
+ * Returns null when there are no polygons
+ */
+function buildPerimeter(geometries) {
+    const polygons = [];
+    for (const geometry of geometries) {
+        if (geometry.type === 'Polygon') {
+            polygons.push(geometry.coordinates);
+        } else if (geometry.type === 'MultiPolygon') {
+            polygons.push(...geometry.coordinates);
+        }
+    }
+
+    if (polygons.length === 0) {
+        return null;
+    }
+
+    const rounded = polygons.map(polygon => polygon.map(ring => ring.map(([lng, lat]) => [
+        Math.round(lng * COORDINATE_PRECISION) / COORDINATE_PRECISION,
+        Math.round(lat * COORDINATE_PRECISION) / COORDINATE_PRECISION
+    ])));
+
+    return rounded.length === 1
+        ? { type: 'Polygon', coordinates: rounded[0] }
+        : { type: 'MultiPolygon', coordinates: rounded };
+}
+
+/**
+ * Split a feed item's geometry into the incident point and its perimeter
+ * The point is the first Point, otherwise the centre of the perimeter
+ * Returns { point, perimeter }, either of which may be null
+ */
+function splitIncidentGeometry(geometry) {
+    const parts = flattenGeometry(geometry);
+    const perimeter = buildPerimeter(parts);
+    const point = parts.find(part => part.type === 'Point');
+
+    return {
+        point: point ? point.coordinates : getRepresentativePoint(perimeter),
+        perimeter: perimeter
+    };
+}
+
+module.exports = {
+    distanceKm,
+    circleToPolygon,
+    buildPerimeter,
+    splitIncidentGeometry,
+    flattenGeometry,
+    pointInGeometry,
+    getRepresentativePoint,
+    getBounds
+};
@@ -5,12 +5,24 @@
 
 const fetch = require('node-fetch');
 const { getEnrichedAlert, storeEnrichedAlert, normalizeLocationKey } = require('./storageService');
+const { resolveGridReference } = require('./gridReferenceService');
+
+// Location matches at or above this confidence are geocoded as a street address;
+// anything less precise is geocoded as the suburb alone
+const STREET_LEVEL_CONFIDENCE = 0.7;
+
+// Mapbox feature types to accept for each query precision
+const PRECISION_TYPES = {
+    street: 'address,street,poi',
+    suburb: 'locality,place,neighborhood,postcode'
+};
 
 /**
  * Geocode a location using Mapbox API
  * Checks cache first, only calls Mapbox if location hasn't been geocoded before
+ * precision ('street' or 'suburb') restricts the Mapbox result types; omit it to accept any
  */
-async function geocodeLocation(location, feedType = 'default', context = null) {
+async function geocodeLocation(location, feedType = 'default', context = null, precision = null) {
     if (!location) {
         return null;
     }
@@ -48,7 +60,8 @@ async function geocodeLocation(location, feedType = 'default', context = null) {
     
     try {
         const query = encodeURIComponent(`${location}, Victoria, Australia`);
-        const url = `https://api.mapbox.com/geocoding/v5/mapbox.places/${query}.json?access_token=${mapboxToken}&country=AU&limit=1`;
+        const types = PRECISION_TYPES[precision] ? `&types=${PRECISION_TYPES[precision]}` : '';
+        const url = `https://api.mapbox.com/geocoding/v5/mapbox.places/${query}.json?access_token=${mapboxToken}&country=AU&limit=1${types}`;
         
         if (context) {
             context.log(`Geocoding ${location} via Mapbox API`);
@@ -93,9 +106,38 @@ async function geocodeLocation(location, feedType = 'default', context = null) {
     }
 }
 
+/**
+ * Choose the geocoding queries for an alert based on its location match
+ * Confident street-level matches are tried as an address first, falling back to the suburb;
+ * low-confidence matches go straight to a suburb-level query
+ * Alerts without a location match (e.g. emergency incidents) use the location as-is
+ */
+function buildGeocodeQueries(alert) {
+    const match = alert.locationMatch;
+    
+    if (!match) {
+        return alert.location ? [{ query: alert.location, precision: null }] : [];
+    }
+    
+    const queries = [];
+    if (match.street && match.confidence >= STREET_LEVEL_CONFIDENCE) {
+        queries.push({ query: alert.location, precision: 'street' });
+    }
+    if (match.suburb) {
+        queries.push({ query: match.suburb, precision: 'suburb' });
+    }
+    if (queries.length === 0 && alert.location) {
+        queries.push({ query: alert.location, precision: null });
+    }
+    
+    return queries;
+}
+
 /**
  * Enrich alerts with coordinates by geocoding their locations
  * Only geocodes locations that aren't already enriched in the cache
+ * Falls back to the map grid reference (cell centre) when there's no usable location
+ * or geocoding finds nothing; coordinateSource records how each alert was placed
  */
 async function enrichAlertsWithCoordinates(alerts, feedType, context = null) {
     if (!alerts || alerts.length === 0) {
@@ -104,18 +146,22 @@ async function enrichAlertsWithCoordinates(alerts, feedType, context = null) {
     
     let geocodedCount = 0;
     let cachedCount = 0;
+    let gridCount = 0;
     let failedCount = 0;
     
     // Process alerts sequentially to avoid overwhelming Mapbox API
     for (const alert of alerts) {
         // Skip if already has coordinates (e.g., from Emergency VIC feed)
         if (alert.coordinates && alert.coordinates.length === 2) {
+            if (!alert.coordinateSource) {
+                alert.coordinateSource = 'feed';
+            }
             continue;
         }
         
-        // Try to get coordinates for the location
-        if (alert.location) {
-            const locationKey = normalizeLocationKey(alert.location);
+        // Try to get coordinates for the location, most precise query first
+        for (const { query, precision } of buildGeocodeQueries(alert)) {
+            const locationKey = normalizeLocationKey(query);
             const cached = await getEnrichedAlert(feedType, locationKey);
             
             if (cached) {
@@ -123,19 +169,39 @@ async function enrichAlertsWithCoordinates(alerts, feedType, context = null) {
                 cachedCount++;
             } else {
                 // Geocode the location
-                const geocoded = await geocodeLocation(alert.location, feedType, context);
-                if (geocoded) {
-                    alert.coordinates = geocoded.coordinates;
-                    geocodedCount++;
-                } else {
-                    failedCount++;
+                const geocoded = await geocodeLocation(query, feedType, context, precision);
+                if (!geocoded) {
+                    continue;
                 }
+                alert.coordinates = geocoded.coordinates;
+                geocodedCount++;
+            }
+            
+            alert.coordinateSource = 'geocoded';
+            alert.geocodePrecision = precision || 'any';
+            break;
+        }
+        
+        if (alert.coordinates) {
+            continue;
+        }
+        
+        // Offline fallback: approximate position from the map book grid reference
+        const gridLocation = resolveGridReference(alert.mapReference);
+        if (gridLocation) {
+            alert.coordinates = gridLocation.coordinates;
+            alert.coordinateSource = 'grid';
+            gridCount++;
+            if (context) {
+                context.log(`Placed alert at grid reference ${gridLocation.placeName}`);
             }
+        } else {
+            failedCount++;
         }
     }
     
     if (context) {
-        context.log(`Enrichment complete: ${geocodedCount} new geocoded, ${cachedCount} from cache, ${failedCount} failed`);
+        context.log(`Enrichment complete: ${geocodedCount} new geocoded, ${cachedCount} from cache, ${gridCount} from grid reference, ${failedCount} failed`);
     }
     
     return alerts;
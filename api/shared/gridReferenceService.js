@@ -0,0 +1,107 @@
+/**
+ * Grid Reference Service
+ * Resolves map book grid references (Spatial Vision "SVSE 8102 H6", Melway "M 26 A4")
+ * to approximate coordinates offline
+ * Used as a geocoding fallback when a pager message has no usable address
+ * The index is supplied by the operator as a JSON file named by the MAP_GRID_INDEX_PATH app
+ * setting; without one, the empty data/mapGridIndex.json is used and nothing is resolved
+ */
+
+const fs = require('fs');
+
+// Empty index showing the file's shape: { books: { code: { name, columns, rows } }, pages: { 'BOOK PAGE': bounds } }
+const EMPTY_INDEX_PATH = require.resolve('./data/mapGridIndex.json');
+
+// Index, loaded on first use
+let gridIndex = null;
+
+/**
+ * Load (once) and return the grid index
+ * A file that can't be read or parsed is logged and treated as an empty index
+ */
+function getGridIndex() {
+    if (!gridIndex) {
+        const path = process.env.MAP_GRID_INDEX_PATH || EMPTY_INDEX_PATH;
+        try {
+            const data = JSON.parse(fs.readFileSync(path, 'utf8'));
+            gridIndex = { books: data.books || {}, pages: data.pages || {} };
+        } catch (error) {
+            console.error(`Failed to load map grid index ${path}:`, error.message);
+            gridIndex = { books: {}, pages: {} };
+        }
+    }
+    return gridIndex;
+}
+
+/**
+ * Resolve a grid reference to the centre of its map cell
+ * Accepts the mapReference object produced by the CFA message parser ({ book, page, cell })
+ * Returns { coordinates: [lng, lat], placeName } or null if the page isn't in the index
+ */
+function resolveGridReference(mapReference) {
+    if (!mapReference || !mapReference.book || !mapReference.page) {
+        return null;
+    }
+
+    const { books, pages } = getGridIndex();
+    const book = books[mapReference.book];
+    const bounds = pages[`${mapReference.book} ${mapReference.page}`];
+
+    if (!book || !bounds) {
+        return null;
+    }
+
+    const [west, south, east, north] = bounds;
+
+    // Without a usable cell, fall back to the centre of the page
+    const cell = parseCell(mapReference.cell, book);
+    if (!cell) {
+        return {
+            coordinates: [roundCoordinate((west + east) / 2), roundCoordinate((south + north) / 2)],
+            placeName: `${book.name} ${mapReference.page}`
+        };
+    }
+
+    // Columns run west to east, rows north to south
+    const cellWidth = (east - west) / book.columns.length;
+    const cellHeight = (north - south) / book.rows;
+
+    return {
+        coordinates: [
+            roundCoordinate(west + cellWidth * (cell.column + 0.5)),
+            roundCoordinate(north - cellHeight * (cell.row + 0.5))
+        ],
+        placeName: `${book.name} ${mapReference.page} ${mapReference.cell}`
+    };
+}
+
+/**
+ * Parse a cell such as "H6" into zero-based column and row indexes
+ * Returns null if the cell is outside the book's grid
+ */
+function parseCell(cellText, book) {
+    if (!cellText) return null;
+
+    const match = String(cellText).toUpperCase().match(/^([A-Z])(\d{1,2})$/);
+    if (!match) return null;
+
+    const column = book.columns.indexOf(match[1]);
+    const row = parseInt(match[2], 10) - 1;
+
+    if (column < 0 || row < 0 || row >= book.rows) {
+        return null;
+    }
+
+    return { column, row };
+}
+
+/**
+ * Round to 5 decimal places (~1m), plenty for a cell centre
+ */
+function roundCoordinate(value) {
+    return Math.round(value * 100000) / 100000;
+}
+
+module.exports = {
+    resolveGridReference
+};
@@ -0,0 +1,130 @@
+/**
+ * Ingestion Service
+ * Fetches the upstream feeds into FeedCache in the background (the ingestFeeds timer), so the
+ * HTTP endpoints only ever read the cache
+ * The CFA pager feed and each enabled emergency source are ingested on their own interval:
+ * the adapter's refreshIntervalMs, overridden by the INGEST_INTERVALS app setting
+ * (seconds per feed, e.g. "CFA=60,NSW=120,QLD=300"), or CACHE_TTL_MS by default
+ * The timer runs once a minute, so intervals under a minute are fetched once a minute
+ */
+
+const { CACHE_TTL_MS, acquireFetchLease, releaseFetchLease, updateLastFetch } = require('./storageService');
+const { getEnabledSources } = require('./sources');
+const {
+    CFA_FEED_TYPE,
+    refreshCFAAlerts,
+    refreshSource,
+    rebuildEmergencyIncidents,
+    getSourceFeedType
+} = require('./feedService');
+
+// A feed is due this much before its interval is up, so a fetch recorded a few seconds into
+// the last timer run doesn't push a one-minute interval to the run after next
+const SCHEDULE_SLACK_MS = 10 * 1000;
+
+/**
+ * Parse INGEST_INTERVALS into a map of feed id to interval in milliseconds
+ * Malformed entries are logged and ignored
+ */
+function getConfiguredIntervals() {
+    const intervals = new Map();
+
+    for (const entry of String(process.env.INGEST_INTERVALS || '').split(',').map(value => value.trim()).filter(Boolean)) {
+        const match = entry.match(/^([A-Za-z0-9_-]+)\s*=\s*(\d+)$/);
+        if (match && parseInt(match[2], 10) > 0) {
+            intervals.set(match[1].toUpperCase(), parseInt(match[2], 10) * 1000);
+        } else {
+            console.warn(`INGEST_INTERVALS: invalid entry "${entry}" ignored`);
+        }
+    }
+
+    return intervals;
+}
+
+/**
+ * The feeds to ingest, as [{ id, feedType, intervalMs, source }]
+ * source is the emergency source adapter, or undefined for the CFA pager feed
+ */
+function getIngestionJobs() {
+    const intervals = getConfiguredIntervals();
+
+    const jobs = [{
+        id: CFA_FEED_TYPE,
+        feedType: CFA_FEED_TYPE,
+        intervalMs: intervals.get(CFA_FEED_TYPE) || CACHE_TTL_MS
+    }];
+
+    for (const source of getEnabledSources()) {
+        jobs.push({
+            id: source.id,
+            feedType: getSourceFeedType(source),
+            intervalMs: intervals.get(source.id) || source.refreshIntervalMs || CACHE_TTL_MS,
+            source: source
+        });
+    }
+
+    return jobs;
+}
+
+/**
+ * Ingest every feed that's due and not already being fetched elsewhere (see acquireFetchLease)
+ * Feeds are fetched side by side; the combined emergency feed is rebuilt as each source
+ * finishes (one rebuild at a time), so a slow source doesn't hold up the others
+ * Never throws: returns [{ id, ok, durationMs, error }] for the feeds that were due
+ */
+async function ingestDueFeeds(context) {
+    const due = [];
+    for (const job of getIngestionJobs()) {
+        try {
+            const lease = await acquireFetchLease(job.feedType, { intervalMs: job.intervalMs - SCHEDULE_SLACK_MS });
+            if (lease) {
+                due.push({ ...job, lease });
+            }
+        } catch (error) {
+            // Without the lease the feed isn't fetched this run; the others still are
+            context.log.error(`Ingestion of ${job.id}: could not take the fetch lease:`, error.message);
+        }
+    }
+
+    if (due.length === 0) {
+        context.log('Ingestion: no feeds due');
+        return [];
+    }
+    context.log(`Ingestion: fetching ${due.map(job => job.id).join(', ')}`);
+
+    let rebuilding = Promise.resolve();
+
+    return Promise.all(due.map(async job => {
+        const startTime = Date.now();
+        try {
+            if (job.source) {
+                const result = await refreshSource(job.source, context);
+                const rebuild = rebuilding.then(() => rebuildEmergencyIncidents(context, [result]));
+                // A failed rebuild doesn't stop the next one
+                rebuilding = rebuild.catch(() => {});
+                await rebuild;
+                return { id: job.id, ok: result.status.ok, durationMs: Date.now() - startTime, error: result.status.error };
+            }
+
+            await refreshCFAAlerts(context);
+            return { id: job.id, ok: true, durationMs: Date.now() - startTime };
+        } catch (error) {
+            context.log.error(`Ingestion of ${job.id} failed:`, error.message);
+            // Counts as an attempt, so a failing feed is retried on its interval rather than every run
+            await updateLastFetch(job.feedType).catch(trackerError => {
+                context.log.error(`Ingestion of ${job.id}: could not record the attempt:`, trackerError.message);
+            });
+            return { id: job.id, ok: false, durationMs: Date.now() - startTime, error: error.message };
+        } finally {
+            // A lease left held expires on its own (see acquireFetchLease)
+            await releaseFetchLease(job.lease).catch(leaseError => {
+                context.log.error(`Ingestion of ${job.id}: could not release the fetch lease:`, leaseError.message);
+            });
+        }
+    }));
+}
+
+module.exports = {
+    getIngestionJobs,
+    ingestDueFeeds
+};
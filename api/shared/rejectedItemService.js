@@ -0,0 +1,107 @@
+/**
+ * Rejected Item Service
+ * Quarantines feed items the parsers couldn't place on the map (no location, failed geocoding,
+ * no coordinates) so the message formats they missed can be reviewed via /api/diagnostics/rejected
+ */
+
+const crypto = require('crypto');
+const { pruneRejectedItems, storeRejectedItems } = require('./storageService');
+
+// Why an item was rejected
+const REJECTION_REASONS = {
+    NO_LOCATION: 'NO_LOCATION',         // extractLocation found no location in a pager message
+    GEOCODE_FAILED: 'GEOCODE_FAILED',   // a location was extracted but couldn't be geocoded
+    NO_COORDINATES: 'NO_COORDINATES',   // an RSS item carried no usable coordinates
+    PARSE_ERROR: 'PARSE_ERROR'          // the item threw while being parsed
+};
+
+// How long rejected items are kept
+const RETENTION_MS = 14 * 24 * 60 * 60 * 1000;
+
+// How often each source's expired items are deleted and its stored fingerprints re-read
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Fingerprints of the items stored for each source: source -> { fingerprints, prunedAt }
+const recordedItems = new Map();
+
+/**
+ * Create a rejected item record
+ * rawText is the original message or XML so the parser can be replayed against it later
+ */
+function createRejectedItem(source, reason, rawText, details = '') {
+    return { source, reason, rawText, details };
+}
+
+/**
+ * Find CFA incidents that the location pipeline failed on
+ * Reported even when a grid reference placed the incident, since that's only an approximate fallback
+ */
+function findRejectedAlerts(alerts, source) {
+    const rejected = [];
+
+    for (const alert of alerts || []) {
+        if (!alert.location) {
+            rejected.push(createRejectedItem(source, REJECTION_REASONS.NO_LOCATION, alert.message, alert.incidentId || ''));
+        } else if (!alert.coordinates || alert.coordinateSource === 'grid') {
+            rejected.push(createRejectedItem(source, REJECTION_REASONS.GEOCODE_FAILED, alert.message, alert.location));
+        }
+    }
+
+    return rejected;
+}
+
+/**
+ * Fingerprint of a rejected item: the same message rejected for the same reason on every
+ * fetch has the same fingerprint, so it's stored once
+ */
+function fingerprintRejectedItem(item) {
+    return crypto.createHash('sha1').update(`${item.reason}|${item.rawText || ''}`).digest('hex');
+}
+
+/**
+ * Save one source's rejected items to the quarantine table
+ * Only items whose fingerprint isn't stored yet are written, and items are deleted once they're
+ * older than RETENTION_MS, so a refresh that rejects the same items as the last one costs nothing
+ * Failures are logged by the storage layer and never fail the feed request
+ */
+async function recordRejectedItems(source, items, context = null) {
+    const now = new Date();
+    let recorded = recordedItems.get(source);
+
+    if (!recorded || now - recorded.prunedAt >= PRUNE_INTERVAL_MS) {
+        const fingerprints = await pruneRejectedItems(source, new Date(now.getTime() - RETENTION_MS));
+        if (!fingerprints) {
+            return;
+        }
+        recorded = { fingerprints, prunedAt: now };
+        recordedItems.set(source, recorded);
+    }
+
+    const newItems = new Map();
+    for (const item of items || []) {
+        const fingerprint = fingerprintRejectedItem(item);
+        if (!recorded.fingerprints.has(fingerprint)) {
+            newItems.set(fingerprint, { ...item, fingerprint });
+        }
+    }
+
+    if (newItems.size === 0 || !(await storeRejectedItems(source, Array.from(newItems.values()), now))) {
+        return;
+    }
+
+    for (const fingerprint of newItems.keys()) {
+        recorded.fingerprints.add(fingerprint);
+    }
+
+    if (context) {
+        context.log(`Recorded ${newItems.size} new rejected ${source} items`);
+    }
+}
+
+module.exports = {
+    REJECTION_REASONS,
+    RETENTION_MS,
+    createRejectedItem,
+    findRejectedAlerts,
+    recordRejectedItems
+};
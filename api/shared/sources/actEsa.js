@@ -0,0 +1,118 @@
+/**
+ * ACT ESA source adapter
+ * Current incidents RSS from the ACT Emergency Services Agency
+ * The incident point is a georss:point; suburb, status, type and vehicles are "Label: value"
+ * lines in the description. The feed publishes no warning levels, so levels are inferred
+ */
+
+const { fetchFeedText } = require('./fetchFeed');
+const { parseFeed } = require('../feedParser');
+const { parseFeedTimestamp, TIME_ZONES } = require('../timestampService');
+const { REJECTION_REASONS, createRejectedItem } = require('../rejectedItemService');
+const { inferWarningLevel } = require('../warningService');
+const { parseLabelledFields, htmlToText } = require('./descriptionFields');
+
+const FEED_URL = process.env.ACT_ESA_FEED_URL || 'https://www.esa.act.gov.au/feeds/currentincidents.xml';
+
+const SOURCE_ID = 'ACT';
+
+/**
+ * Fetch the raw RSS
+ */
+async function fetchSource(context) {
+    return fetchFeedText(FEED_URL, {}, context);
+}
+
+/**
+ * Parse the RSS into feed items
+ */
+function parse(feedText) {
+    if (!feedText || !feedText.trim()) {
+        return [];
+    }
+
+    const feed = parseFeed(feedText);
+    if (!feed.format) {
+        console.warn('ACT ESA feed does not appear to be RSS/XML format');
+        return [];
+    }
+
+    console.log(`Parsed ${feed.items.length} items from ACT ESA feed`);
+    return feed.items;
+}
+
+/**
+ * Convert a feed item to an incident
+ * Returns null (and records the rejection) when the item has no georss:point
+ */
+function normalise(item, rejected = []) {
+    // The frontend shows these as HTML, so only their text is kept
+    const title = htmlToText(item.title) || 'Unknown Location';
+
+    if (!item.point) {
+        rejected.push(createRejectedItem(SOURCE_ID, REJECTION_REASONS.NO_COORDINATES, item.raw, title));
+        return null;
+    }
+
+    const fields = parseLabelledFields(item.description, {
+        'Suburb': 'suburb',
+        'Status': 'status',
+        'Type': 'type',
+        'Vehicles': 'vehicles',
+        'Updated': 'updated'
+    });
+    const incidentData = {};
+    for (const [key, value] of Object.entries(fields)) {
+        incidentData[key] = htmlToText(value);
+    }
+
+    // pubDate is when the incident was reported, Updated (Canberra local) its latest change
+    const reportedAt = parseFeedTimestamp(item.pubDate, TIME_ZONES.ACT) || null;
+    const updatedAt = parseFeedTimestamp(incidentData.updated, TIME_ZONES.ACT) || reportedAt;
+
+    const location = incidentData.suburb || title;
+    const type = (incidentData.type || 'FIRE').toUpperCase();
+
+    return {
+        title: title,
+        message: formatACTIncidentMessage(location, incidentData),
+        timestamp: updatedAt,
+        reportedAt: reportedAt,
+        updatedAt: updatedAt,
+        location: location,
+        coordinates: item.point,
+        incidentId: item.guid || null,
+        incidentName: '',
+        type: type,
+        status: incidentData.status || 'Unknown',
+        size: 'Unknown',
+        vehicles: incidentData.vehicles || '0',
+        agency: 'ACT ESA',
+        warningLevel: inferWarningLevel({ ...incidentData, type: type }),
+        warningLevelSource: 'heuristic',
+        warningAction: null,
+        link: item.link || null,
+        source: SOURCE_ID
+    };
+}
+
+/**
+ * Format ACT incident message for display
+ */
+function formatACTIncidentMessage(location, incidentData) {
+    const type = incidentData.type || 'FIRE';
+    const status = incidentData.status || 'Unknown status';
+    const vehicles = incidentData.vehicles || '0';
+
+    return `${type} at ${location} - ${status} - Vehicles: ${vehicles}`;
+}
+
+module.exports = {
+    id: SOURCE_ID,
+    name: 'ACT Emergency Services Agency',
+    defaultRegion: 'ACT',
+    url: FEED_URL,
+    fetch: fetchSource,
+    parse,
+    normalise
+};
@@ -0,0 +1,331 @@
+/**
+ * CAP-AU source adapter
+ * Warnings published by Australian agencies as Common Alerting Protocol 1.2 (CAP-AU profile)
+ * The feed can be a single <alert>, a document embedding several alerts (e.g. an Atom feed
+ * with alerts in <content>), or an Atom/RSS index linking to each alert
+ * Only enabled when CAP_AU_FEED_URL is set
+ */
+
+const { fetchFeedText } = require('./fetchFeed');
+const { parseFeed } = require('../feedParser');
+const { parseXmlDocument, getNodeText, getNodeXml } = require('../xmlParser');
+const { parseFeedTimestamp, TIME_ZONES } = require('../timestampService');
+const { REJECTION_REASONS, createRejectedItem } = require('../rejectedItemService');
+const { classifyWarning } = require('../warningService');
+const { circleToPolygon, buildPerimeter, getRepresentativePoint } = require('../geoUtils');
+const { CAP_NAMESPACE, SEVERITY_TO_WARNING_LEVEL } = require('../formats/cap');
+const { htmlToText } = require('./descriptionFields');
+
+const FEED_URL = process.env.CAP_AU_FEED_URL || null;
+const REGION = process.env.CAP_AU_REGION || 'VIC';
+
+// Upper limit on alerts fetched from an index feed per refresh
+const MAX_LINKED_ALERTS = 50;
+
+const CAP_ACCEPT = 'application/cap+xml, application/atom+xml, application/rss+xml, application/xml, text/xml, */*';
+
+const SOURCE_ID = 'CAP';
+
+/**
+ * Fetch the CAP feed
+ * Index feeds without embedded alerts have their linked alerts fetched and combined into
+ * one document so parse() sees every alert
+ */
+async function fetchSource(context) {
+    if (!FEED_URL) {
+        throw new Error('CAP_AU_FEED_URL is not configured');
+    }
+
+    const feedText = await fetchFeedText(FEED_URL, { accept: CAP_ACCEPT }, context);
+    if (feedText.includes(CAP_NAMESPACE)) {
+        return feedText;
+    }
+
+    const feed = parseFeed(feedText);
+    if (!feed.format) {
+        return feedText;
+    }
+
+    const links = feed.items.map(item => item.link).filter(Boolean).slice(0, MAX_LINKED_ALERTS);
+    const alerts = await Promise.all(links.map(link =>
+        fetchFeedText(link, { accept: CAP_ACCEPT }, context).catch(error => {
+            if (context) {
+                context.log.warn(`CAP alert ${link} failed: ${error.message}`);
+            }
+            return '';
+        })
+    ));
+
+    // Drop each alert's XML declaration so they can sit inside one root element
+    return `<alerts>${alerts.map(text => text.replace(/^\s*<\?xml[^>]*\?>/, '')).join('\n')}</alerts>`;
+}
+
+/**
+ * Child elements of a CAP element by local name
+ * Everything inside an <alert> is in the CAP namespace, whatever prefix the publisher chose
+ */
+function findCapChildren(node, local) {
+    return node.children.filter(child => child.tag.local === local);
+}
+
+function getCapText(node, local) {
+    const child = findCapChildren(node, local)[0];
+    return child ? getNodeText(child) || null : null;
+}
+
+/**
+ * Find every <alert> element in a document
+ */
+function findAlerts(node, results = []) {
+    if (node.tag.local === 'alert' && (node.tag.namespace === CAP_NAMESPACE || findCapChildren(node, 'identifier').length > 0)) {
+        results.push(node);
+        return results;
+    }
+    for (const child of node.children) {
+        findAlerts(child, results);
+    }
+    return results;
+}
+
+/**
+ * Read an <info> block
+ */
+function parseInfo(info) {
+    const parameters = {};
+    for (const parameter of findCapChildren(info, 'parameter')) {
+        const name = getCapText(parameter, 'valueName');
+        if (name) parameters[name] = getCapText(parameter, 'value');
+    }
+
+    return {
+        language: getCapText(info, 'language') || 'en-US',
+        event: getCapText(info, 'event'),
+        responseTypes: findCapChildren(info, 'responseType').map(getNodeText),
+        urgency: getCapText(info, 'urgency'),
+        severity: getCapText(info, 'severity'),
+        certainty: getCapText(info, 'certainty'),
+        onset: getCapText(info, 'onset') || getCapText(info, 'effective'),
+        expires: getCapText(info, 'expires'),
+        senderName: getCapText(info, 'senderName'),
+        headline: getCapText(info, 'headline'),
+        description: getCapText(info, 'description'),
+        instruction: getCapText(info, 'instruction'),
+        web: getCapText(info, 'web'),
+        parameters: parameters,
+        areas: findCapChildren(info, 'area').map(area => ({
+            areaDesc: getCapText(area, 'areaDesc'),
+            polygons: findCapChildren(area, 'polygon').map(getNodeText),
+            circles: findCapChildren(area, 'circle').map(getNodeText)
+        }))
+    };
+}
+
+/**
+ * Parse a <references> value: space-separated "sender,identifier,sent" triples
+ */
+function parseReferences(text) {
+    return (text || '').split(/\s+/).filter(Boolean)
+        .map(reference => reference.split(','))
+        .filter(([sender, identifier]) => sender && identifier)
+        .map(([sender, identifier, sent]) => ({ sender, identifier, sent: sent || null }));
+}
+
+function getAlertKey(sender, identifier) {
+    return `${sender || ''},${identifier}`;
+}
+
+/**
+ * Fold Update and Cancel alerts into the incidents they replace
+ * Alerts referenced by a later alert in the feed are dropped, and every update takes the
+ * identifier of the first alert in its chain as its incidentKey, so an incident keeps its id
+ * through its updates (whether or not the earlier alerts are still published)
+ */
+function foldReferences(records) {
+    const referencesByKey = new Map();
+    for (const record of records) {
+        if (record.msgType === 'Update' || record.msgType === 'Cancel') {
+            referencesByKey.set(getAlertKey(record.sender, record.identifier), record.references);
+        }
+    }
+
+    const replaced = new Set();
+    for (const references of referencesByKey.values()) {
+        for (const reference of references) {
+            replaced.add(getAlertKey(reference.sender, reference.identifier));
+        }
+    }
+
+    return records
+        .filter(record => !replaced.has(getAlertKey(record.sender, record.identifier)))
+        .map(record => {
+            let incidentKey = record.identifier;
+            let references = referencesByKey.get(getAlertKey(record.sender, record.identifier)) || [];
+            const seen = new Set();
+
+            // CAP lists the earlier alerts oldest first; follow the chain through any that
+            // themselves update an alert we have
+            while (references.length > 0) {
+                const [first] = references;
+                const key = getAlertKey(first.sender, first.identifier);
+                if (seen.has(key)) break;
+                seen.add(key);
+                incidentKey = first.identifier;
+                references = referencesByKey.get(key) || [];
+            }
+
+            return { ...record, incidentKey };
+        });
+}
+
+/**
+ * Parse the feed into alert records, with updates folded into the alerts they replace
+ * { identifier, incidentKey, sender, sent, status, msgType, references, infos, raw }
+ */
+function parse(feedText, rejected = []) {
+    if (!feedText || !feedText.trim()) {
+        return [];
+    }
+
+    const root = parseXmlDocument(feedText);
+    if (!root) {
+        console.warn('CAP feed does not appear to be XML');
+        return [];
+    }
+
+    const records = [];
+    for (const alert of findAlerts(root)) {
+        const identifier = getCapText(alert, 'identifier');
+        try {
+            records.push({
+                identifier: identifier,
+                sender: getCapText(alert, 'sender'),
+                sent: getCapText(alert, 'sent'),
+                status: getCapText(alert, 'status'),
+                msgType: getCapText(alert, 'msgType'),
+                references: parseReferences(getCapText(alert, 'references')),
+                infos: findCapChildren(alert, 'info').map(parseInfo),
+                raw: getNodeXml(alert)
+            });
+        } catch (alertError) {
+            console.error(`Error parsing CAP alert ${identifier}:`, alertError.message);
+            rejected.push(createRejectedItem(SOURCE_ID, REJECTION_REASONS.PARSE_ERROR, getNodeXml(alert), alertError.message));
+        }
+    }
+
+    console.log(`Parsed ${records.length} alerts from CAP feed`);
+    return foldReferences(records);
+}
+
+/**
+ * Parse a CAP "lat,lon" pair to a GeoJSON [lng, lat] position
+ */
+function parseCapPoint(pair) {
+    const [lat, lng] = pair.split(',').map(Number);
+    return isNaN(lat) || isNaN(lng) ? null : [lng, lat];
+}
+
+/**
+ * Convert an <area>'s polygons and circles to GeoJSON geometries
+ * Circles with a radius become polygons; zero-radius circles are points
+ */
+function parseAreaGeometries(area) {
+    const geometries = [];
+
+    for (const polygon of area.polygons) {
+        const ring = polygon.split(/\s+/).filter(Boolean).map(parseCapPoint);
+        if (ring.length >= 4 && ring.every(Boolean)) {
+            geometries.push({ type: 'Polygon', coordinates: [ring] });
+        }
+    }
+
+    for (const circle of area.circles) {
+        const [pair, radius] = circle.split(/\s+/);
+        const centre = pair ? parseCapPoint(pair) : null;
+        const radiusKm = parseFloat(radius);
+        if (!centre) continue;
+        geometries.push(radiusKm > 0 ? circleToPolygon(centre, radiusKm) : { type: 'Point', coordinates: centre });
+    }
+
+    return geometries;
+}
+
+/**
+ * Convert an alert record to an incident, identified by the first alert in its update chain
+ * Cancelled, expired and non-Actual (exercise, test...) alerts are dropped;
+ * alerts without an area are recorded as rejected
+ */
+function normalise(alert, rejected = []) {
+    if (alert.status !== 'Actual' || alert.msgType === 'Cancel') {
+        return null;
+    }
+
+    const info = alert.infos.find(entry => /^en/i.test(entry.language)) || alert.infos[0];
+    if (!info) {
+        rejected.push(createRejectedItem(SOURCE_ID, REJECTION_REASONS.PARSE_ERROR, alert.raw, `${alert.identifier}: no <info>`));
+        return null;
+    }
+
+    const timeZone = TIME_ZONES[REGION] || TIME_ZONES.VIC;
+    const expiresAt = parseFeedTimestamp(info.expires, timeZone);
+    if (expiresAt && new Date(expiresAt).getTime() < Date.now()) {
+        return null;
+    }
+
+    const geometries = info.areas.reduce((all, area) => all.concat(parseAreaGeometries(area)), []);
+    const perimeter = buildPerimeter(geometries);
+    const point = geometries.find(geometry => geometry.type === 'Point');
+    const coordinates = point ? point.coordinates : getRepresentativePoint(perimeter);
+
+    // The frontend shows these as HTML, so only their text is kept
+    const title = htmlToText(info.headline || info.event) || 'Unknown Location';
+    if (!coordinates) {
+        rejected.push(createRejectedItem(SOURCE_ID, REJECTION_REASONS.NO_COORDINATES, alert.raw, title));
+        return null;
+    }
+
+    const updatedAt = parseFeedTimestamp(alert.sent, timeZone) || null;
+    const reportedAt = parseFeedTimestamp(info.onset, timeZone) || updatedAt;
+
+    // Prefer an Australian Warning System level named in the alert, otherwise go by CAP severity
+    const official = classifyWarning(info.event, info.headline, info.instruction, ...Object.values(info.parameters));
+    const warningLevel = official ? official.warningLevel : SEVERITY_TO_WARNING_LEVEL[info.severity] || 'advice';
+
+    const statusParameter = Object.keys(info.parameters).find(name => /status/i.test(name));
+    const location = info.areas.map(area => htmlToText(area.areaDesc)).filter(Boolean).join(', ');
+
+    return {
+        title: title,
+        message: htmlToText(info.description) || title,
+        timestamp: updatedAt,
+        reportedAt: reportedAt,
+        updatedAt: updatedAt,
+        location: location || title,
+        coordinates: coordinates,
+        perimeter: perimeter,
+        incidentId: alert.incidentKey || alert.identifier,
+        incidentName: '',
+        type: (htmlToText(info.event) || 'INCIDENT').toUpperCase(),
+        status: (statusParameter && htmlToText(info.parameters[statusParameter])) || 'Unknown',
+        size: 'Unknown',
+        vehicles: '0',
+        agency: htmlToText(info.senderName || alert.sender) || 'Unknown',
+        warningLevel: warningLevel,
+        warningLevelSource: official ? 'official' : 'heuristic',
+        warningAction: official ? official.warningAction : null,
+        severity: info.severity || 'Unknown',
+        urgency: info.urgency || 'Unknown',
+        certainty: info.certainty || 'Unknown',
+        link: info.web || null,
+        source: SOURCE_ID
+    };
+}
+
+module.exports = {
+    id: SOURCE_ID,
+    name: 'CAP-AU',
+    defaultRegion: REGION,
+    url: FEED_URL,
+    fetch: fetchSource,
+    parse,
+    normalise
+};
@@ -0,0 +1,56 @@
+/**
+ * Labelled description fields
+ * Several incident feeds put their details in the item description as "LABEL: value" lines
+ * separated by <br> tags (NSW RFS, ACT ESA); others publish a free-text HTML description
+ */
+
+const { decodeEntities } = require('../xmlParser');
+
+/**
+ * Extract labelled fields from a description
+ * fields maps each label as published to the key it's returned under, e.g. { 'STATUS': 'status' }
+ * Labels are matched case-insensitively; values are trimmed and entity-decoded
+ */
+function parseLabelledFields(description, fields) {
+    if (!description) return {};
+
+    const data = {};
+
+    for (const [fieldLabel, fieldKey] of Object.entries(fields)) {
+        // Escape special regex characters in field label
+        const escapedLabel = fieldLabel.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        // Match field with <br /> or <br> as separator
+        const regex = new RegExp(`${escapedLabel}:\\s*([^<]*?)(?:<br\\s*\\/?>|$)`, 'i');
+        const match = description.match(regex);
+        if (match) {
+            data[fieldKey] = decodeEntities(match[1].trim());
+        }
+    }
+
+    return data;
+}
+
+/**
+ * Plain text from an HTML description, for use as an incident message
+ * Tags, scripts and styles are removed (line breaks and paragraph ends become spaces), then
+ * entities are decoded, escaped tags removed in turn, and any '<' or '>' left over dropped,
+ * since the frontend shows messages as HTML
+ */
+function htmlToText(html) {
+    if (!html) return '';
+
+    const stripTags = text => text
+        .replace(/<(script|style)\b[\s\S]*?<\/\1\s*>/gi, '')
+        .replace(/<br\s*\/?>|<\/(?:p|div|li)>/gi, ' ')
+        .replace(/<[^>]*>/g, '');
+
+    return stripTags(decodeEntities(stripTags(String(html))))
+        .replace(/[<>]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+module.exports = {
+    parseLabelledFields,
+    htmlToText
+};
@@ -0,0 +1,235 @@
+/**
+ * Emergency Victoria source adapter
+ * Incident RSS from data.emergency.vic.gov.au (includes CFA current incidents)
+ * Coordinates, agency and status come from the <strong>Field:</strong> lines in each description
+ * Warning levels come from the official VicEmergency warnings GeoJSON where a warning covers
+ * the incident, otherwise they are inferred from the incident details
+ */
+
+const { fetchFeedText } = require('./fetchFeed');
+const { parseFeed } = require('../feedParser');
+const { decodeEntities } = require('../xmlParser');
+const { parseFeedTimestamp, TIME_ZONES } = require('../timestampService');
+const { REJECTION_REASONS, createRejectedItem } = require('../rejectedItemService');
+const { classifyWarning, inferWarningLevel, attachOfficialWarnings } = require('../warningService');
+
+const FEED_URL = process.env.EMERGENCY_VIC_FEED_URL || 'https://data.emergency.vic.gov.au/Show?pageId=getIncidentRSS';
+const WARNINGS_URL = process.env.EMERGENCY_VIC_WARNINGS_URL || 'https://emergency.vic.gov.au/public/events-geojson.json';
+
+const SOURCE_ID = 'VIC';
+
+/**
+ * Fetch the raw RSS
+ */
+async function fetchSource(context) {
+    return fetchFeedText(FEED_URL, {}, context);
+}
+
+/**
+ * Parse the RSS into { item, incidentData } records
+ * Items that throw while parsing are appended to rejected
+ */
+function parse(feedText, rejected = []) {
+    const records = [];
+    
+    // Check if feed is empty or invalid
+    if (!feedText || feedText.trim().length === 0) {
+        console.warn('Emergency VIC feed is empty');
+        return records;
+    }
+    
+    // Check if it's actually XML/RSS
+    const feed = parseFeed(feedText);
+    if (!feed.format) {
+        console.warn('Emergency VIC feed does not appear to be RSS/XML format');
+        return records;
+    }
+    
+    for (const item of feed.items) {
+        try {
+            // Parse the description to extract structured data
+            records.push({ item: item, incidentData: parseDescription(item.description) });
+        } catch (itemError) {
+            console.error(`Error parsing VIC incident ${item.title}:`, itemError.message);
+            rejected.push(createRejectedItem(SOURCE_ID, REJECTION_REASONS.PARSE_ERROR, item.raw, itemError.message));
+        }
+    }
+    
+    const cfaCount = records.filter(({ incidentData }) => {
+        const agency = (incidentData.agency || '').toUpperCase();
+        return agency.includes('CFA') || agency.includes('COUNTRY FIRE');
+    }).length;
+    console.log(`Parsed ${feed.items.length} items from Emergency VIC feed, ${cfaCount} CFA-specific`);
+    
+    return records;
+}
+
+/**
+ * Convert a parsed record to an incident
+ * Returns null (and records the rejection) when the item has no coordinates
+ */
+function normalise({ item, incidentData }, rejected = []) {
+    const { title, link, pubDate } = item;
+    
+    // Coordinates come from the description, falling back to any GeoRSS point
+    let latitude = parseFloat(incidentData.latitude);
+    let longitude = parseFloat(incidentData.longitude);
+    if ((isNaN(latitude) || isNaN(longitude)) && item.point) {
+        [longitude, latitude] = item.point;
+    }
+    
+    // Skip if we don't have coordinates
+    if (isNaN(latitude) || isNaN(longitude)) {
+        console.warn(`Skipping VIC incident ${title}: No coordinates`);
+        rejected.push(createRejectedItem(SOURCE_ID, REJECTION_REASONS.NO_COORDINATES, item.raw, title || ''));
+        return null;
+    }
+    
+    // Parse timestamps: pubDate is the last update, Date/Time (Melbourne local) is when it was reported
+    const updatedAt = parseFeedTimestamp(pubDate, TIME_ZONES.VIC) || null;
+    const reportedAt = parseFeedTimestamp(incidentData.dateTime, TIME_ZONES.VIC) || updatedAt;
+    
+    // Inferred warning level, replaced in enrich() when an official warning covers the incident
+    const warningLevel = inferWarningLevel(incidentData);
+    
+    return {
+        title: title || 'Unknown Location',
+        message: formatIncidentMessage(title, incidentData),
+        timestamp: updatedAt,
+        reportedAt: reportedAt,
+        updatedAt: updatedAt,
+        location: incidentData.location || title,
+        coordinates: [longitude, latitude],
+        incidentId: incidentData.incidentNo || null,
+        incidentName: incidentData.incidentName || '',
+        type: incidentData.type || 'FIRE',
+        status: incidentData.status || 'Unknown',
+        size: incidentData.size || 'Unknown',
+        vehicles: incidentData.vehicles || '0',
+        agency: incidentData.agency || 'Unknown',
+        warningLevel: warningLevel,
+        warningLevelSource: 'heuristic',
+        warningAction: null,
+        link: link,
+        source: SOURCE_ID
+    };
+}
+
+/**
+ * Parse the description field which contains structured data
+ * Format: <strong>Field Name:</strong> Value<br>
+ */
+function parseDescription(description) {
+    if (!description) return {};
+    
+    const data = {};
+    
+    // Extract each field
+    const fields = {
+        'Incident Name': 'incidentName',
+        'Territory': 'territory',
+        'Agency': 'agency',
+        'Fire District': 'fireDistrict',
+        'Incident No': 'incidentNo',
+        'Date/Time': 'dateTime',
+        'Type': 'type',
+        'Location': 'location',
+        'Status': 'status',
+        'Size': 'size',
+        'Vehicles': 'vehicles',
+        'Latitude': 'latitude',
+        'Longitude': 'longitude'
+    };
+    
+    for (const [fieldLabel, fieldKey] of Object.entries(fields)) {
+        const regex = new RegExp(`<strong>${fieldLabel}:<\\/strong>\\s*([^<]*?)(?:<br>|$)`, 'i');
+        const match = description.match(regex);
+        if (match) {
+            data[fieldKey] = decodeEntities(match[1].trim());
+        }
+    }
+    
+    return data;
+}
+
+/**
+ * Attach official VicEmergency warnings to the normalised incidents
+ * The events GeoJSON holds incidents and warnings; warning features carry the published level
+ * (Advice, Watch and Act, Emergency Warning) and action statement (e.g. "Evacuate Now")
+ * If the warnings feed is unavailable, incidents keep their inferred levels
+ */
+async function enrich(incidents, context) {
+    const collection = JSON.parse(await fetchFeedText(WARNINGS_URL, { accept: 'application/geo+json, application/json, */*' }, context));
+    const warnings = parseWarnings(collection);
+    
+    const matched = attachOfficialWarnings(incidents, warnings);
+    if (context) {
+        context.log(`VicEmergency warnings: ${warnings.length} official warnings, ${matched} incidents matched`);
+    }
+    return incidents;
+}
+
+/**
+ * Extract the official warnings from the VicEmergency events GeoJSON
+ * Incident features are skipped; features whose text names no warning level or action are ignored
+ */
+function parseWarnings(collection) {
+    const warnings = [];
+    
+    for (const feature of (collection && collection.features) || []) {
+        const properties = feature.properties || {};
+        if ((properties.feedType || '').toLowerCase() !== 'warning') {
+            continue;
+        }
+        
+        const classification = classifyWarning(
+            properties.category1,
+            properties.category2,
+            properties.status,
+            properties.action,
+            properties.name,
+            properties.webHeadline
+        );
+        if (!classification) {
+            continue;
+        }
+        
+        // Warnings may list the incidents they were issued for
+        const related = [].concat(properties.incidentId || [], properties.incidentNo || [], properties.incidentList || []);
+        
+        warnings.push({
+            warningLevel: classification.warningLevel,
+            warningAction: classification.warningAction,
+            title: properties.sourceTitle || properties.name || null,
+            link: properties.url || null,
+            geometry: feature.geometry || null,
+            incidentIds: related.map(id => String(id))
+        });
+    }
+    
+    return warnings;
+}
+
+/**
+ * Format incident message for display
+ */
+function formatIncidentMessage(title, incidentData) {
+    const type = incidentData.type || 'FIRE';
+    const location = incidentData.location || title;
+    const status = incidentData.status || 'Unknown status';
+    const size = incidentData.size || 'Unknown size';
+    const vehicles = incidentData.vehicles || '0';
+    
+    return `${type} at ${location} - ${status} - Size: ${size} - Vehicles: ${vehicles}`;
+}
+
+module.exports = {
+    id: SOURCE_ID,
+    name: 'Emergency Victoria',
+    defaultRegion: 'VIC',
+    url: FEED_URL,
+    fetch: fetchSource,
+    parse,
+    normalise,
+    enrich
+};
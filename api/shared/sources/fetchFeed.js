@@ -0,0 +1,44 @@
+/**
+ * Shared HTTP fetch for feed source adapters
+ */
+
+// Using node-fetch v2 for compatibility with CommonJS modules in Azure Functions
+const fetch = require('node-fetch');
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+/**
+ * Fetch a feed and return its body text
+ * Throws on network errors and non-2xx responses so the source is reported as failed
+ */
+async function fetchFeedText(url, { accept = 'application/rss+xml, application/xml, text/xml, */*', timeout = DEFAULT_TIMEOUT_MS } = {}, context = null) {
+    if (context) {
+        context.log('Fetching feed from:', url);
+    }
+
+    const response = await fetch(url, {
+        headers: {
+            'User-Agent': 'CFA-Location-Finder/1.0',
+            'Accept': accept
+        },
+        timeout: timeout
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text().catch(() => '');
+        if (context) {
+            context.log.warn(`Feed ${url} error response:`, errorText.substring(0, 500));
+        }
+        throw new Error(`Feed returned status: ${response.status}`);
+    }
+
+    const text = await response.text();
+    if (context) {
+        context.log(`Feed ${url} length: ${text.length} characters`);
+    }
+    return text;
+}
+
+module.exports = {
+    fetchFeedText
+};
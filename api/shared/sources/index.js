@@ -0,0 +1,182 @@
+/**
+ * Feed Source Registry
+ * Emergency feed sources are adapters registered here and switched on through configuration,
+ * so a new source can be added without touching the request pipeline.
+ *
+ * Adapter interface:
+ * {
+ *   id: 'VIC',                   // Source id (state code), stamped on each incident as `source`
+ *   name: 'Emergency Victoria',  // Display name for logs and status
+ *   defaultRegion: 'VIC',        // State the source covers, stamped on incidents as `region`
+ *   url: 'https://...',          // Feed URL, for logs; null when the source isn't configured
+ *   fetch(context),              // async, returns the raw feed text
+ *   parse(text, rejected),       // returns source records; unusable items are appended to rejected
+ *   normalise(record, rejected), // returns an incident in the common shape, or null to drop it;
+ *                                // times the feed doesn't give are left null (see feedService)
+ *   enrich(incidents, context),  // optional, async: adds data from companion feeds (e.g. official warnings)
+ *   refreshIntervalMs: 60000     // optional: how often ingestion fetches it (see ingestionService)
+ * }
+ *
+ * Enabled sources come from the EMERGENCY_SOURCES app setting, a comma-separated
+ * list of ids (e.g. "VIC,NSW,SA"); when it isn't set, only DEFAULT_SOURCES are enabled, so
+ * interstate sources are opt-in.
+ */
+
+const DEFAULT_SOURCES = ['VIC', 'NSW'];
+
+const sources = new Map();
+
+/**
+ * Register a source adapter
+ * Throws if the adapter is missing part of the interface or its id is already taken
+ */
+function registerSource(adapter) {
+    if (!adapter || !adapter.id) {
+        throw new Error('Source adapter must have an id');
+    }
+
+    for (const method of ['fetch', 'parse', 'normalise']) {
+        if (typeof adapter[method] !== 'function') {
+            throw new Error(`Source adapter ${adapter.id} is missing ${method}()`);
+        }
+    }
+
+    const id = adapter.id.toUpperCase();
+    if (sources.has(id)) {
+        throw new Error(`Source adapter ${id} is already registered`);
+    }
+
+    sources.set(id, adapter);
+}
+
+/**
+ * Get a registered source by id (case-insensitive), or null
+ */
+function getSource(id) {
+    return sources.get(String(id || '').toUpperCase()) || null;
+}
+
+/**
+ * Get all registered sources in registration order
+ */
+function getAllSources() {
+    return Array.from(sources.values());
+}
+
+/**
+ * Get the sources enabled by EMERGENCY_SOURCES, or DEFAULT_SOURCES when it isn't set
+ * Unknown ids are logged and ignored
+ */
+function getEnabledSources() {
+    const setting = process.env.EMERGENCY_SOURCES;
+    const ids = setting && setting.trim()
+        ? setting.split(',').map(value => value.trim()).filter(Boolean)
+        : DEFAULT_SOURCES;
+
+    const enabled = [];
+    for (const id of ids) {
+        const source = getSource(id);
+        if (source) {
+            if (!enabled.includes(source)) enabled.push(source);
+        } else {
+            console.warn(`EMERGENCY_SOURCES: unknown source "${id}" ignored`);
+        }
+    }
+
+    return enabled;
+}
+
+/**
+ * Fetch, parse and normalise one source
+ * Never throws: failures are reported in the returned status so one broken feed
+ * doesn't take down the others
+ * Returns { incidents, rejected, status: { id, name, ok, count, rejected, durationMs, error } }
+ */
+async function runSource(source, context) {
+    const startTime = Date.now();
+    const rejected = [];
+
+    try {
+        const feedText = await source.fetch(context);
+        const records = source.parse(feedText, rejected) || [];
+
+        const incidents = [];
+        for (const record of records) {
+            const incident = source.normalise(record, rejected);
+            if (incident) {
+                incident.source = incident.source || source.id;
+                incident.region = incident.region || source.defaultRegion;
+                incidents.push(incident);
+            }
+        }
+
+        // Enrichment is best-effort: the source still succeeds if a companion feed is down
+        if (typeof source.enrich === 'function') {
+            try {
+                await source.enrich(incidents, context);
+            } catch (enrichError) {
+                if (context) {
+                    context.log.warn(`Enrichment failed for ${source.name} (${source.id}):`, enrichError.message);
+                }
+            }
+        }
+
+        return {
+            incidents,
+            rejected,
+            status: {
+                id: source.id,
+                name: source.name,
+                ok: true,
+                count: incidents.length,
+                rejected: rejected.length,
+                durationMs: Date.now() - startTime
+            }
+        };
+    } catch (error) {
+        if (context) {
+            context.log.error(`Error fetching ${source.name} (${source.id}):`, error.message);
+        }
+
+        return {
+            incidents: [],
+            rejected,
+            status: {
+                id: source.id,
+                name: source.name,
+                ok: false,
+                count: 0,
+                rejected: rejected.length,
+                durationMs: Date.now() - startTime,
+                error: error.message
+            }
+        };
+    }
+}
+
+/**
+ * Summarise source statuses for a response header, e.g. "VIC=ok(45), NSW=error"
+ */
+function formatSourceStatus(statuses) {
+    return statuses
+        .map(status => `${status.id}=${status.ok ? `ok(${status.count})` : 'error'}`)
+        .join(', ');
+}
+
+// Built-in sources
+registerSource(require('./emergencyVic'));
+registerSource(require('./nswRfs'));
+registerSource(require('./saCfs'));
+registerSource(require('./qldFire'));
+registerSource(require('./tasAlert'));
+registerSource(require('./actEsa'));
+registerSource(require('./capAu'));
+
+module.exports = {
+    registerSource,
+    getSource,
+    getAllSources,
+    getEnabledSources,
+    runSource,
+    formatSourceStatus
+};
@@ -0,0 +1,192 @@
+/**
+ * NSW RFS source adapter
+ * Major incidents from rfs.nsw.gov.au, read from the GeoJSON feed so fire-ground polygons are
+ * kept as well as the incident point; the RSS feed (georss:point/polygon) is used as a fallback
+ * The alert level comes from the item category when it's one of the Australian Warning System
+ * levels; other categories ("Not Applicable") get a level inferred from the incident details
+ */
+
+const { fetchFeedText } = require('./fetchFeed');
+const { parseFeed } = require('../feedParser');
+const { parseFeedTimestamp, TIME_ZONES } = require('../timestampService');
+const { REJECTION_REASONS, createRejectedItem } = require('../rejectedItemService');
+const { flattenGeometry, buildPerimeter } = require('../geoUtils');
+const { parseLabelledFields } = require('./descriptionFields');
+const { inferWarningLevel } = require('../warningService');
+
+const FEED_URL = process.env.NSW_RFS_FEED_URL || 'https://www.rfs.nsw.gov.au/feeds/majorIncidents.json';
+const RSS_FALLBACK_URL = 'https://www.rfs.nsw.gov.au/feeds/majorIncidents.xml';
+
+const SOURCE_ID = 'NSW';
+
+// The item categories that are published alert levels
+const ALERT_LEVEL_CATEGORIES = {
+    'EMERGENCY WARNING': 'emergency',
+    'WATCH AND ACT': 'watchAndAct',
+    'ADVICE': 'advice'
+};
+
+/**
+ * Fetch the GeoJSON feed, falling back to the RSS feed if it's unavailable
+ */
+async function fetchSource(context) {
+    try {
+        return await fetchFeedText(FEED_URL, { accept: 'application/geo+json, application/json, */*' }, context);
+    } catch (error) {
+        if (FEED_URL === RSS_FALLBACK_URL) {
+            throw error;
+        }
+        if (context) {
+            context.log.warn(`NSW RFS GeoJSON feed failed (${error.message}), falling back to RSS`);
+        }
+        return fetchFeedText(RSS_FALLBACK_URL, {}, context);
+    }
+}
+
+/**
+ * Parse the feed into items with the same shape as feedParser RSS items
+ * ({ title, link, description, pubDate, categories, geometries, point, raw })
+ * Accepts either the GeoJSON or the RSS feed
+ */
+function parse(feedText) {
+    if (!feedText || !feedText.trim()) {
+        return [];
+    }
+    
+    if (feedText.trim().startsWith('{')) {
+        const collection = JSON.parse(feedText);
+        return (collection.features || []).map(parseGeoJsonFeature);
+    }
+    
+    return parseFeed(feedText).items;
+}
+
+/**
+ * Convert a GeoJSON feature to a feed item
+ * Feature geometry is usually a GeometryCollection holding the incident point and a nested
+ * GeometryCollection of fire-ground polygons
+ */
+function parseGeoJsonFeature(feature) {
+    const properties = feature.properties || {};
+    const geometries = flattenGeometry(feature.geometry);
+    const point = geometries.find(geometry => geometry.type === 'Point');
+    
+    return {
+        title: properties.title || null,
+        link: properties.link || null,
+        description: properties.description || null,
+        pubDate: properties.pubDate || null,
+        guid: properties.guid || null,
+        categories: properties.category ? [properties.category] : [],
+        geometries: geometries,
+        point: point ? point.coordinates : null,
+        raw: JSON.stringify(feature)
+    };
+}
+
+/**
+ * Convert a feed item to an incident
+ * Returns null (and records the rejection) when the item has no coordinates
+ */
+function normalise(item, rejected = []) {
+    const { title, link, description, pubDate } = item;
+    const category = item.categories[0] || null;
+    
+    // Skip if no coordinates (GeoJSON or georss:point, as [lng, lat])
+    if (!item.point) {
+        rejected.push(createRejectedItem(SOURCE_ID, REJECTION_REASONS.NO_COORDINATES, item.raw, title || ''));
+        return null;
+    }
+    
+    const [longitude, latitude] = item.point;
+    
+    // Parse the description to extract structured data
+    const incidentData = parseNSWDescription(description);
+    
+    // Parse timestamps: pubDate is when the item was published, UPDATED (Sydney local) its latest change
+    const reportedAt = parseFeedTimestamp(pubDate, TIME_ZONES.NSW) || null;
+    const updatedAt = parseFeedTimestamp(incidentData.updated, TIME_ZONES.NSW) || reportedAt;
+    
+    // Map NSW category to warning level
+    const officialLevel = mapNSWCategoryToWarningLevel(category);
+    
+    // Extract location from title (format: "LOCATION, SUBURB")
+    const location = title || 'Unknown Location';
+    
+    return {
+        title: title || 'Unknown Location',
+        message: formatNSWIncidentMessage(title, incidentData),
+        timestamp: updatedAt,
+        reportedAt: reportedAt,
+        updatedAt: updatedAt,
+        location: location,
+        coordinates: [longitude, latitude],
+        perimeter: buildPerimeter(item.geometries || []),
+        incidentId: null,
+        incidentName: '',
+        type: incidentData.type || 'FIRE',
+        status: incidentData.status || 'Unknown',
+        size: incidentData.size || 'Unknown',
+        vehicles: incidentData.vehicles || '0',
+        agency: incidentData.agency || 'NSW RFS',
+        warningLevel: officialLevel || inferWarningLevel(incidentData),
+        warningLevelSource: officialLevel ? 'official' : 'heuristic',
+        warningAction: null,
+        link: link,
+        source: SOURCE_ID
+    };
+}
+
+/**
+ * Parse NSW RFS description field
+ * Format: ALERT LEVEL: <level> <br />LOCATION: <location> <br />...
+ */
+function parseNSWDescription(description) {
+    // NSW RFS uses different field names
+    return parseLabelledFields(description, {
+        'ALERT LEVEL': 'alertLevel',
+        'LOCATION': 'location',
+        'COUNCIL AREA': 'councilArea',
+        'STATUS': 'status',
+        'TYPE': 'type',
+        'FIRE': 'fire',
+        'SIZE': 'size',
+        'RESPONSIBLE AGENCY': 'agency',
+        'UPDATED': 'updated'
+    });
+}
+
+/**
+ * Map NSW RFS category to warning level
+ * NSW uses: "Emergency Warning", "Watch and Act", "Advice", and "Not Applicable" for incidents
+ * without a warning
+ * Returns null when the category isn't an alert level
+ */
+function mapNSWCategoryToWarningLevel(category) {
+    if (!category) return null;
+    
+    return ALERT_LEVEL_CATEGORIES[category.trim().replace(/\s+/g, ' ').toUpperCase()] || null;
+}
+
+/**
+ * Format NSW incident message for display
+ */
+function formatNSWIncidentMessage(title, incidentData) {
+    const type = incidentData.type || 'FIRE';
+    const location = title || 'Unknown Location';
+    const status = incidentData.status || 'Unknown status';
+    const size = incidentData.size || 'Unknown size';
+    const alertLevel = incidentData.alertLevel || 'Advice';
+    
+    return `${alertLevel}: ${type} at ${location} - ${status} - Size: ${size}`;
+}
+
+module.exports = {
+    id: SOURCE_ID,
+    name: 'NSW Rural Fire Service',
+    defaultRegion: 'NSW',
+    url: FEED_URL,
+    fetch: fetchSource,
+    parse,
+    normalise
+};
@@ -0,0 +1,112 @@
+/**
+ * Queensland Fire source adapter
+ * Current bushfire warnings from the Queensland Fire Department GeoJSON feed
+ * Features carry the published warning level and call to action, and either a point or the
+ * warning area polygon
+ */
+
+const { fetchFeedText } = require('./fetchFeed');
+const { parseFeedTimestamp, TIME_ZONES } = require('../timestampService');
+const { REJECTION_REASONS, createRejectedItem } = require('../rejectedItemService');
+const { classifyWarning, inferWarningLevel } = require('../warningService');
+const { splitIncidentGeometry } = require('../geoUtils');
+const { htmlToText } = require('./descriptionFields');
+
+const FEED_URL = process.env.QLD_FIRE_FEED_URL || 'https://publiccontent-gis-psba-qld-gov-au.s3.amazonaws.com/content/Feeds/BushfireCurrentIncidents/bushfireAlert.json';
+
+const SOURCE_ID = 'QLD';
+
+/**
+ * Fetch the raw GeoJSON
+ */
+async function fetchSource(context) {
+    return fetchFeedText(FEED_URL, { accept: 'application/geo+json, application/json, */*' }, context);
+}
+
+/**
+ * Parse the GeoJSON into its features
+ */
+function parse(feedText) {
+    if (!feedText || !feedText.trim()) {
+        return [];
+    }
+
+    const features = JSON.parse(feedText).features || [];
+    console.log(`Parsed ${features.length} features from Queensland Fire feed`);
+
+    return features;
+}
+
+/**
+ * Convert a feature to an incident
+ * Returns null (and records the rejection) when the feature has no geometry
+ */
+function normalise(feature, rejected = []) {
+    const properties = feature.properties || {};
+    // The frontend shows these as HTML, so only their text is kept
+    const title = htmlToText(properties.WarningTitle || properties.Header) || 'Unknown Location';
+
+    const { point, perimeter } = splitIncidentGeometry(feature.geometry);
+    if (!point) {
+        rejected.push(createRejectedItem(SOURCE_ID, REJECTION_REASONS.NO_COORDINATES, JSON.stringify(feature), title));
+        return null;
+    }
+
+    // The *_ISO fields carry an offset; the plain local fields are Brisbane time
+    const updatedAt = parseFeedTimestamp(properties.PublishDateLocal_ISO || properties.PublishDateLocal, TIME_ZONES.QLD) || null;
+    const reportedAt = parseFeedTimestamp(properties.ItemDateTimeLocal_ISO || properties.ItemDateTimeLocal, TIME_ZONES.QLD) || updatedAt;
+
+    const location = htmlToText(properties.Locality || properties.WarningArea) || title;
+    const warning = {
+        level: htmlToText(properties.WarningLevel),
+        action: htmlToText(properties.CallToAction),
+        status: htmlToText(properties.CurrentStatus)
+    };
+    const official = classifyWarning(warning.level, warning.action, htmlToText(properties.Header));
+    const type = (htmlToText(properties.IncidentType) || 'BUSHFIRE').toUpperCase();
+    const status = warning.status || 'Unknown';
+
+    return {
+        title: title,
+        message: formatQLDIncidentMessage(location, warning),
+        timestamp: updatedAt,
+        reportedAt: reportedAt,
+        updatedAt: updatedAt,
+        location: location,
+        coordinates: point,
+        perimeter: perimeter,
+        incidentId: properties.UniqueID ? String(properties.UniqueID) : null,
+        incidentName: '',
+        type: type,
+        status: status,
+        size: 'Unknown',
+        vehicles: '0',
+        agency: 'QLD Fire',
+        warningLevel: official ? official.warningLevel : inferWarningLevel({ type: type, status: status }),
+        warningLevelSource: official ? 'official' : 'heuristic',
+        warningAction: official ? official.warningAction : null,
+        link: properties.Link || null,
+        source: SOURCE_ID
+    };
+}
+
+/**
+ * Format QLD incident message for display
+ */
+function formatQLDIncidentMessage(location, warning) {
+    const level = warning.level || 'Advice';
+    const action = warning.action || 'Stay informed';
+    const status = warning.status || 'Unknown status';
+
+    return `${level}: ${action} - ${location} - ${status}`;
+}
+
+module.exports = {
+    id: SOURCE_ID,
+    name: 'Queensland Fire Department',
+    defaultRegion: 'QLD',
+    url: FEED_URL,
+    fetch: fetchSource,
+    parse,
+    normalise
+};
@@ -0,0 +1,112 @@
+/**
+ * SA CFS source adapter
+ * Current incidents from the South Australian Country Fire Service JSON feed
+ * Each record has the incident point as a "lat,lng" Location string; the feed publishes no
+ * warning levels, so levels are inferred from the incident details
+ */
+
+const { fetchFeedText } = require('./fetchFeed');
+const { parseFeedTimestamp, TIME_ZONES } = require('../timestampService');
+const { REJECTION_REASONS, createRejectedItem } = require('../rejectedItemService');
+const { inferWarningLevel } = require('../warningService');
+const { htmlToText } = require('./descriptionFields');
+
+const FEED_URL = process.env.SA_CFS_FEED_URL || 'https://data.eso.sa.gov.au/prod/cfs/criimson/cfs_current_incidents.json';
+
+const SOURCE_ID = 'SA';
+
+/**
+ * Fetch the raw JSON
+ */
+async function fetchSource(context) {
+    return fetchFeedText(FEED_URL, { accept: 'application/json, */*' }, context);
+}
+
+/**
+ * Parse the JSON into incident records
+ * The feed is an array of incidents (occasionally wrapped in an object)
+ */
+function parse(feedText) {
+    if (!feedText || !feedText.trim()) {
+        return [];
+    }
+
+    const data = JSON.parse(feedText);
+    const records = Array.isArray(data) ? data : data.incidents || data.features || [];
+    console.log(`Parsed ${records.length} incidents from SA CFS feed`);
+
+    return records;
+}
+
+/**
+ * Convert an incident record to an incident
+ * Returns null (and records the rejection) when the record has no usable Location
+ */
+function normalise(record, rejected = []) {
+    // The frontend shows these as HTML, so only their text is kept
+    const location = htmlToText(record.Location_name || record.Location_Name) || 'Unknown Location';
+    const incidentType = htmlToText(record.Type);
+    const status = htmlToText(record.Status);
+    const resources = htmlToText(record.Resources);
+    const title = incidentType ? `${incidentType} - ${location}` : location;
+
+    // Location is "lat,lng"
+    const [latitude, longitude] = String(record.Location || '').split(',').map(parseFloat);
+    if (isNaN(latitude) || isNaN(longitude)) {
+        rejected.push(createRejectedItem(SOURCE_ID, REJECTION_REASONS.NO_COORDINATES, JSON.stringify(record), title));
+        return null;
+    }
+
+    // Date (DD/MM/YYYY) and Time (HH:MM) are Adelaide local time, when the incident was reported
+    const reportedAt = parseFeedTimestamp(`${record.Date} ${record.Time}`, TIME_ZONES.SA) || null;
+
+    const incidentData = {
+        type: incidentType,
+        status: status,
+        vehicles: resources
+    };
+
+    return {
+        title: title,
+        message: formatSAIncidentMessage(location, incidentData),
+        timestamp: reportedAt,
+        reportedAt: reportedAt,
+        // The feed carries no separate update time
+        updatedAt: reportedAt,
+        location: location,
+        coordinates: [longitude, latitude],
+        incidentId: record.IncidentNo ? String(record.IncidentNo) : null,
+        incidentName: '',
+        type: (incidentType || 'FIRE').toUpperCase(),
+        status: status || 'Unknown',
+        size: 'Unknown',
+        vehicles: resources || '0',
+        agency: 'SA CFS',
+        warningLevel: inferWarningLevel(incidentData),
+        warningLevelSource: 'heuristic',
+        warningAction: null,
+        link: record.Message_link || record.Message_Link || null,
+        source: SOURCE_ID
+    };
+}
+
+/**
+ * Format SA incident message for display
+ */
+function formatSAIncidentMessage(location, incidentData) {
+    const type = incidentData.type || 'FIRE';
+    const status = incidentData.status || 'Unknown status';
+    const resources = incidentData.vehicles || '0';
+
+    return `${type} at ${location} - ${status} - Resources: ${resources}`;
+}
+
+module.exports = {
+    id: SOURCE_ID,
+    name: 'SA Country Fire Service',
+    defaultRegion: 'SA',
+    url: FEED_URL,
+    fetch: fetchSource,
+    parse,
+    normalise
+};
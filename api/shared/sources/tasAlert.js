@@ -0,0 +1,97 @@
+/**
+ * TasALERT source adapter
+ * Current incidents and warnings from the TasALERT GeoJSON feed (Tasmania Fire Service and SES)
+ * Warning features carry their published alert level; incidents without one have their level
+ * inferred from type and status
+ * The property names read here (and their alternatives) haven't been checked against a recorded
+ * snapshot yet; see test/fixtures/feeds/README.md
+ */
+
+const { fetchFeedText } = require('./fetchFeed');
+const { parseFeedTimestamp, TIME_ZONES } = require('../timestampService');
+const { REJECTION_REASONS, createRejectedItem } = require('../rejectedItemService');
+const { classifyWarning, inferWarningLevel } = require('../warningService');
+const { splitIncidentGeometry } = require('../geoUtils');
+const { htmlToText } = require('./descriptionFields');
+
+const FEED_URL = process.env.TAS_ALERT_FEED_URL || 'https://alert.tas.gov.au/data/data.geojson';
+
+const SOURCE_ID = 'TAS';
+
+/**
+ * Fetch the raw GeoJSON
+ */
+async function fetchSource(context) {
+    return fetchFeedText(FEED_URL, { accept: 'application/geo+json, application/json, */*' }, context);
+}
+
+/**
+ * Parse the GeoJSON into its features
+ */
+function parse(feedText) {
+    if (!feedText || !feedText.trim()) {
+        return [];
+    }
+
+    const features = JSON.parse(feedText).features || [];
+    console.log(`Parsed ${features.length} features from TasALERT feed`);
+
+    return features;
+}
+
+/**
+ * Convert a feature to an incident
+ * Returns null (and records the rejection) when the feature has no geometry
+ */
+function normalise(feature, rejected = []) {
+    const properties = feature.properties || {};
+    const title = htmlToText(properties.title || properties.name) || 'Unknown Location';
+
+    const { point, perimeter } = splitIncidentGeometry(feature.geometry);
+    if (!point) {
+        rejected.push(createRejectedItem(SOURCE_ID, REJECTION_REASONS.NO_COORDINATES, JSON.stringify(feature), title));
+        return null;
+    }
+
+    const updatedAt = parseFeedTimestamp(properties.updated || properties.lastUpdated, TIME_ZONES.TAS) || null;
+    const reportedAt = parseFeedTimestamp(properties.created || properties.published, TIME_ZONES.TAS) || updatedAt;
+
+    const type = (htmlToText(properties.category || properties.type) || 'FIRE').toUpperCase();
+    const status = htmlToText(properties.status) || 'Unknown';
+    const location = htmlToText(properties.location || properties.locality) || title;
+    const official = classifyWarning(properties.alertLevel, properties.action, title);
+
+    return {
+        title: title,
+        // Descriptions are HTML; the frontend shows messages as HTML, so only their text is kept
+        message: htmlToText(properties.description) || `${type} at ${location} - ${status}`,
+        timestamp: updatedAt,
+        reportedAt: reportedAt,
+        updatedAt: updatedAt,
+        location: location,
+        coordinates: point,
+        perimeter: perimeter,
+        incidentId: properties.id ? String(properties.id) : null,
+        incidentName: '',
+        type: type,
+        status: status,
+        size: htmlToText(properties.size) || 'Unknown',
+        vehicles: '0',
+        agency: htmlToText(properties.agency) || 'TFS',
+        warningLevel: official ? official.warningLevel : inferWarningLevel({ type: type, status: status, size: properties.size }),
+        warningLevelSource: official ? 'official' : 'heuristic',
+        warningAction: official ? official.warningAction : null,
+        link: properties.url || null,
+        source: SOURCE_ID
+    };
+}
+
+module.exports = {
+    id: SOURCE_ID,
+    name: 'TasALERT',
+    defaultRegion: 'TAS',
+    url: FEED_URL,
+    fetch: fetchSource,
+    parse,
+    normalise
+};
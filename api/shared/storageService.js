@@ -3,18 +3,45 @@
  * Handles all interactions with Azure Table Storage for caching feed data and enriched records
  */
 
-const { TableClient } = require('@azure/data-tables');
+const crypto = require('crypto');
+const { TableClient, odata } = require('@azure/data-tables');
 
 // Table names
 const TABLES = {
     FEED_CACHE: 'FeedCache',
     ENRICHED_ALERTS: 'EnrichedAlerts',
-    FETCH_TRACKER: 'FetchTracker'
+    FETCH_TRACKER: 'FetchTracker',
+    REJECTED_ITEMS: 'RejectedItems',
+    FEED_VERSIONS: 'FeedVersions',
+    INCIDENT_ARCHIVE: 'IncidentArchive',
+    FEED_EVENTS: 'FeedEvents'
 };
 
 // Cache TTL in milliseconds
 const CACHE_TTL_MS = 60 * 1000; // 1 minute
 
+// Table Storage string properties are limited to 64KB (32K UTF-16 characters)
+const MAX_PROPERTY_LENGTH = 30000;
+
+// How long a fetch lease is held before another caller may take over (a fetch that died)
+const FETCH_LEASE_MS = 2 * 60 * 1000;
+
+// Identifies this instance's leases in FetchTracker, for diagnostics
+const LEASE_OWNER = `${process.env.WEBSITE_INSTANCE_ID || 'local'}-${crypto.randomBytes(4).toString('hex')}`;
+
+// Feed versions kept for delta requests (one per refresh, so about half an hour)
+const MAX_FEED_VERSIONS = 30;
+
+// Table Storage transactions hold at most 100 operations, all in one partition, and 4MB of payload
+const MAX_TRANSACTION_ACTIONS = 100;
+const MAX_TRANSACTION_BYTES = 4 * 1024 * 1024;
+
+// Allowance for the multipart headers around each operation in a transaction request
+const TRANSACTION_ACTION_OVERHEAD_BYTES = 1024;
+
+// Rejected item row keys count down from this, so newer items sort first
+const NEWEST_FIRST_BASE = 999999999999999;
+
 /**
  * Get Table Storage connection string from environment
  */
@@ -59,9 +86,9 @@ async function getTableClient(tableName) {
 
 /**
  * Check if a fetch is needed based on last fetch timestamp
- * Returns true if last fetch was more than CACHE_TTL_MS ago
+ * Returns true if last fetch was more than intervalMs (default CACHE_TTL_MS) ago
  */
-async function shouldFetch(feedType) {
+async function shouldFetch(feedType, intervalMs = CACHE_TTL_MS) {
     const client = await getTableClient(TABLES.FETCH_TRACKER);
     
     if (!client) {
@@ -75,8 +102,8 @@ async function shouldFetch(feedType) {
         const now = new Date();
         const elapsed = now - lastFetch;
         
-        const shouldFetchNow = elapsed >= CACHE_TTL_MS;
-        console.log(`Feed ${feedType}: Last fetch ${elapsed}ms ago, TTL ${CACHE_TTL_MS}ms, should fetch: ${shouldFetchNow}`);
+        const shouldFetchNow = elapsed >= intervalMs;
+        console.log(`Feed ${feedType}: Last fetch ${elapsed}ms ago, TTL ${intervalMs}ms, should fetch: ${shouldFetchNow}`);
         
         return shouldFetchNow;
     } catch (error) {
@@ -90,8 +117,105 @@ async function shouldFetch(feedType) {
     }
 }
 
+/**
+ * Take the lease to fetch a feed, if it's due (last fetched at least intervalMs ago) and no
+ * one else holds an unexpired lease
+ * The FetchTracker entity is only updated if its ETag hasn't changed since it was read, so
+ * when several callers race, exactly one gets the lease; the others should serve the cache
+ * The holder ends the lease with releaseFetchLease once it's done, or it expires after leaseMs
+ * Returns the lease if this caller should fetch (always, when storage isn't configured), or
+ * null if it shouldn't: not due, fetched by someone else, or FetchTracker couldn't be read
+ */
+async function acquireFetchLease(feedType, { intervalMs = CACHE_TTL_MS, leaseMs = FETCH_LEASE_MS } = {}) {
+    const client = await getTableClient(TABLES.FETCH_TRACKER);
+    
+    if (!client) {
+        return { feedType, etag: null };
+    }
+    
+    const now = new Date();
+    const lease = {
+        partitionKey: 'fetchTracker',
+        rowKey: feedType,
+        leaseOwner: LEASE_OWNER,
+        leaseUntil: new Date(now.getTime() + leaseMs).toISOString()
+    };
+    
+    try {
+        let entity;
+        try {
+            entity = await client.getEntity('fetchTracker', feedType);
+        } catch (error) {
+            if (error.statusCode !== 404) throw error;
+            
+            // Never fetched: whoever creates the entity first has the lease
+            const { etag } = await client.createEntity(lease);
+            console.log(`Feed ${feedType}: Fetch lease taken (first fetch)`);
+            return { feedType, leaseOwner: lease.leaseOwner, leaseUntil: lease.leaseUntil, etag };
+        }
+        
+        const elapsed = now - new Date(entity.lastFetchTime || 0);
+        if (elapsed < intervalMs) {
+            return null;
+        }
+        if (entity.leaseUntil && new Date(entity.leaseUntil) > now) {
+            console.log(`Feed ${feedType}: Being fetched by ${entity.leaseOwner}, using cache`);
+            return null;
+        }
+        
+        const { etag } = await client.updateEntity(lease, 'Merge', { etag: entity.etag });
+        console.log(`Feed ${feedType}: Fetch lease taken, last fetch ${elapsed}ms ago`);
+        return { feedType, leaseOwner: lease.leaseOwner, leaseUntil: lease.leaseUntil, etag };
+    } catch (error) {
+        // 409: created by someone else first; 412: updated by someone else since we read it
+        if (error.statusCode === 409 || error.statusCode === 412) {
+            console.log(`Feed ${feedType}: Fetch lease taken by another caller, using cache`);
+            return null;
+        }
+        // Without knowing who holds the lease, fetching could stampede the upstream feed
+        console.warn(`Feed ${feedType}: Error taking fetch lease, not fetching:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * End a fetch lease from acquireFetchLease, so the next caller needn't wait for it to expire
+ * The lease is only cleared if it's still this one: the update is conditional on the lease's
+ * ETag, and if the entity has changed since (e.g. updateLastFetch), on it still holding this lease
+ */
+async function releaseFetchLease(lease) {
+    const client = await getTableClient(TABLES.FETCH_TRACKER);
+    
+    if (!client || !lease || !lease.etag) {
+        return;
+    }
+    
+    const released = { partitionKey: 'fetchTracker', rowKey: lease.feedType, leaseOwner: '', leaseUntil: '' };
+    try {
+        try {
+            await client.updateEntity(released, 'Merge', { etag: lease.etag });
+            return;
+        } catch (error) {
+            if (error.statusCode !== 412) throw error;
+        }
+        
+        const entity = await client.getEntity('fetchTracker', lease.feedType);
+        if (entity.leaseOwner !== lease.leaseOwner || entity.leaseUntil !== lease.leaseUntil) {
+            console.log(`Feed ${lease.feedType}: Fetch lease has been taken over by ${entity.leaseOwner || 'no one'}, leaving it`);
+            return;
+        }
+        await client.updateEntity(released, 'Merge', { etag: entity.etag });
+    } catch (error) {
+        // A lease taken over in the meantime (412) is someone else's to release
+        if (error.statusCode === 412) return;
+        console.error(`Failed to release fetch lease for ${lease.feedType}:`, error.message);
+    }
+}
+
 /**
  * Update the last fetch timestamp for a feed
+ * Only lastFetchTime is merged, so a fetch lease held on the feed is left for its holder
+ * to release (see releaseFetchLease)
  */
 async function updateLastFetch(feedType) {
     const client = await getTableClient(TABLES.FETCH_TRACKER);
@@ -104,11 +228,10 @@ async function updateLastFetch(feedType) {
         const entity = {
             partitionKey: 'fetchTracker',
             rowKey: feedType,
-            lastFetchTime: new Date().toISOString(),
-            timestamp: new Date()
+            lastFetchTime: new Date().toISOString()
         };
         
-        await client.upsertEntity(entity, 'Replace');
+        await client.upsertEntity(entity, 'Merge');
         console.log(`Updated last fetch time for ${feedType}`);
     } catch (error) {
         console.error(`Failed to update last fetch time for ${feedType}:`, error.message);
@@ -117,8 +240,21 @@ async function updateLastFetch(feedType) {
 
 /**
  * Get cached feed data
+ * Returns null when there is no cache entry, or when it's older than CACHE_TTL_MS
+ * unless allowStale is set (for fallbacks when a fresh fetch fails)
  */
-async function getCachedFeed(feedType) {
+async function getCachedFeed(feedType, options) {
+    const entry = await getCachedFeedEntry(feedType, options);
+    return entry ? entry.data : null;
+}
+
+/**
+ * Get cached feed data with its version, as { data, version, cachedAt, metadata, etag }
+ * The version changes whenever the feed is re-cached with new data (see cacheFeed);
+ * cachedAt is when it was last cached, in milliseconds; metadata is what was cached with it, or null;
+ * etag identifies the entry read, for a conditional cacheFeed
+ */
+async function getCachedFeedEntry(feedType, { allowStale = false } = {}) {
     const client = await getTableClient(TABLES.FEED_CACHE);
     
     if (!client) {
@@ -133,13 +269,20 @@ async function getCachedFeed(feedType) {
         const now = new Date();
         const age = now - cacheTime;
         
-        if (age >= CACHE_TTL_MS) {
+        if (age >= CACHE_TTL_MS && !allowStale) {
             console.log(`Cached feed ${feedType} is stale (${age}ms old)`);
             return null;
         }
         
         console.log(`Using cached feed ${feedType} (${age}ms old)`);
-        return JSON.parse(entity.data);
+        return {
+            data: JSON.parse(joinChunks(entity, 'data')),
+            // Entries cached before versioning use their cache time
+            version: entity.version || cacheTime.getTime(),
+            cachedAt: cacheTime.getTime(),
+            metadata: entity.metadata ? JSON.parse(entity.metadata) : null,
+            etag: entity.etag
+        };
     } catch (error) {
         if (error.statusCode !== 404) {
             console.error(`Error retrieving cached feed ${feedType}:`, error.message);
@@ -148,30 +291,351 @@ async function getCachedFeed(feedType) {
     }
 }
 
+/**
+ * Get the version of the cached feed without its data, for callers that only need to know
+ * whether it has changed (see getCachedFeedEntry), however old it is
+ * Returns null when there is no cache entry or caching is unavailable
+ */
+async function getCachedFeedVersion(feedType) {
+    const client = await getTableClient(TABLES.FEED_CACHE);
+    
+    if (!client) {
+        return null;
+    }
+    
+    try {
+        const entity = await client.getEntity(feedType, 'latest', {
+            queryOptions: { select: ['version', 'cacheTime'] }
+        });
+        return entity.version || new Date(entity.cacheTime).getTime();
+    } catch (error) {
+        if (error.statusCode !== 404) {
+            console.error(`Error retrieving cached feed version ${feedType}:`, error.message);
+        }
+        return null;
+    }
+}
+
 /**
  * Store feed data in cache
+ * Options: { metadata } stored with the data (e.g. source statuses), { version } to keep
+ * the current version when re-caching unchanged data, { cachedAt } to keep the cache time
+ * when re-caching data that wasn't fetched again, and { etag } to only replace the entry
+ * read with that ETag (see getCachedFeedEntry)
+ * Returns the version (by default the cache time in milliseconds), or null if caching is
+ * unavailable or the entry has changed since it was read
  */
-async function cacheFeed(feedType, data) {
+async function cacheFeed(feedType, data, { metadata = null, version = null, cachedAt = null, etag = null } = {}) {
     const client = await getTableClient(TABLES.FEED_CACHE);
     
     if (!client) {
-        return;
+        return null;
     }
     
     try {
+        const now = new Date();
         const entity = {
             partitionKey: feedType,
             rowKey: 'latest',
-            cacheTime: new Date().toISOString(),
-            data: JSON.stringify(data),
+            cacheTime: new Date(cachedAt || now).toISOString(),
+            version: version || now.getTime(),
+            ...splitIntoChunks(JSON.stringify(data), 'data'),
             itemCount: data.length
         };
+        if (metadata) {
+            entity.metadata = JSON.stringify(metadata);
+        }
         
-        await client.upsertEntity(entity, 'Replace');
+        if (etag) {
+            await client.updateEntity(entity, 'Replace', { etag });
+        } else {
+            await client.upsertEntity(entity, 'Replace');
+        }
         console.log(`Cached ${data.length} items for feed ${feedType}`);
+        return entity.version;
     } catch (error) {
+        if (error.statusCode === 412) {
+            console.log(`Feed ${feedType} was cached again since it was read, leaving it`);
+            return null;
+        }
         console.error(`Failed to cache feed ${feedType}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Row key for a feed version, zero-padded so versions sort in order
+ */
+function getVersionRowKey(version) {
+    return String(version).padStart(15, '0');
+}
+
+/**
+ * Store the item fingerprints ({ id: fingerprint }) of a feed version, for working out deltas
+ * Only the latest MAX_FEED_VERSIONS versions of each feed are kept
+ */
+async function storeFeedVersion(feedType, version, fingerprints) {
+    const client = await getTableClient(TABLES.FEED_VERSIONS);
+    
+    if (!client || !version) {
+        return;
+    }
+    
+    try {
+        await client.upsertEntity({
+            partitionKey: feedType,
+            rowKey: getVersionRowKey(version),
+            ...splitIntoChunks(JSON.stringify(fingerprints), 'fingerprints')
+        }, 'Replace');
+        
+        // Rows come back in row key (version) order, oldest first
+        const rowKeys = [];
+        const queryOptions = { filter: odata`PartitionKey eq ${feedType}`, select: ['rowKey'] };
+        for await (const entity of client.listEntities({ queryOptions })) {
+            rowKeys.push(entity.rowKey);
+        }
+        
+        for (const rowKey of rowKeys.slice(0, Math.max(0, rowKeys.length - MAX_FEED_VERSIONS))) {
+            await client.deleteEntity(feedType, rowKey);
+        }
+    } catch (error) {
+        console.error(`Failed to store version ${version} of feed ${feedType}:`, error.message);
+    }
+}
+
+/**
+ * Get the item fingerprints stored for a feed version, or null if it's unknown or expired
+ */
+async function getFeedVersion(feedType, version) {
+    const client = await getTableClient(TABLES.FEED_VERSIONS);
+    
+    if (!client) {
+        return null;
+    }
+    
+    try {
+        const entity = await client.getEntity(feedType, getVersionRowKey(version));
+        return JSON.parse(joinChunks(entity, 'fingerprints'));
+    } catch (error) {
+        if (error.statusCode !== 404) {
+            console.error(`Error retrieving version ${version} of feed ${feedType}:`, error.message);
+        }
+        return null;
+    }
+}
+
+/**
+ * Row key for an archived incident version: the item id, then the time the version was first
+ * seen, zero-padded so an incident's versions sort in order ('|' never appears in item ids)
+ */
+function getArchiveRowKey(id, observedAt) {
+    return `${id}|${getVersionRowKey(observedAt.getTime())}`;
+}
+
+/**
+ * Archive one source's incident changes at observedAt: each of items as a new version, current
+ * until closed, and the close of the current version of those items and of the incidents in closedIds
+ * Partitioned by source so history can be queried per source; that also lets the writes go in
+ * transactions, so a refresh costs one query for the source's open versions and a request per
+ * MAX_TRANSACTION_ACTIONS writes (or 4MB of them, see submitInTransactions)
+ */
+async function archiveIncidentVersions(source, items, closedIds, observedAt) {
+    const client = await getTableClient(TABLES.INCIDENT_ARCHIVE);
+    
+    if (!client || (items.length === 0 && closedIds.length === 0)) {
+        return;
+    }
+    
+    try {
+        const closing = new Set(items.map(item => item.id).concat(closedIds));
+        const storing = new Set(items.map(item => getArchiveRowKey(item.id, observedAt)));
+        const actions = [];
+        
+        const queryOptions = {
+            filter: odata`PartitionKey eq ${source} and validTo eq ''`,
+            select: ['rowKey', 'incidentId']
+        };
+        for await (const entity of client.listEntities({ queryOptions })) {
+            // A version stored at observedAt is being replaced, not closed
+            if (closing.has(entity.incidentId) && !storing.has(entity.rowKey)) {
+                actions.push(['update', { partitionKey: source, rowKey: entity.rowKey, validTo: observedAt.toISOString() }, 'Merge']);
+            }
+        }
+        
+        for (const item of items) {
+            actions.push(['upsert', {
+                partitionKey: source,
+                rowKey: getArchiveRowKey(item.id, observedAt),
+                incidentId: item.id,
+                validFrom: observedAt.toISOString(),
+                // Empty until a later version replaces this one or the incident leaves the feed
+                validTo: '',
+                ...splitIntoChunks(JSON.stringify(item), 'data')
+            }, 'Replace']);
+        }
+        
+        await submitInTransactions(client, actions);
+    } catch (error) {
+        console.error(`Failed to archive ${source} incidents:`, error.message);
+    }
+}
+
+/**
+ * Get the archived incident versions that were current at any point between from and to
+ * Optionally limited to some sources; returns [{ source, item, validFrom, validTo }] where
+ * validTo is null for versions still current, or null if storage is unavailable
+ */
+async function getArchivedIncidents({ from, to, sources }) {
+    const client = await getTableClient(TABLES.INCIDENT_ARCHIVE);
+    
+    if (!client) {
+        return null;
+    }
+    
+    // Times are ISO strings in UTC, so they compare correctly as text
+    const filters = [
+        odata`validFrom le ${to.toISOString()}`,
+        `(${odata`validTo ge ${from.toISOString()}`} or validTo eq '')`
+    ];
+    if (sources && sources.length > 0) {
+        filters.push(`(${sources.map(source => odata`PartitionKey eq ${source}`).join(' or ')})`);
+    }
+    
+    const versions = [];
+    for await (const entity of client.listEntities({ queryOptions: { filter: filters.join(' and ') } })) {
+        versions.push({
+            source: entity.partitionKey,
+            item: JSON.parse(joinChunks(entity, 'data')),
+            validFrom: entity.validFrom,
+            validTo: entity.validTo || null
+        });
+    }
+    return versions;
+}
+
+/**
+ * Store feed change events (see changeDetection.js)
+ * Partitioned by UTC day; the row key is the event id, which sorts by time
+ */
+async function storeFeedEvents(events) {
+    const client = await getTableClient(TABLES.FEED_EVENTS);
+    
+    if (!client) {
+        return;
+    }
+    
+    for (const event of events) {
+        try {
+            await client.upsertEntity({
+                partitionKey: event.time.substring(0, 10),
+                rowKey: event.id,
+                type: event.type,
+                feed: event.feed,
+                source: event.source,
+                incidentId: event.incidentId,
+                time: event.time,
+                ...splitIntoChunks(JSON.stringify({ from: event.from, to: event.to, item: event.item }), 'data')
+            }, 'Replace');
+        } catch (error) {
+            console.error(`Failed to store feed event ${event.id}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Get feed events after an event id (or at or after a time, as a zero-padded millisecond
+ * row key prefix), oldest first, optionally filtered by type and source
+ * Returns at most limit events, or null if storage is unavailable
+ */
+async function getFeedEvents({ after, types, sources, limit = 100 }) {
+    const client = await getTableClient(TABLES.FEED_EVENTS);
+    
+    if (!client) {
+        return null;
+    }
+    
+    const afterDay = new Date(parseInt(after.substring(0, 15), 10)).toISOString().substring(0, 10);
+    const filters = [odata`PartitionKey ge ${afterDay}`, odata`RowKey gt ${after}`];
+    if (types && types.length > 0) {
+        filters.push(`(${types.map(type => odata`type eq ${type}`).join(' or ')})`);
+    }
+    if (sources && sources.length > 0) {
+        filters.push(`(${sources.map(source => odata`source eq ${source}`).join(' or ')})`);
+    }
+    
+    // Results come back in partition (day) then row key order, so oldest first
+    const events = [];
+    for await (const entity of client.listEntities({ queryOptions: { filter: filters.join(' and ') } })) {
+        events.push({
+            id: entity.rowKey,
+            type: entity.type,
+            feed: entity.feed,
+            source: entity.source,
+            incidentId: entity.incidentId,
+            time: entity.time,
+            ...JSON.parse(joinChunks(entity, 'data'))
+        });
+        if (events.length >= limit) {
+            break;
+        }
+    }
+    return events;
+}
+
+/**
+ * Submit actions (all in one partition) in as few transactions as the limits allow: at most
+ * MAX_TRANSACTION_ACTIONS operations and MAX_TRANSACTION_BYTES of payload each
+ */
+async function submitInTransactions(client, actions) {
+    let batch = [];
+    let batchBytes = 0;
+    
+    for (const action of actions) {
+        const bytes = Buffer.byteLength(JSON.stringify(action[1])) + TRANSACTION_ACTION_OVERHEAD_BYTES;
+        if (batch.length > 0 && (batch.length === MAX_TRANSACTION_ACTIONS || batchBytes + bytes > MAX_TRANSACTION_BYTES)) {
+            await client.submitTransaction(batch);
+            batch = [];
+            batchBytes = 0;
+        }
+        batch.push(action);
+        batchBytes += bytes;
+    }
+    
+    if (batch.length > 0) {
+        await client.submitTransaction(batch);
+    }
+}
+
+/**
+ * Split a long string across numbered properties (data, data1, data2...) so it fits
+ * Table Storage's per-property limit; the entity's 1MB total limit still applies
+ * Returns the properties to spread into an entity, including a chunk count
+ */
+function splitIntoChunks(text, propertyName) {
+    const properties = {};
+    let count = 0;
+    
+    for (let start = 0; start < text.length || count === 0; start += MAX_PROPERTY_LENGTH) {
+        properties[count === 0 ? propertyName : `${propertyName}${count}`] = text.substring(start, start + MAX_PROPERTY_LENGTH);
+        count++;
+    }
+    
+    properties[`${propertyName}Chunks`] = count;
+    return properties;
+}
+
+/**
+ * Reassemble a string stored with splitIntoChunks
+ * Entities written before chunking have a single property and no chunk count
+ */
+function joinChunks(entity, propertyName) {
+    const count = entity[`${propertyName}Chunks`] || 1;
+    let text = entity[propertyName] || '';
+    
+    for (let i = 1; i < count; i++) {
+        text += entity[`${propertyName}${i}`] || '';
     }
+    return text;
 }
 
 /**
@@ -226,6 +690,120 @@ async function storeEnrichedAlert(feedType, locationKey, coordinates, placeName)
     }
 }
 
+/**
+ * Row key prefix for rejected items at a time: the time counted down from NEWEST_FIRST_BASE,
+ * zero-padded, so a source's rejected items sort newest first
+ */
+function getRejectedTimeKey(time) {
+    return getVersionRowKey(NEWEST_FIRST_BASE - time.getTime());
+}
+
+/**
+ * Delete a source's rejected items that were rejected before a time, and get the fingerprints
+ * of the ones kept
+ * Returns a Set of fingerprints, or null if storage is unavailable or couldn't be read
+ */
+async function pruneRejectedItems(source, before) {
+    const client = await getTableClient(TABLES.REJECTED_ITEMS);
+    
+    if (!client) {
+        return null;
+    }
+    
+    try {
+        // Keys count down, so items rejected before the cutoff have the larger keys
+        const expiredKey = getRejectedTimeKey(new Date(before.getTime() - 1));
+        const fingerprints = new Set();
+        const actions = [];
+        
+        const queryOptions = { filter: odata`PartitionKey eq ${source}`, select: ['rowKey', 'fingerprint'] };
+        for await (const entity of client.listEntities({ queryOptions })) {
+            if (entity.rowKey >= expiredKey) {
+                actions.push(['delete', { partitionKey: source, rowKey: entity.rowKey }]);
+            } else {
+                fingerprints.add(entity.fingerprint);
+            }
+        }
+        
+        await submitInTransactions(client, actions);
+        return fingerprints;
+    } catch (error) {
+        console.error(`Failed to prune rejected ${source} items:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Store items a parser couldn't use, for diagnostics
+ * items are [{ fingerprint, reason, rawText, details }], all from one source, which is the
+ * partition, so they're written in transactions (see submitInTransactions)
+ * Returns whether they were stored
+ */
+async function storeRejectedItems(source, items, rejectedAt) {
+    const client = await getTableClient(TABLES.REJECTED_ITEMS);
+    
+    if (!client || items.length === 0) {
+        return false;
+    }
+    
+    const actions = items.map(item => ['upsert', {
+        partitionKey: source,
+        rowKey: `${getRejectedTimeKey(rejectedAt)}|${item.fingerprint}`,
+        fingerprint: item.fingerprint,
+        reason: item.reason,
+        rawText: String(item.rawText || '').substring(0, MAX_PROPERTY_LENGTH),
+        details: item.details || '',
+        rejectedAt: rejectedAt.toISOString()
+    }, 'Replace']);
+    
+    try {
+        await submitInTransactions(client, actions);
+        return true;
+    } catch (error) {
+        console.error(`Failed to store rejected ${source} items:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Get the items rejected by some sources since a time, most recent first
+ * Optionally filtered by reason; each source is one partition query that stops after limit rows
+ */
+async function getRejectedItems({ sources, since, reason, limit = 100 }) {
+    const client = await getTableClient(TABLES.REJECTED_ITEMS);
+    
+    if (!client) {
+        return [];
+    }
+    
+    const sinceKey = getRejectedTimeKey(new Date(since.getTime() - 1));
+    const items = [];
+    
+    for (const source of sources) {
+        const filters = [odata`PartitionKey eq ${source}`, odata`RowKey lt ${sinceKey}`];
+        if (reason) filters.push(odata`reason eq ${reason}`);
+        
+        let count = 0;
+        for await (const entity of client.listEntities({ queryOptions: { filter: filters.join(' and ') } })) {
+            items.push({
+                source: entity.partitionKey,
+                id: entity.rowKey,
+                reason: entity.reason,
+                rawText: entity.rawText,
+                details: entity.details,
+                rejectedAt: entity.rejectedAt
+            });
+            if (++count >= limit) {
+                break;
+            }
+        }
+    }
+    
+    // Each source's items came back newest first; merge them
+    items.sort((a, b) => b.rejectedAt.localeCompare(a.rejectedAt));
+    return items.slice(0, limit);
+}
+
 /**
  * Normalize a location string to create a consistent key for deduplication
  * Azure Table Storage row keys support up to 1KB, we limit to 100 chars for consistency
@@ -249,10 +827,23 @@ module.exports = {
     TABLES,
     CACHE_TTL_MS,
     shouldFetch,
+    acquireFetchLease,
+    releaseFetchLease,
     updateLastFetch,
     getCachedFeed,
+    getCachedFeedEntry,
+    getCachedFeedVersion,
     cacheFeed,
+    storeFeedVersion,
+    getFeedVersion,
+    archiveIncidentVersions,
+    getArchivedIncidents,
+    storeFeedEvents,
+    getFeedEvents,
     getEnrichedAlert,
     storeEnrichedAlert,
+    pruneRejectedItems,
+    storeRejectedItems,
+    getRejectedItems,
     normalizeLocationKey
 };
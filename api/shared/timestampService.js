@@ -0,0 +1,246 @@
+/**
+ * Timestamp Service
+ * Normalises feed timestamps to UTC ISO strings, handling Australian daylight saving correctly
+ * Local (zone-less) times are interpreted in the source's IANA time zone rather than a fixed offset
+ */
+
+// IANA time zones for each feed source
+const TIME_ZONES = {
+    VIC: 'Australia/Melbourne',
+    NSW: 'Australia/Sydney',
+    SA: 'Australia/Adelaide',
+    QLD: 'Australia/Brisbane',
+    TAS: 'Australia/Hobart',
+    ACT: 'Australia/Sydney'
+};
+
+const MONTHS = {
+    JAN: 1, FEB: 2, MAR: 3, APR: 4, MAY: 5, JUN: 6,
+    JUL: 7, AUG: 8, SEP: 9, OCT: 10, NOV: 11, DEC: 12
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Australian zone abbreviations and the UTC offsets they name
+// An abbreviation fixes the offset, so "02:30 AEDT" on the day clocks go back isn't ambiguous
+const ZONE_ABBREVIATIONS = {
+    AEST: 10 * HOUR_MS,
+    AEDT: 11 * HOUR_MS,
+    ACST: 9.5 * HOUR_MS,
+    ACDT: 10.5 * HOUR_MS,
+    AWST: 8 * HOUR_MS
+};
+
+// Intl formatters are relatively expensive to create, so keep one per time zone
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-AU', {
+            timeZone: timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * Get the UTC offset (in milliseconds) of a time zone at a given instant
+ * e.g. +11h for Australia/Melbourne during daylight saving, +10h otherwise
+ */
+function getTimeZoneOffset(utcMs, timeZone) {
+    const parts = {};
+    for (const part of getFormatter(timeZone).formatToParts(new Date(utcMs))) {
+        parts[part.type] = part.value;
+    }
+
+    const asUtc = Date.UTC(
+        parseInt(parts.year, 10),
+        parseInt(parts.month, 10) - 1,
+        parseInt(parts.day, 10),
+        parseInt(parts.hour, 10),
+        parseInt(parts.minute, 10),
+        parseInt(parts.second, 10)
+    );
+
+    // Drop milliseconds so the offset is a whole number of seconds
+    return asUtc - Math.floor(utcMs / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a time zone to a UTC Date
+ * Daylight saving edge cases:
+ * - Repeated hour when clocks go back (e.g. 02:30 occurs twice): the earlier instant
+ *   (still daylight time) is used
+ * - Skipped hour when clocks go forward (e.g. 02:30 doesn't exist): the time is moved
+ *   forward by the gap, so 02:30 becomes 03:30 daylight time
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+    const localMs = Date.UTC(year, month - 1, day, hour, minute, second);
+
+    // The offsets in force either side of this wall time cover any transition on the day
+    const offsetBefore = getTimeZoneOffset(localMs - 24 * HOUR_MS, timeZone);
+    const offsetAfter = getTimeZoneOffset(localMs + 24 * HOUR_MS, timeZone);
+
+    const candidates = [...new Set([offsetBefore, offsetAfter])]
+        .map(offset => localMs - offset)
+        .filter(utcMs => localMs - utcMs === getTimeZoneOffset(utcMs, timeZone));
+
+    if (candidates.length > 0) {
+        return new Date(Math.min(...candidates));
+    }
+
+    // Wall time falls in the skipped hour: apply the offset from before the transition
+    return new Date(localMs - offsetBefore);
+}
+
+/**
+ * Parse the local date/time formats used by the feeds into components
+ * Supported:
+ * - "HH:MM:SS YYYY-MM-DD"            (CFA pager feed)
+ * - "YYYY-MM-DD HH:MM[:SS]" / "YYYY-MM-DDTHH:MM[:SS]"
+ * - "DD/MM/YYYY HH:MM[:SS] [AM|PM]" and two-digit years (Emergency VIC Date/Time)
+ * - "D Mon YYYY HH:MM[:SS] [AM|PM]"  (NSW RFS UPDATED field)
+ */
+function parseLocalComponents(text) {
+    const value = text.trim().replace(/\s+/g, ' ');
+    let match;
+
+    // CFA: "14:02:00 2026-01-16"
+    if ((match = value.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))? (\d{4})-(\d{2})-(\d{2})$/))) {
+        return {
+            year: +match[4], month: +match[5], day: +match[6],
+            hour: +match[1], minute: +match[2], second: +(match[3] || 0)
+        };
+    }
+
+    // ISO without offset: "2026-01-16 14:02:00"
+    if ((match = value.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{1,2}):(\d{2})(?::(\d{2}))?$/))) {
+        return {
+            year: +match[1], month: +match[2], day: +match[3],
+            hour: +match[4], minute: +match[5], second: +(match[6] || 0)
+        };
+    }
+
+    // Day first: "16/01/2026 2:02 PM" or "16/01/26 14:02"
+    if ((match = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4}),? (\d{1,2}):(\d{2})(?::(\d{2}))?(?: ?([AP]M))?$/i))) {
+        const year = match[3].length === 2 ? 2000 + +match[3] : +match[3];
+        return {
+            year: year, month: +match[2], day: +match[1],
+            hour: to24Hour(+match[4], match[7]), minute: +match[5], second: +(match[6] || 0)
+        };
+    }
+
+    // Month name: "16 Jan 2026 14:02" or "16 January 2026 2:02 PM"
+    if ((match = value.match(/^(?:[A-Z]{3},? )?(\d{1,2}) ([A-Z]{3})[A-Z]* (\d{4}),? (\d{1,2}):(\d{2})(?::(\d{2}))?(?: ?([AP]M))?$/i))) {
+        const month = MONTHS[match[2].toUpperCase()];
+        if (!month) return null;
+        return {
+            year: +match[3], month: month, day: +match[1],
+            hour: to24Hour(+match[4], match[7]), minute: +match[5], second: +(match[6] || 0)
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Convert a 12-hour clock hour to 24-hour
+ */
+function to24Hour(hour, meridiem) {
+    if (!meridiem) return hour;
+
+    const isPM = meridiem.toUpperCase() === 'PM';
+    if (hour === 12) {
+        return isPM ? 12 : 0;
+    }
+    return isPM ? hour + 12 : hour;
+}
+
+/**
+ * Parse a time ending in an Australian zone abbreviation (e.g. "16/01/2026 2:02 PM AEDT"
+ * or "Fri, 16 Jan 2026 14:02:00 AEST") at the offset the abbreviation names
+ * Returns a Date, or null when the text has no known abbreviation
+ */
+function parseAbbreviatedZone(text) {
+    const match = text.trim().match(/^(.*?),? ?\b([A-Z]{4})$/i);
+    const offsetMs = match ? ZONE_ABBREVIATIONS[match[2].toUpperCase()] : undefined;
+    if (offsetMs === undefined) return null;
+
+    const components = parseLocalComponents(match[1]);
+    if (components) {
+        const { year, month, day, hour, minute, second } = components;
+        return new Date(Date.UTC(year, month - 1, day, hour, minute, second) - offsetMs);
+    }
+
+    // RFC 822 with the abbreviation in place of a numeric offset
+    const offsetMinutes = offsetMs / 60000;
+    const offset = `+${String(Math.floor(offsetMinutes / 60)).padStart(2, '0')}${String(offsetMinutes % 60).padStart(2, '0')}`;
+    return new Date(`${match[1]} ${offset}`);
+}
+
+/**
+ * Normalise a feed timestamp to a UTC ISO string
+ * Timestamps carrying an explicit zone or offset (RFC 822 "GMT"/"+1100", ISO "Z", or an
+ * Australian abbreviation such as "AEDT") are honoured as-is; local times are interpreted
+ * in the given IANA time zone
+ * Returns null when the text can't be parsed, so callers choose their own fallback
+ */
+function parseFeedTimestamp(text, timeZone) {
+    if (!text) return null;
+
+    const abbreviated = parseAbbreviatedZone(String(text));
+    if (abbreviated) {
+        return isNaN(abbreviated.getTime()) ? null : abbreviated.toISOString();
+    }
+
+    const components = parseLocalComponents(String(text));
+    if (components) {
+        const date = zonedTimeToUtc(components, timeZone);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    // Only trust the built-in parser when the text names its own zone/offset,
+    // otherwise it would silently use the server's time zone (UTC on Azure)
+    if (/(?:Z|GMT|UTC|[+-]\d{2}:?\d{2})$/i.test(String(text).trim())) {
+        const date = new Date(text);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    return null;
+}
+
+/**
+ * Format an instant as local time with its UTC offset, e.g. 2026-01-05T14:30:00+11:00
+ * Used by export formats (CAP) that don't allow the "Z" designator
+ * Returns null when the timestamp can't be parsed
+ */
+function formatZonedTimestamp(timestamp, timeZone) {
+    const utcMs = new Date(timestamp).getTime();
+    if (isNaN(utcMs)) return null;
+
+    const offsetMs = getTimeZoneOffset(utcMs, timeZone);
+    const local = new Date(Math.floor(utcMs / 1000) * 1000 + offsetMs).toISOString().substring(0, 19);
+
+    const offsetMinutes = Math.abs(offsetMs) / 60000;
+    const hours = String(Math.floor(offsetMinutes / 60)).padStart(2, '0');
+    const minutes = String(offsetMinutes % 60).padStart(2, '0');
+    // CAP writes UTC as -00:00
+    const sign = offsetMs > 0 ? '+' : '-';
+
+    return `${local}${sign}${hours}:${minutes}`;
+}
+
+module.exports = {
+    TIME_ZONES,
+    getTimeZoneOffset,
+    zonedTimeToUtc,
+    parseFeedTimestamp,
+    formatZonedTimestamp
+};
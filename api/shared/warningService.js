@@ -0,0 +1,173 @@
+/**
+ * Official Warning Service
+ * Classifies official warnings (Australian Warning System levels and action statements such as
+ * "Evacuate Now") and attaches them to the incidents they cover, replacing heuristic levels
+ */
+
+const { distanceKm, flattenGeometry, pointInGeometry, getRepresentativePoint } = require('./geoUtils');
+
+// Severity order, used to pick the highest warning when several cover an incident
+const WARNING_LEVEL_RANK = {
+    advice: 1,
+    watchAndAct: 2,
+    emergency: 3
+};
+
+// Australian Warning System names for each level, as shown to the public
+const WARNING_LEVEL_LABELS = {
+    advice: 'Advice',
+    watchAndAct: 'Watch and Act',
+    emergency: 'Emergency Warning'
+};
+
+// Warning level names as published
+const WARNING_LEVELS = [
+    { pattern: /EMERGENCY WARNING/, level: 'emergency' },
+    { pattern: /WATCH AND ACT|WATCH & ACT/, level: 'watchAndAct' },
+    { pattern: /\bADVICE\b/, level: 'advice' }
+];
+
+// Action statements (message types) and the level each implies when no level is published
+const WARNING_ACTIONS = [
+    { label: 'Evacuate Now', pattern: /EVACUATE NOW/, level: 'emergency' },
+    { label: 'Leave Now', pattern: /LEAVE (NOW|IMMEDIATELY)/, level: 'emergency' },
+    { label: 'Shelter Now', pattern: /(TAKE )?SHELTER NOW/, level: 'emergency' },
+    { label: 'Prepare to Evacuate', pattern: /PREPARE TO EVACUATE/, level: 'watchAndAct' },
+    { label: 'Prepare to Leave', pattern: /PREPARE TO LEAVE/, level: 'watchAndAct' },
+    { label: 'Avoid the Area', pattern: /AVOID (THE )?AREA/, level: 'watchAndAct' },
+    { label: 'Stay Indoors', pattern: /STAY INDOORS/, level: 'watchAndAct' },
+    { label: 'Not Safe to Return', pattern: /NOT SAFE TO RETURN/, level: 'watchAndAct' },
+    { label: 'Safe to Return', pattern: /SAFE TO RETURN/, level: 'advice' },
+    { label: 'Monitor Conditions', pattern: /MONITOR CONDITIONS/, level: 'advice' },
+    { label: 'Stay Informed', pattern: /STAY INFORMED/, level: 'advice' },
+    { label: 'Community Information', pattern: /COMMUNITY INFORMATION/, level: 'advice' }
+];
+
+// A warning without a polygon matches incidents within this distance of its point
+const WARNING_MATCH_RADIUS_KM = 5;
+
+/**
+ * Work out the warning level and action statement from a warning's text fields
+ * Returns { warningLevel, warningAction } or null when the text names neither
+ */
+function classifyWarning(...texts) {
+    const text = texts.filter(Boolean).join(' | ').toUpperCase();
+
+    const action = WARNING_ACTIONS.find(entry => entry.pattern.test(text)) || null;
+    const level = WARNING_LEVELS.find(entry => entry.pattern.test(text)) || null;
+
+    if (!level && !action) {
+        return null;
+    }
+
+    return {
+        warningLevel: level ? level.level : action.level,
+        warningAction: action ? action.label : null
+    };
+}
+
+/**
+ * Infer a warning level from incident details when no official warning covers the incident
+ * incidentData: { type, size, status, vehicles } as published by the source
+ * Incidents using this are flagged warningLevelSource: 'heuristic'. The heuristics:
+ * - BUSHFIRE with multiple vehicles or unknown size = Watch and Act (orange)
+ * - Large incidents = Watch and Act (orange)
+ * - Small incidents = Advice (yellow)
+ * - Default = Advice (yellow)
+ */
+function inferWarningLevel(incidentData) {
+    const type = (incidentData.type || '').toUpperCase();
+    const size = (incidentData.size || '').toUpperCase();
+    const status = (incidentData.status || '').toUpperCase();
+    const vehicles = parseInt(incidentData.vehicles || '0', 10);
+
+    // Check for a warning level named in the status, as whole words so statuses such as
+    // "Active" or "Contact made" don't read as Watch and Act
+    if (/\bEMERGENCY\b/.test(status)) {
+        return 'emergency';
+    }
+    if (/\bWATCH\s*(?:AND|&)\s*ACT\b/.test(status)) {
+        return 'watchAndAct';
+    }
+
+    // Heuristics based on incident characteristics
+    if (type === 'BUSHFIRE') {
+        // Bushfires are more serious
+        if (size === 'UNKNOWN' || vehicles > 10) {
+            return 'watchAndAct';
+        }
+    }
+
+    if (size === 'LARGE' || vehicles > 20) {
+        return 'watchAndAct';
+    }
+
+    // Default to advice level
+    return 'advice';
+}
+
+/**
+ * Whether a warning covers an incident: referenced by id, the incident is inside the
+ * warning area, or (for warnings without an area) within WARNING_MATCH_RADIUS_KM
+ */
+function warningCoversIncident(warning, incident) {
+    if (incident.incidentId && warning.incidentIds && warning.incidentIds.includes(String(incident.incidentId))) {
+        return true;
+    }
+
+    if (!incident.coordinates || !warning.geometry) {
+        return false;
+    }
+
+    if (pointInGeometry(incident.coordinates, warning.geometry)) {
+        return true;
+    }
+
+    const hasArea = flattenGeometry(warning.geometry)
+        .some(part => part.type === 'Polygon' || part.type === 'MultiPolygon');
+    if (hasArea) {
+        return false;
+    }
+
+    const point = getRepresentativePoint(warning.geometry);
+    return Boolean(point) && distanceKm(point, incident.coordinates) <= WARNING_MATCH_RADIUS_KM;
+}
+
+/**
+ * Attach official warnings to incidents
+ * warnings: [{ warningLevel, warningAction, title, link, geometry, incidentIds }]
+ * Each covered incident takes the most severe warning's level and action, with
+ * warningLevelSource 'official'; others keep their existing (heuristic) level
+ * Returns the number of incidents updated
+ */
+function attachOfficialWarnings(incidents, warnings) {
+    let matched = 0;
+
+    for (const incident of incidents) {
+        const covering = warnings
+            .filter(warning => warningCoversIncident(warning, incident))
+            .sort((a, b) => WARNING_LEVEL_RANK[b.warningLevel] - WARNING_LEVEL_RANK[a.warningLevel]);
+
+        if (covering.length === 0) {
+            continue;
+        }
+
+        const warning = covering[0];
+        incident.warningLevel = warning.warningLevel;
+        incident.warningLevelSource = 'official';
+        incident.warningAction = warning.warningAction || null;
+        incident.warningTitle = warning.title || null;
+        incident.warningLink = warning.link || null;
+        matched++;
+    }
+
+    return matched;
+}
+
+module.exports = {
+    WARNING_LEVEL_RANK,
+    WARNING_LEVEL_LABELS,
+    classifyWarning,
+    inferWarningLevel,
+    attachOfficialWarnings
+};
@@ -0,0 +1,402 @@
+/**
+ * Streaming XML Parser
+ * A small SAX-style tokenizer for the RSS/Atom feeds we consume, so parsers don't have to pull
+ * fields out with regexes. Handles CDATA sections, comments, processing instructions, DOCTYPE,
+ * numeric and named entities, attributes (either quote style) and namespace prefixes.
+ * Input can be written in chunks as it arrives; tokens split across chunks are held until complete.
+ * It is deliberately lenient: feeds in the wild have stray ampersands and unbalanced tags,
+ * so malformed input is passed through rather than rejected.
+ */
+
+// Namespaces that are always bound
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+
+// Named entities: the five XML entities plus the HTML entities commonly seen in feed text
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+    nbsp: ' ', ndash: '–', mdash: '—', hellip: '…',
+    lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+    deg: '°', middot: '·', bull: '•', copy: '©', reg: '®',
+    trade: '™', eacute: 'é', times: '×'
+};
+
+/**
+ * Decode XML character references and named entities
+ * Unknown entities and bare ampersands are left untouched
+ */
+function decodeEntities(text) {
+    if (!text || text.indexOf('&') === -1) {
+        return text;
+    }
+
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const codePoint = name[1] === 'x' || name[1] === 'X'
+                ? parseInt(name.substring(2), 16)
+                : parseInt(name.substring(1), 10);
+
+            // Invalid code points (e.g. &#0; or beyond U+10FFFF) are left as written
+            if (codePoint > 0 && codePoint <= 0x10FFFF) {
+                return String.fromCodePoint(codePoint);
+            }
+            return entity;
+        }
+
+        const decoded = NAMED_ENTITIES[name.toLowerCase()];
+        return decoded !== undefined ? decoded : entity;
+    });
+}
+
+/**
+ * Split a qualified name into prefix and local name
+ */
+function splitName(qualifiedName) {
+    const colon = qualifiedName.indexOf(':');
+    if (colon === -1) {
+        return { prefix: '', local: qualifiedName };
+    }
+    return { prefix: qualifiedName.substring(0, colon), local: qualifiedName.substring(colon + 1) };
+}
+
+/**
+ * Parse the attributes of a start tag
+ * Accepts double, single and (leniently) unquoted values
+ */
+function parseAttributes(attributeText) {
+    const attributes = {};
+    const attributeRegex = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+    let match;
+    while ((match = attributeRegex.exec(attributeText)) !== null) {
+        const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+        attributes[match[1]] = decodeEntities(value || '');
+    }
+
+    return attributes;
+}
+
+/**
+ * Find the end of a start/end tag, skipping '>' inside quoted attribute values
+ * Returns -1 if the tag isn't complete yet
+ */
+function findTagEnd(buffer, start) {
+    let quote = null;
+
+    for (let i = start; i < buffer.length; i++) {
+        const char = buffer[i];
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '>') {
+            return i;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Find the end of a DOCTYPE declaration, including any internal subset in [brackets]
+ */
+function findDoctypeEnd(buffer, start) {
+    let depth = 0;
+
+    for (let i = start; i < buffer.length; i++) {
+        if (buffer[i] === '[') depth++;
+        else if (buffer[i] === ']') depth--;
+        else if (buffer[i] === '>' && depth <= 0) return i;
+    }
+
+    return -1;
+}
+
+/**
+ * Create a streaming parser
+ * Handlers (all optional):
+ * - onOpenTag(tag, raw)   tag: { name, prefix, local, namespace, attributes, selfClosing }
+ * - onCloseTag(tag, raw)  the tag as passed to onOpenTag
+ * - onText(text, raw)     decoded character data, including CDATA sections
+ * raw is the exact source text of the token, for callers that keep the original markup
+ * Returns { write(chunk), end() }
+ */
+function createXmlParser(handlers = {}) {
+    let buffer = '';
+    let ended = false;
+
+    // Open elements and the namespace bindings in scope for each
+    const openTags = [];
+    const namespaceScopes = [{ xml: XML_NAMESPACE }];
+
+    function resolveNamespace(prefix) {
+        for (let i = namespaceScopes.length - 1; i >= 0; i--) {
+            if (Object.prototype.hasOwnProperty.call(namespaceScopes[i], prefix)) {
+                return namespaceScopes[i][prefix];
+            }
+        }
+        return null;
+    }
+
+    function emitText(text, raw) {
+        if (text && handlers.onText) {
+            handlers.onText(text, raw);
+        }
+    }
+
+    function openTag(body, raw) {
+        const selfClosing = body.endsWith('/');
+        const content = selfClosing ? body.slice(0, -1) : body;
+
+        const nameMatch = content.match(/^([^\s/>]+)/);
+        if (!nameMatch) {
+            // Not a tag ("< 5 km"), treat it as text
+            emitText(raw, raw);
+            return;
+        }
+
+        const name = nameMatch[1];
+        const attributes = parseAttributes(content.substring(name.length));
+
+        // Collect namespace declarations for this element's scope
+        const scope = {};
+        for (const [attributeName, value] of Object.entries(attributes)) {
+            if (attributeName === 'xmlns') {
+                scope[''] = value;
+            } else if (attributeName.startsWith('xmlns:')) {
+                scope[attributeName.substring(6)] = value;
+            }
+        }
+        namespaceScopes.push(scope);
+
+        const { prefix, local } = splitName(name);
+        const tag = {
+            name: name,
+            prefix: prefix,
+            local: local,
+            namespace: resolveNamespace(prefix),
+            attributes: attributes,
+            selfClosing: selfClosing
+        };
+
+        if (handlers.onOpenTag) {
+            handlers.onOpenTag(tag, raw);
+        }
+
+        if (selfClosing) {
+            namespaceScopes.pop();
+            if (handlers.onCloseTag) {
+                handlers.onCloseTag(tag, '');
+            }
+        } else {
+            openTags.push(tag);
+        }
+    }
+
+    function closeTag(name, raw) {
+        // Find the matching open tag; unmatched close tags are ignored and
+        // unclosed tags in between are closed implicitly
+        let index = openTags.length - 1;
+        while (index >= 0 && openTags[index].name !== name) {
+            index--;
+        }
+        if (index < 0) {
+            return;
+        }
+
+        while (openTags.length > index) {
+            const tag = openTags.pop();
+            namespaceScopes.pop();
+            if (handlers.onCloseTag) {
+                handlers.onCloseTag(tag, tag.name === name ? raw : '');
+            }
+        }
+    }
+
+    /**
+     * Consume as many complete tokens as the buffer holds
+     * At the end of input, an incomplete trailing token is treated as text
+     */
+    function processBuffer() {
+        let position = 0;
+
+        while (position < buffer.length) {
+            const tagStart = buffer.indexOf('<', position);
+
+            // Character data up to the next tag
+            if (tagStart !== position) {
+                const textEnd = tagStart === -1 ? buffer.length : tagStart;
+                // Hold back trailing text mid-stream in case an entity is split across chunks
+                if (tagStart === -1 && !ended) break;
+                const raw = buffer.substring(position, textEnd);
+                emitText(decodeEntities(raw), raw);
+                position = textEnd;
+                continue;
+            }
+
+            let tokenEnd;
+            if (buffer.startsWith('<!--', position)) {
+                const end = buffer.indexOf('-->', position + 4);
+                tokenEnd = end === -1 ? -1 : end + 3;
+            } else if (buffer.startsWith('<![CDATA[', position)) {
+                const end = buffer.indexOf(']]>', position + 9);
+                if (end !== -1) {
+                    const raw = buffer.substring(position, end + 3);
+                    emitText(buffer.substring(position + 9, end), raw);
+                    position = end + 3;
+                    continue;
+                }
+                tokenEnd = -1;
+            } else if (buffer.startsWith('<?', position)) {
+                const end = buffer.indexOf('?>', position + 2);
+                tokenEnd = end === -1 ? -1 : end + 2;
+            } else if (buffer.startsWith('<!', position)) {
+                const end = findDoctypeEnd(buffer, position + 2);
+                tokenEnd = end === -1 ? -1 : end + 1;
+            } else {
+                const end = findTagEnd(buffer, position + 1);
+                if (end !== -1) {
+                    const raw = buffer.substring(position, end + 1);
+                    const body = buffer.substring(position + 1, end).trim();
+                    if (body.startsWith('/')) {
+                        closeTag(body.substring(1).trim(), raw);
+                    } else {
+                        openTag(body, raw);
+                    }
+                    position = end + 1;
+                    continue;
+                }
+                tokenEnd = -1;
+            }
+
+            if (tokenEnd === -1) {
+                if (!ended) break;
+                // Unterminated token at end of input
+                const raw = buffer.substring(position);
+                emitText(decodeEntities(raw), raw);
+                position = buffer.length;
+                break;
+            }
+
+            // Comments, processing instructions and declarations carry no content
+            position = tokenEnd;
+        }
+
+        buffer = buffer.substring(position);
+    }
+
+    return {
+        write(chunk) {
+            if (ended) {
+                throw new Error('Cannot write to an XML parser after end()');
+            }
+            buffer += String(chunk);
+            processBuffer();
+        },
+
+        end() {
+            ended = true;
+            processBuffer();
+            closeTag(openTags.length > 0 ? openTags[0].name : '', '');
+        }
+    };
+}
+
+/**
+ * Parse a complete document with the streaming parser
+ */
+function parseXml(text, handlers) {
+    const parser = createXmlParser(handlers);
+    parser.write(text || '');
+    parser.end();
+}
+
+/**
+ * Parse a complete document into an element tree, for small documents such as CAP alerts
+ * Nodes are { tag, children (elements), content (text and elements in document order) }
+ * Returns the root element, or null if the document has none
+ */
+function parseXmlDocument(text) {
+    let root = null;
+    const stack = [];
+
+    parseXml(text, {
+        onOpenTag(tag) {
+            const node = { tag, children: [], content: [] };
+            if (stack.length > 0) {
+                stack[stack.length - 1].children.push(node);
+                stack[stack.length - 1].content.push(node);
+            } else if (!root) {
+                root = node;
+            }
+            stack.push(node);
+        },
+
+        onText(text) {
+            if (stack.length > 0) {
+                stack[stack.length - 1].content.push(text);
+            }
+        },
+
+        onCloseTag() {
+            stack.pop();
+        }
+    });
+
+    return root;
+}
+
+/**
+ * Text content of an element and its descendants in document order, trimmed
+ * Returns null when the element is missing
+ */
+function getNodeText(node) {
+    if (!node) return null;
+    return collectText(node).trim();
+}
+
+function collectText(node) {
+    return node.content.map(part => typeof part === 'string' ? part : collectText(part)).join('');
+}
+
+/**
+ * The markup of an element from a parseXmlDocument tree, e.g. to keep a CAP alert as published
+ * Text is re-escaped and CDATA sections become plain text. The element's namespace is declared
+ * on it when it was inherited from an ancestor, so the markup stands alone
+ */
+function getNodeXml(node) {
+    if (!node) return null;
+
+    const { name, prefix, namespace, attributes } = node.tag;
+    const declaration = prefix ? `xmlns:${prefix}` : 'xmlns';
+    const ownAttributes = namespace && attributes[declaration] === undefined
+        ? { ...attributes, [declaration]: namespace }
+        : attributes;
+
+    return serializeNode(node, ownAttributes);
+}
+
+function serializeNode(node, attributes = node.tag.attributes) {
+    const attributeText = Object.entries(attributes)
+        .map(([key, value]) => ` ${key}="${escapeMarkup(value).replace(/"/g, '&quot;')}"`)
+        .join('');
+
+    if (node.content.length === 0) {
+        return `<${node.tag.name}${attributeText}/>`;
+    }
+
+    const content = node.content.map(part => typeof part === 'string' ? escapeMarkup(part) : serializeNode(part)).join('');
+    return `<${node.tag.name}${attributeText}>${content}</${node.tag.name}>`;
+}
+
+function escapeMarkup(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+module.exports = {
+    decodeEntities,
+    createXmlParser,
+    parseXml,
+    parseXmlDocument,
+    getNodeText,
+    getNodeXml
+};
@@ -0,0 +1,97 @@
+/**
+ * XML Writer
+ * Builds XML documents from plain element objects, for the feed export formats
+ * Elements are created with element(name, attributes, ...children); null/undefined children
+ * and attributes are dropped so optional fields can be passed through without checks
+ */
+
+/**
+ * Escape text for use in element content or attribute values
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;')
+        // Control characters aren't allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * Whether a value is an element created by element()
+ */
+function isElement(value) {
+    return Boolean(value) && typeof value === 'object' && Array.isArray(value.children) && 'attributes' in value;
+}
+
+/**
+ * Create an element
+ * attributes may be omitted; children are elements, strings or numbers (arrays are flattened)
+ */
+function element(name, attributes, ...children) {
+    if (attributes === null || typeof attributes !== 'object' || Array.isArray(attributes) || isElement(attributes)) {
+        children.unshift(attributes);
+        attributes = {};
+    }
+
+    return {
+        name: name,
+        attributes: attributes,
+        children: children.flat(Infinity).filter(child => child !== null && child !== undefined && child !== '')
+    };
+}
+
+/**
+ * Create an element containing a single text value, or null if the value is empty
+ * Handy for optional fields: null results are dropped by element()
+ */
+function textElement(name, value, attributes = {}) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    return element(name, attributes, String(value));
+}
+
+/**
+ * Serialise an element tree, indented two spaces per level
+ * Elements with only text content are written on one line
+ */
+function serializeElement(node, depth = 0) {
+    const indent = '  '.repeat(depth);
+
+    const attributeText = Object.entries(node.attributes || {})
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+        .join('');
+
+    if (node.children.length === 0) {
+        return `${indent}<${node.name}${attributeText}/>`;
+    }
+
+    if (node.children.every(child => typeof child !== 'object')) {
+        return `${indent}<${node.name}${attributeText}>${node.children.map(escapeXml).join('')}</${node.name}>`;
+    }
+
+    const childText = node.children
+        .map(child => typeof child === 'object' ? serializeElement(child, depth + 1) : `${indent}  ${escapeXml(child)}`)
+        .join('\n');
+
+    return `${indent}<${node.name}${attributeText}>\n${childText}\n${indent}</${node.name}>`;
+}
+
+/**
+ * Serialise a complete document with an XML declaration
+ */
+function serializeDocument(root) {
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${serializeElement(root)}\n`;
+}
+
+module.exports = {
+    escapeXml,
+    element,
+    textElement,
+    serializeElement,
+    serializeDocument
+};
@@ -0,0 +1,87 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { useMemoryTables } = require('./helpers/memoryTables');
+const { archiveFeedChanges, getIncidentHistory } = require('../shared/archiveService');
+
+function incident(id, source, status = 'Going') {
+    return { id, source, title: `Incident ${id}`, status };
+}
+
+describe('archiveFeedChanges', () => {
+    let storage;
+    const first = new Date('2026-01-10T00:00:00Z');
+    const second = new Date('2026-01-10T00:01:00Z');
+
+    beforeEach(() => {
+        storage = useMemoryTables();
+    });
+
+    afterEach(() => {
+        storage.restore();
+    });
+
+    it('writes nothing when the feed is unchanged', async () => {
+        const items = [incident('VIC-1', 'VIC'), incident('VIC-2', 'VIC'), incident('NSW-1', 'NSW')];
+        await archiveFeedChanges('EMERGENCY', null, items, first);
+        storage.writes.length = 0;
+
+        // The same incidents, as a fresh fetch would return them
+        const refetched = items.map(item => ({ ...item }));
+        await archiveFeedChanges('EMERGENCY', items, refetched, second);
+
+        assert.deepStrictEqual(storage.writes, []);
+    });
+
+    it('stores a new version of a changed incident and closes the old one', async () => {
+        const items = [incident('VIC-1', 'VIC'), incident('VIC-2', 'VIC')];
+        await archiveFeedChanges('EMERGENCY', null, items, first);
+
+        const changed = [incident('VIC-1', 'VIC', 'Under Control'), items[1]];
+        await archiveFeedChanges('EMERGENCY', items, changed, second);
+
+        const history = await getIncidentHistory({ from: first, to: second });
+        const vic1 = history.find(item => item.id === 'VIC-1');
+        assert.strictEqual(vic1.status, 'Under Control');
+        assert.strictEqual(vic1.versionCount, 2);
+        assert.strictEqual(vic1.validTo, null);
+
+        const open = Array.from(storage.tables.get('IncidentArchive').entities.values())
+            .filter(entity => entity.incidentId === 'VIC-1' && entity.validTo === '');
+        assert.strictEqual(open.length, 1);
+    });
+
+    it('writes each source in one transaction', async () => {
+        const items = [incident('VIC-1', 'VIC'), incident('VIC-2', 'VIC'), incident('NSW-1', 'NSW')];
+        await archiveFeedChanges('EMERGENCY', null, items, first);
+
+        assert.deepStrictEqual(storage.transactions.map(({ partitionKey, size }) => [partitionKey, size]), [['VIC', 2], ['NSW', 1]]);
+    });
+
+    it('splits a source across transactions by payload size as well as count', async () => {
+        // 40 incidents with 200KB messages: far fewer than 100 writes, but 8MB
+        const message = 'x'.repeat(200 * 1024);
+        const items = Array.from({ length: 40 }, (_, index) => ({ ...incident(`VIC-${index}`, 'VIC'), message }));
+        await archiveFeedChanges('EMERGENCY', null, items, first);
+
+        assert.ok(storage.transactions.length >= 2);
+        assert.strictEqual(storage.transactions.reduce((total, { size }) => total + size, 0), 40);
+        for (const { bytes } of storage.transactions) {
+            assert.ok(bytes <= 4 * 1024 * 1024, `${bytes} bytes`);
+        }
+
+        const history = await getIncidentHistory({ from: first, to: first });
+        assert.strictEqual(history.length, 40);
+    });
+
+    it('closes removed incidents, except those of sources that failed to fetch', async () => {
+        const items = [incident('VIC-1', 'VIC'), incident('NSW-1', 'NSW')];
+        await archiveFeedChanges('EMERGENCY', null, items, first);
+
+        await archiveFeedChanges('EMERGENCY', items, [], second, { failedSources: ['NSW'] });
+
+        const history = await getIncidentHistory({ from: first, to: second });
+        const validTo = Object.fromEntries(history.map(item => [item.id, item.validTo]));
+        assert.deepStrictEqual(validTo, { 'VIC-1': second.toISOString(), 'NSW-1': null });
+    });
+});
@@ -0,0 +1,77 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const SERVICE_PATH = require.resolve('../shared/brigadeService');
+const DIRECTORY_PATH = path.join(__dirname, 'fixtures', 'directories', 'brigades.json');
+
+// The directory is read once per process, so each test loads the service afresh
+function loadService(directoryPath) {
+    if (directoryPath === undefined) {
+        delete process.env.BRIGADE_DIRECTORY_PATH;
+    } else {
+        process.env.BRIGADE_DIRECTORY_PATH = directoryPath;
+    }
+    delete require.cache[SERVICE_PATH];
+    return require(SERVICE_PATH);
+}
+
+describe('brigadeService', () => {
+    const previousPath = process.env.BRIGADE_DIRECTORY_PATH;
+
+    beforeEach(() => {
+        mock.method(console, 'error', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        if (previousPath === undefined) {
+            delete process.env.BRIGADE_DIRECTORY_PATH;
+        } else {
+            process.env.BRIGADE_DIRECTORY_PATH = previousPath;
+        }
+    });
+
+    it('looks up brigades in the operator directory by capcode', () => {
+        const { getBrigadeByCapcode } = loadService(DIRECTORY_PATH);
+
+        assert.strictEqual(getBrigadeByCapcode('0240150').brigade, 'Example City');
+        // Capcodes are matched as 7 digits
+        assert.strictEqual(getBrigadeByCapcode('240151').brigade, 'Example North');
+        assert.strictEqual(getBrigadeByCapcode('0999999'), null);
+        assert.strictEqual(getBrigadeByCapcode(''), null);
+    });
+
+    it('searches by district and partial name', () => {
+        const { findBrigades } = loadService(DIRECTORY_PATH);
+        const names = query => findBrigades(query).map(entry => entry.brigade);
+
+        assert.deepStrictEqual(names({ district: 'district 15' }), ['Example City', 'Example North']);
+        assert.deepStrictEqual(names({ name: 'north' }), ['Example North']);
+        assert.deepStrictEqual(names({ capcode: '240020' }), ['Sample Creek']);
+    });
+
+    it('describes paged brigades once each, keeping unknown capcodes', () => {
+        const { describePagedBrigades } = loadService(DIRECTORY_PATH);
+
+        assert.deepStrictEqual(describePagedBrigades(['0240150', '240150', '0999999']), [
+            { capcode: '0240150', brigade: 'Example City', district: 'District 15', coordinates: [143.8503, -37.5622] },
+            { capcode: '0999999', brigade: null, district: null, coordinates: null }
+        ]);
+    });
+
+    it('leaves capcodes unresolved without a directory', () => {
+        const { getAllBrigades, describePagedBrigades } = loadService(undefined);
+
+        assert.deepStrictEqual(getAllBrigades(), []);
+        assert.strictEqual(describePagedBrigades(['0240150'])[0].brigade, null);
+        assert.strictEqual(console.error.mock.callCount(), 0);
+    });
+
+    it('treats a directory that cannot be read as empty', () => {
+        const { getAllBrigades } = loadService(path.join(__dirname, 'fixtures', 'directories', 'missing.json'));
+
+        assert.deepStrictEqual(getAllBrigades(), []);
+        assert.strictEqual(console.error.mock.callCount(), 1);
+    });
+});
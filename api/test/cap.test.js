@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { serializeCapAlert } = require('../shared/formats/cap');
+
+const INCIDENT = {
+    id: 'VIC-1', source: 'VIC', region: 'VIC', incidentId: '1', title: 'Grass fire, Kilmore', location: 'Kilmore',
+    type: 'Grass Fire', warningLevel: 'advice', coordinates: [144.95, -37.3],
+    reportedAt: '2026-01-05T01:00:00.000Z', updatedAt: '2026-01-05T01:00:00.000Z'
+};
+
+function field(xml, name) {
+    const match = xml.match(new RegExp(`<${name}>([^<]*)</${name}>`));
+    return match ? match[1] : null;
+}
+
+describe('serializeCapAlert', () => {
+    it('sends a newly reported incident as an Alert without an expiry', () => {
+        const xml = serializeCapAlert(INCIDENT, { sender: 'test' });
+
+        assert.strictEqual(field(xml, 'identifier'), 'VIC-1');
+        assert.strictEqual(field(xml, 'msgType'), 'Alert');
+        assert.strictEqual(field(xml, 'sent'), '2026-01-05T12:00:00+11:00');
+        assert.strictEqual(field(xml, 'references'), null);
+        assert.strictEqual(field(xml, 'expires'), null);
+    });
+
+    it('sends an updated incident as an Update referencing its first alert', () => {
+        const xml = serializeCapAlert({ ...INCIDENT, updatedAt: '2026-01-05T03:30:00.000Z' }, { sender: 'test' });
+
+        assert.strictEqual(field(xml, 'identifier'), 'VIC-1-1767583800');
+        assert.strictEqual(field(xml, 'msgType'), 'Update');
+        assert.strictEqual(field(xml, 'sent'), '2026-01-05T14:30:00+11:00');
+        assert.strictEqual(field(xml, 'references'), 'test,VIC-1,2026-01-05T12:00:00+11:00');
+        assert.strictEqual(field(xml, 'expires'), null);
+    });
+
+    it('gives the all-clear for a closed incident an expiry', () => {
+        const xml = serializeCapAlert({ ...INCIDENT, state: 'closed' }, { sender: 'test' });
+
+        assert.strictEqual(field(xml, 'msgType'), 'Update');
+        assert.strictEqual(field(xml, 'identifier'), 'VIC-1-1767574800');
+        assert.strictEqual(field(xml, 'responseType'), 'AllClear');
+        assert.strictEqual(field(xml, 'expires'), '2026-01-06T00:00:00+11:00');
+    });
+});
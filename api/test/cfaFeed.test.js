@@ -0,0 +1,152 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { parseCFAFeed, extractLocation, parseMessageFields } = require('../shared/cfaFeed');
+
+const SAMPLE = fs.readFileSync(path.join(__dirname, 'fixtures', 'feeds', 'cfa-pager-sample.html'), 'utf8');
+
+/**
+ * A pager feed page with one row per [capcode, "HH:MM:SS YYYY-MM-DD", message]
+ */
+function pagerFeed(rows) {
+    const cells = rows.map(([capcode, time, message]) =>
+        `<tr><td class='capcode'>${capcode}</td><td class='timestamp'>${time}</td><td><span class='alert'>${message}</span></td></tr>`);
+    return `<table>\n${cells.join('\n')}\n</table>`;
+}
+
+describe('parseCFAFeed', () => {
+    const incidents = parseCFAFeed(SAMPLE);
+    const byId = id => incidents.find(incident => incident.incidentId === id);
+
+    it('threads dispatches and status messages by F-number, most recently active first', () => {
+        // The scraping warning and the training page aren't incidents; the alarm has no F-number
+        assert.deepStrictEqual(incidents.map(incident => incident.incidentId), ['F260110161', 'F260110158', 'F260110149', null]);
+
+        const barwonDowns = byId('F260110161');
+        assert.deepStrictEqual(barwonDowns.messages.map(item => item.status), ['ALERT', 'ALERT', 'STOP']);
+        assert.strictEqual(barwonDowns.reportedAt, '2026-01-10T03:12:03.000Z');
+        assert.strictEqual(barwonDowns.updatedAt, '2026-01-10T03:36:12.000Z');
+        // The message is the latest dispatch, without the @@ALERT prefix
+        assert.match(barwonDowns.message, /^F260110161 G&SC1 GRASS FIRE .* CBARW CFORR CBIRR$/);
+    });
+
+    it('merges the same message paged to several capcodes into one timeline entry', () => {
+        const barwonDowns = byId('F260110161');
+
+        assert.deepStrictEqual(barwonDowns.capcodes, ['0231457', '0231460']);
+        assert.deepStrictEqual(barwonDowns.messages.map(item => item.capcodes), [['0231457'], ['0231457', '0231460'], ['0231457']]);
+        // Units accumulate as more are paged
+        assert.deepStrictEqual(barwonDowns.units, ['CBARW', 'CFORR', 'CBIRR']);
+    });
+
+    it('reads the dispatch fields of the latest dispatch', () => {
+        const wendouree = byId('F260110158');
+
+        assert.strictEqual(wendouree.incidentType, 'STRUC');
+        assert.strictEqual(wendouree.incidentTypeDescription, 'Structure Fire');
+        assert.strictEqual(wendouree.responseCode, 'CODE 1');
+        assert.deepStrictEqual(wendouree.address, { text: '12 SMITH ST WENDOUREE', streetNumber: '12', street: 'SMITH ST', corner: null, suburb: 'WENDOUREE' });
+        assert.deepStrictEqual(wendouree.crossStreets, ['HOWITT ST', 'FORGE CR']);
+        assert.deepStrictEqual(wendouree.mapReference, { system: 'spatialVision', book: 'SVC', page: '6235', cell: 'B4', text: 'SVC 6235 B4' });
+        assert.strictEqual(wendouree.location, '12 SMITH ST, WENDOUREE');
+        assert.strictEqual(wendouree.locationMatch.confidence, 0.95);
+
+        const alarm = incidents[3];
+        assert.strictEqual(alarm.incidentType, 'ALARC');
+        assert.deepStrictEqual(alarm.mapReference, { system: 'melway', book: 'M', page: '334', cell: 'C2', text: 'M 334 C2' });
+        assert.deepStrictEqual(alarm.units, ['CBACM']);
+    });
+
+    it('moves incidents through the states their status messages report', () => {
+        assert.strictEqual(byId('F260110158').state, 'active');
+        assert.deepStrictEqual(byId('F260110161').transitions.map(({ from, to, state }) => [from, to, state]),
+            [[null, 'ALERT', 'active'], ['ALERT', 'STOP', 'contained']]);
+        assert.strictEqual(byId('F260110149').status, 'UNDER CONTROL');
+        assert.strictEqual(byId('F260110149').state, 'contained');
+    });
+
+    it('closes incidents on RETURNING or SAFE, and reactivates them on a fresh dispatch', () => {
+        const parsed = parseCFAFeed(pagerFeed([
+            ['0231457', '15:40:00 2026-01-10', 'F260110170 RETURNING CBARW'],
+            ['0231457', '15:20:00 2026-01-10', '@@ALERT F260110170 G&amp;SC1 GRASS FIRE REKINDLE 5 MAIN RD FORREST /BARWON RD SVC 7615 C4 (412010) CBARW'],
+            ['0231457', '15:00:00 2026-01-10', 'F260110170 STOP CALL FIRE CONTAINED CBARW'],
+            ['0231457', '14:50:00 2026-01-10', '@@ALERT F260110170 G&amp;SC1 GRASS FIRE 5 MAIN RD FORREST /BARWON RD SVC 7615 C4 (412009) CBARW'],
+            ['0228812', '14:45:00 2026-01-10', 'F260110171 ALL PERSONS SAFE CWEND'],
+            ['0228812', '14:30:00 2026-01-10', '@@ALERT F260110171 RESCC1 RESCUE 3 LAKE RD WENDOUREE /HOWITT ST SVC 6235 B4 (412011) CWEND'],
+            // A status message for an incident whose dispatch isn't in the feed
+            ['0219044', '14:20:00 2026-01-10', 'F260110150 STOP CALL CWALL']
+        ]));
+
+        const forrest = parsed.find(incident => incident.incidentId === 'F260110170');
+        assert.deepStrictEqual(forrest.transitions.map(transition => transition.state), ['active', 'contained', 'active', 'closed']);
+        assert.strictEqual(forrest.state, 'closed');
+
+        const wendouree = parsed.find(incident => incident.incidentId === 'F260110171');
+        assert.strictEqual(wendouree.status, 'SAFE');
+        assert.strictEqual(wendouree.state, 'closed');
+
+        assert.deepStrictEqual(parsed.map(incident => incident.incidentId), ['F260110170', 'F260110171']);
+    });
+});
+
+describe('parseMessageFields', () => {
+    it('reads a corner address and a dispatch without a job number', () => {
+        const fields = parseMessageFields('F260110101 G&SC1 GRASS FIRE CNR FOGARTYS GAP RD/WOODBROOK RD RAVENSWOOD SOUTH SVC 7724 E8 CRAVE CMAND');
+
+        assert.strictEqual(fields.incidentTypeDescription, 'Grass and Scrub Fire');
+        assert.strictEqual(fields.address.corner, 'WOODBROOK RD');
+        assert.strictEqual(fields.address.suburb, 'RAVENSWOOD SOUTH');
+        assert.deepStrictEqual(fields.crossStreets, ['WOODBROOK RD']);
+        assert.deepStrictEqual(fields.units, ['CRAVE', 'CMAND']);
+    });
+
+    it('leaves fields it cannot find empty', () => {
+        assert.deepStrictEqual(parseMessageFields('BRIGADE TEST PAGE'), {
+            incidentType: null,
+            incidentTypeDescription: null,
+            responseCode: null,
+            address: null,
+            crossStreets: [],
+            mapReference: null,
+            units: []
+        });
+    });
+});
+
+describe('extractLocation', () => {
+    const cases = [
+        ['assemblePoint', 0.6, 'STRIKE TEAM 1234 ASSEMBLE AT MERTON CFA STATION SHAWS RD MERTON / SVNE 7722 D5 (412345) CMERT',
+            { text: 'MERTON', suburb: 'MERTON' }],
+        ['streetAddress', 0.95, 'F260110100 G&SC1 GRASS FIRE 230 CHURCHILL RD YARROWEYAH /WILLIAMS RD SVNE 7922 B2 (412100) CNUMU',
+            { text: '230 CHURCHILL RD, YARROWEYAH', streetNumber: '230', street: 'CHURCHILL RD', suburb: 'YARROWEYAH' }],
+        ['corner', 0.6, 'F260110101 G&SC1 GRASS FIRE CNR FOGARTYS GAP RD/WOODBROOK RD RAVENSWOOD SOUTH SVC 7724 E8 (412101) CRAVE',
+            { text: 'RAVENSWOOD SOUTH', suburb: 'RAVENSWOOD SOUTH' }],
+        ['roadWithoutNumber', 0.75, 'F260110102 G&SC1 SHELFORD-MT MERCER RD MOUNT MERCER /GRAYS RD SVC 7520 A1 (412102) CMTME',
+            { text: 'SHELFORD-MT MERCER Rd, MOUNT MERCER', street: 'SHELFORD-MT MERCER Rd', suburb: 'MOUNT MERCER' }],
+        ['atLocationAddress', 0.85, 'F260110103 ALARC1 FIRE ALARM OPERATING AT ULTRA PACK 139 PROSPERITY WAY DANDENONG SOUTH M 95 A3 (412103) CDNS',
+            { text: '139 PROSPERITY WAY, DANDENONG SOUTH', streetNumber: '139', street: 'PROSPERITY WAY', suburb: 'DANDENONG SOUTH' }],
+        ['suburbBeforeGrid', 0.4, 'F260110104 G&SC3 GRASS FIRE BULDAR TRAIL COMBIENBAR SVSE 8830 K2 (412104) CCOMB',
+            { text: 'COMBIENBAR', suburb: 'COMBIENBAR' }],
+        ['suburbBeforeSlash', 0.25, 'F260110105 INCIC1 SMOKE SIGHTING NEAR WATER TOWER COBRAM /',
+            { text: 'WATER TOWER COBRAM', suburb: 'WATER TOWER COBRAM' }]
+    ];
+
+    for (const [patternName, confidence, message, expected] of cases) {
+        it(`matches ${patternName} with confidence ${confidence}`, () => {
+            const match = extractLocation(`@@ALERT ${message}`);
+
+            assert.ok(match, message);
+            assert.strictEqual(match.patternName, patternName);
+            assert.strictEqual(match.confidence, confidence);
+            assert.deepStrictEqual(match, {
+                streetNumber: null, street: null, ...expected, pattern: match.pattern, patternName, confidence
+            });
+        });
+    }
+
+    it('returns null when no pattern matches', () => {
+        assert.strictEqual(extractLocation('@@ALERT BRIGADE TEST PAGE'), null);
+    });
+});
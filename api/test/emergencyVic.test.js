@@ -0,0 +1,102 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const { runSource } = require('../shared/sources');
+
+const SOURCE_PATH = require.resolve('../shared/sources/emergencyVic');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'feeds');
+const INCIDENTS = fs.readFileSync(path.join(FIXTURES_DIR, 'emergency-vic-sample.xml'), 'utf8');
+const WARNINGS = fs.readFileSync(path.join(FIXTURES_DIR, 'emergency-vic-warnings-sample.json'), 'utf8');
+
+const log = () => {};
+log.warn = log.error = () => {};
+const context = { log };
+
+// The warnings URL is read when the adapter is loaded, so it's loaded afresh for the test server
+function loadSource(warningsUrl) {
+    process.env.EMERGENCY_VIC_WARNINGS_URL = warningsUrl;
+    delete require.cache[SOURCE_PATH];
+    return require(SOURCE_PATH);
+}
+
+describe('Emergency VIC adapter', () => {
+    const previousUrl = process.env.EMERGENCY_VIC_WARNINGS_URL;
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        server = http.createServer((req, res) => {
+            if (req.url === '/events-geojson.json') {
+                res.writeHead(200, { 'Content-Type': 'application/geo+json' });
+                res.end(WARNINGS);
+            } else {
+                res.writeHead(500);
+                res.end('Server error');
+            }
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        mock.restoreAll();
+        await new Promise(resolve => server.close(resolve));
+        if (previousUrl === undefined) {
+            delete process.env.EMERGENCY_VIC_WARNINGS_URL;
+        } else {
+            process.env.EMERGENCY_VIC_WARNINGS_URL = previousUrl;
+        }
+        delete require.cache[SOURCE_PATH];
+    });
+
+    async function run(warningsPath) {
+        const source = loadSource(`${baseUrl}${warningsPath}`);
+        const { incidents, status } = await runSource({ ...source, fetch: async () => INCIDENTS }, context);
+        assert.strictEqual(status.ok, true);
+        return new Map(incidents.map(incident => [incident.incidentId, incident]));
+    }
+
+    it('takes the levels of the official warnings covering each incident', async () => {
+        const incidents = await run('/events-geojson.json');
+
+        // Named by the Watch and Act warning and inside the Emergency Warning area: the most severe wins
+        const barwonDowns = incidents.get('260110041');
+        assert.strictEqual(barwonDowns.warningLevel, 'emergency');
+        assert.strictEqual(barwonDowns.warningLevelSource, 'official');
+        assert.strictEqual(barwonDowns.warningAction, 'Evacuate Now');
+        assert.strictEqual(barwonDowns.warningTitle, 'Bushfire - Barwon Downs, Forrest');
+        assert.strictEqual(barwonDowns.warningLink, 'https://emergency.vic.gov.au/respond/#!/warning/5002');
+
+        // Within 5 km of a warning without an area
+        const wallup = incidents.get('260110037');
+        assert.strictEqual(wallup.warningLevel, 'advice');
+        assert.strictEqual(wallup.warningLevelSource, 'official');
+        assert.strictEqual(wallup.warningAction, 'Monitor Conditions');
+    });
+
+    it('leaves incidents no warning covers with their inferred levels', async () => {
+        const incidents = await run('/events-geojson.json');
+
+        // Cape Otway is outside the nearby warning area and under a point that names no level;
+        // the incident feature over Collins St isn't a warning
+        for (const id of ['260110022', '260110029']) {
+            assert.strictEqual(incidents.get(id).warningLevel, 'advice', id);
+            assert.strictEqual(incidents.get(id).warningLevelSource, 'heuristic', id);
+            assert.strictEqual(incidents.get(id).warningAction, null, id);
+        }
+    });
+
+    it('keeps the inferred levels when the warnings feed fails', async () => {
+        const incidents = await run('/missing.json');
+
+        assert.strictEqual(incidents.size, 4);
+        assert.strictEqual(incidents.get('260110041').warningLevel, 'watchAndAct');
+        for (const incident of incidents.values()) {
+            assert.strictEqual(incident.warningLevelSource, 'heuristic');
+        }
+    });
+});
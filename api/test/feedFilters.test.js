@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { parseFeedFilters, applyFeedFilters } = require('../shared/feedFilters');
+
+function filtersFor(query) {
+    const { filters, error } = parseFeedFilters(query);
+    assert.strictEqual(error, undefined, error);
+    return filters;
+}
+
+function errorFor(query) {
+    const { filters, error } = parseFeedFilters(query);
+    assert.strictEqual(filters, undefined, JSON.stringify(query));
+    return error;
+}
+
+const ITEMS = [
+    { id: 'VIC-1', source: 'VIC', type: 'GRASS FIRE', warningLevel: 'advice', coordinates: [144.95, -37.3], timestamp: '2026-01-05T01:00:00.000Z' },
+    { id: 'VIC-2', source: 'VIC', type: 'BUSHFIRE', warningLevel: 'emergency', coordinates: [145.3, -37.5], timestamp: '2026-01-05T03:00:00.000Z' },
+    { id: 'NSW-1', source: 'NSW', type: 'Bush Fire', warningLevel: 'watchAndAct', coordinates: [151.02, -32.65], timestamp: '2026-01-05T02:00:00.000Z' },
+    { id: 'CFA-F260105001', incidentType: 'STRUC', incidentTypeDescription: 'Structure Fire', coordinates: null, timestamp: '2026-01-05T04:00:00.000Z' }
+];
+
+function ids(query, options = { defaultSource: 'CFA' }) {
+    return applyFeedFilters(ITEMS, filtersFor(query), options).items.map(item => item.id);
+}
+
+describe('parseFeedFilters', () => {
+    it('accepts an empty query', () => {
+        assert.deepStrictEqual(filtersFor({}), {});
+    });
+
+    it('parses bbox as west,south,east,north', () => {
+        assert.deepStrictEqual(filtersFor({ bbox: '144, -38, 146,-37' }).bbox, [144, -38, 146, -37]);
+
+        for (const bbox of ['144,-38,146', '144,-38,146,x', '146,-38,144,-37', '144,-37,146,-38', '144,-91,146,-37', '-181,-38,146,-37']) {
+            assert.strictEqual(errorFor({ bbox }), 'bbox must be west,south,east,north in degrees', bbox);
+        }
+    });
+
+    it('parses limit and offset, capping limit at 1000', () => {
+        assert.deepStrictEqual(filtersFor({ limit: '20', offset: '40' }), { limit: 20, offset: 40 });
+        assert.strictEqual(filtersFor({ limit: '5000' }).limit, 1000);
+        assert.strictEqual(filtersFor({ offset: '0' }).offset, 0);
+
+        for (const limit of ['0', '-1', '2.5', 'ten', '']) {
+            assert.strictEqual(errorFor({ limit }), 'limit must be a positive integer', limit);
+        }
+        for (const offset of ['-1', '1e3', 'x']) {
+            assert.strictEqual(errorFor({ offset }), 'offset must be a non-negative integer', offset);
+        }
+    });
+
+    it('reads since as a feed version or an ISO time', () => {
+        assert.deepStrictEqual(filtersFor({ since: '1767571200000' }), { sinceVersion: 1767571200000 });
+        assert.deepStrictEqual(filtersFor({ since: '2026-01-05T02:00:00Z' }), { since: Date.parse('2026-01-05T02:00:00Z') });
+
+        for (const since of ['yesterday', '05/01/2026', '2026-13-45T00:00:00Z']) {
+            assert.strictEqual(errorFor({ since }), 'since must be an ISO 8601 timestamp', since);
+        }
+        // A delta can't be paged
+        assert.strictEqual(errorFor({ since: '1767571200000', limit: '10' }), 'limit and offset cannot be used with since=<version>');
+        assert.strictEqual(errorFor({ since: '1767571200000', offset: '0' }), 'limit and offset cannot be used with since=<version>');
+    });
+
+    it('validates warning levels', () => {
+        assert.deepStrictEqual(filtersFor({ warningLevel: 'advice, emergency' }).warningLevels, ['advice', 'emergency']);
+        assert.strictEqual(filtersFor({ minWarningLevel: 'watchAndAct' }).minWarningRank, 2);
+
+        assert.strictEqual(errorFor({ warningLevel: 'advice,extreme' }), 'warningLevel must be one of advice, watchAndAct, emergency');
+        assert.strictEqual(errorFor({ minWarningLevel: 'Emergency' }), 'minWarningLevel must be one of advice, watchAndAct, emergency');
+    });
+
+    it('parses near as lat,lng with a radius', () => {
+        assert.deepStrictEqual(filtersFor({ near: '-37.3,144.95' }).near, { position: [144.95, -37.3], radiusKm: 50 });
+        assert.deepStrictEqual(filtersFor({ near: '-37.3,144.95', radiusKm: '12.5' }).near, { position: [144.95, -37.3], radiusKm: 12.5 });
+
+        for (const near of ['-37.3', '144.95,-37.3', '-37.3,181', 'here']) {
+            assert.strictEqual(errorFor({ near }), 'near must be lat,lng in degrees', near);
+        }
+        for (const radiusKm of ['0', '-5', 'far']) {
+            assert.strictEqual(errorFor({ near: '-37.3,144.95', radiusKm }), 'radiusKm must be a positive number', radiusKm);
+        }
+        assert.strictEqual(errorFor({ radiusKm: '10' }), 'radiusKm requires near=lat,lng');
+    });
+});
+
+describe('applyFeedFilters', () => {
+    it('lists matching items newest first, with the total before paging', () => {
+        const { items, total } = applyFeedFilters(ITEMS, filtersFor({ limit: '2', offset: '1' }));
+
+        assert.deepStrictEqual(items.map(item => item.id), ['VIC-2', 'NSW-1']);
+        assert.strictEqual(total, 4);
+    });
+
+    it('filters by source, warning level and type', () => {
+        assert.deepStrictEqual(ids({ source: 'vic' }), ['VIC-2', 'VIC-1']);
+        assert.deepStrictEqual(ids({ source: 'CFA' }), ['CFA-F260105001']);
+        assert.deepStrictEqual(ids({ warningLevel: 'advice,watchAndAct' }), ['NSW-1', 'VIC-1']);
+        // Pager items have no warning level, so they're below every minimum
+        assert.deepStrictEqual(ids({ minWarningLevel: 'watchAndAct' }), ['VIC-2', 'NSW-1']);
+        assert.deepStrictEqual(ids({ type: 'bush,structure' }), ['CFA-F260105001', 'VIC-2', 'NSW-1']);
+    });
+
+    it('filters by time and position', () => {
+        assert.deepStrictEqual(ids({ since: '2026-01-05T02:00:00Z' }), ['CFA-F260105001', 'VIC-2', 'NSW-1']);
+        // Items without coordinates are in no area
+        assert.deepStrictEqual(ids({ bbox: '144,-38,146,-37' }), ['VIC-2', 'VIC-1']);
+        assert.deepStrictEqual(ids({ near: '-37.3,144.95', radiusKm: '10' }), ['VIC-1']);
+        assert.deepStrictEqual(ids({ near: '-37.3,144.95' }), ['VIC-2', 'VIC-1']);
+    });
+});
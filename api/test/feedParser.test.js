@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { parseFeed } = require('../shared/feedParser');
+const { parseCFAFeed } = require('../shared/cfaFeed');
+const emergencyVic = require('../shared/sources/emergencyVic');
+const { parseRssItems, parseVicDescription, parsePagerAlerts } = require('./helpers/legacyParsers');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'feeds');
+
+function fixtures(pattern) {
+    return fs.readdirSync(FIXTURES_DIR)
+        .filter(name => pattern.test(name))
+        .map(name => ({ name, text: fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8') }));
+}
+
+/**
+ * What the regex parser should have returned: it left CDATA sections wrapped and numeric
+ * entities (&#8211;) undecoded, which the streaming parser handles
+ */
+function fixLegacyText(value) {
+    if (value === null) return null;
+    return value
+        .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1')
+        .replace(/&#(\d+);/g, (entity, code) => String.fromCodePoint(parseInt(code, 10)))
+        .replace(/&#x([0-9a-f]+);/gi, (entity, code) => String.fromCodePoint(parseInt(code, 16)))
+        .trim();
+}
+
+function newRssItems(text) {
+    return parseFeed(text).items.map(item => ({
+        title: item.title,
+        link: item.link,
+        description: item.description,
+        pubDate: item.pubDate,
+        category: item.categories[0] || null,
+        point: item.point
+    }));
+}
+
+function legacyRssItems(text) {
+    return parseRssItems(text).map(item => ({
+        title: fixLegacyText(item.title),
+        link: fixLegacyText(item.link),
+        description: fixLegacyText(item.description),
+        pubDate: fixLegacyText(item.pubDate),
+        category: fixLegacyText(item.category),
+        point: item.point
+    }));
+}
+
+function assertSameItems(legacyItems, newItems) {
+    assert.ok(legacyItems.length > 0, 'fixture has no items');
+    assert.strictEqual(newItems.length, legacyItems.length, 'item count');
+    legacyItems.forEach((legacy, index) => {
+        assert.deepStrictEqual(newItems[index], legacy, `item ${index} (${legacy.title})`);
+    });
+}
+
+describe('streaming feed parser against the regex parser', () => {
+    for (const { name, text } of fixtures(/^emergency-vic-.*\.xml$/)) {
+        it(`reads the same items from ${name}`, () => {
+            assertSameItems(legacyRssItems(text), newRssItems(text));
+        });
+
+        it(`reads the same description fields from ${name}`, () => {
+            const legacyFields = parseRssItems(text).map(item => {
+                const fields = parseVicDescription(fixLegacyText(item.description));
+                return Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, fixLegacyText(value)]));
+            });
+            const newFields = emergencyVic.parse(text).map(record => record.incidentData);
+
+            // Field values are decoded once more now, so an escaped "&amp;" in a value reads as "&"
+            const decoded = legacyFields.map(fields => Object.fromEntries(Object.entries(fields)
+                .map(([key, value]) => [key, value.replace(/&amp;/g, '&')])));
+            assert.deepStrictEqual(newFields, decoded);
+        });
+    }
+
+    for (const { name, text } of fixtures(/^nsw-rfs-major-incidents-.*\.xml$/)) {
+        it(`reads the same items from ${name}`, () => {
+            assertSameItems(legacyRssItems(text), newRssItems(text));
+        });
+    }
+
+    for (const { name, text } of fixtures(/^cfa-pager-.*\.html$/)) {
+        it(`finds the same dispatches in ${name}`, () => {
+            const legacyAlerts = parsePagerAlerts(text);
+            const incidents = parseCFAFeed(text);
+
+            // Each incident is one F-number's thread (the old parser kept its newest dispatch);
+            // dispatches without an F-number stand alone in both
+            assert.ok(legacyAlerts.length > 0, 'fixture has no dispatches');
+            assert.deepStrictEqual(
+                incidents.map(incident => [incident.incidentId, incident.message]).sort(),
+                legacyAlerts.map(alert => [alert.incidentId, alert.message]).sort()
+            );
+        });
+    }
+});
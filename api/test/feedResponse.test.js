@@ -0,0 +1,85 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { useMemoryTables } = require('./helpers/memoryTables');
+const { recordFeedVersion } = require('../shared/feedDiff');
+const { parseFeedRequest, sendFeedResponse } = require('../shared/feedResponse');
+
+const FIRST_VERSION = 1767571200000;
+const SECOND_VERSION = 1767571260000;
+
+function incident(id, source, status = 'Going') {
+    return { id, source, title: `Incident ${id}`, status, timestamp: '2026-01-05T00:00:00.000Z' };
+}
+
+async function requestDelta(query, items) {
+    const { filters, format, error } = parseFeedRequest({ since: String(FIRST_VERSION), ...query });
+    assert.strictEqual(error, undefined);
+
+    const context = { log: () => {} };
+    await sendFeedResponse(context, { query, headers: {} }, {
+        feedType: 'EMERGENCY',
+        items,
+        version: SECOND_VERSION,
+        fetchedAt: SECOND_VERSION,
+        filters,
+        format,
+        cacheStatus: 'HIT'
+    });
+    assert.strictEqual(context.res.status, 200);
+    return JSON.parse(context.res.body);
+}
+
+const ids = items => items.map(item => item.id).sort();
+
+describe('sendFeedResponse with since=<version>', () => {
+    let storage;
+    // A unchanged, B gone, C changed and moved to NSW, D and E new
+    const firstItems = [incident('A', 'VIC'), incident('B', 'NSW'), incident('C', 'VIC')];
+    const secondItems = [incident('A', 'VIC'), { ...incident('C', 'NSW'), status: 'Contained' }, incident('D', 'VIC'), incident('E', 'NSW')];
+
+    before(async () => {
+        storage = useMemoryTables();
+        await recordFeedVersion('EMERGENCY', FIRST_VERSION, firstItems);
+    });
+
+    after(() => {
+        storage.restore();
+    });
+
+    it('diffs the whole feed without filters', async () => {
+        const delta = await requestDelta({}, secondItems);
+
+        assert.deepStrictEqual(ids(delta.added), ['D', 'E']);
+        assert.deepStrictEqual(ids(delta.updated), ['C']);
+        assert.deepStrictEqual(delta.removed, ['B']);
+    });
+
+    it('leaves unchanged items the filters exclude out of removed', async () => {
+        const delta = await requestDelta({ source: 'NSW' }, secondItems);
+
+        assert.deepStrictEqual(ids(delta.added), ['E']);
+        assert.deepStrictEqual(ids(delta.updated), ['C']);
+        assert.deepStrictEqual(delta.removed, ['B']);
+    });
+
+    it('lists changed items that no longer match the filters as removed', async () => {
+        const delta = await requestDelta({ source: 'VIC' }, secondItems);
+
+        assert.deepStrictEqual(ids(delta.added), ['D']);
+        assert.deepStrictEqual(ids(delta.updated), []);
+        assert.deepStrictEqual(delta.removed.sort(), ['B', 'C']);
+    });
+
+    it('resets to the filtered items when the version is unknown', async () => {
+        const { filters } = parseFeedRequest({ since: '1767571100000', source: 'VIC' });
+        const context = { log: () => {} };
+        await sendFeedResponse(context, { headers: {} }, {
+            feedType: 'EMERGENCY', items: secondItems, version: SECOND_VERSION, filters, cacheStatus: 'HIT'
+        });
+
+        const body = JSON.parse(context.res.body);
+        assert.strictEqual(body.reset, true);
+        assert.deepStrictEqual(ids(body.items), ['A', 'D']);
+    });
+});
@@ -0,0 +1,88 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+
+const { useMemoryTables } = require('./helpers/memoryTables');
+const { cacheFeed } = require('../shared/storageService');
+const getCapFeed = require('../getCapFeed');
+
+const VERSION = 1767571200000;
+
+const PERIMETER = {
+    type: 'Polygon',
+    coordinates: [[[151.01, -32.64], [151.04, -32.64], [151.04, -32.66], [151.01, -32.64]]]
+};
+
+const INCIDENTS = [
+    {
+        id: 'VIC-1', source: 'VIC', incidentId: '1', title: 'Grass fire, Kilmore', location: 'Kilmore',
+        type: 'Grass Fire', warningLevel: 'advice', coordinates: [144.95, -37.3], timestamp: '2026-01-05T01:00:00.000Z'
+    },
+    {
+        id: 'NSW-2', source: 'NSW', incidentId: '2', title: 'Wattle Creek Rd, Bulga', location: 'Bulga',
+        type: 'Bush Fire', warningLevel: 'watchAndAct', coordinates: [151.02, -32.65], perimeter: PERIMETER,
+        timestamp: '2026-01-05T00:00:00.000Z'
+    }
+];
+
+async function request(query, headers = {}) {
+    const log = () => {};
+    log.warn = log.error = () => {};
+    const context = { log };
+    await getCapFeed(context, { url: 'https://example.org/api/cap', query, headers });
+    return context.res;
+}
+
+describe('getCapFeed', () => {
+    let storage;
+
+    before(async () => {
+        storage = useMemoryTables();
+        mock.method(console, 'log', () => {});
+        await cacheFeed('EMERGENCY', INCIDENTS, { version: VERSION });
+    });
+
+    after(() => {
+        storage.restore();
+        mock.restoreAll();
+    });
+
+    it('applies the feed filters to the index', async () => {
+        const res = await request({ source: 'NSW' });
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.headers['X-Total-Count'], '1');
+        assert.match(res.body, /<identifier>NSW-2<\/identifier>/);
+        assert.doesNotMatch(res.body, /VIC-1/);
+        assert.match(res.body, /<polygon>-32\.64,151\.01 /);
+    });
+
+    it('gives an incident without a perimeter its point as a zero-radius circle', async () => {
+        const res = await request({ id: 'VIC-1' });
+
+        assert.strictEqual(res.status, 200);
+        assert.match(res.body, /<area>\s*<areaDesc>Kilmore<\/areaDesc>\s*<circle>-37\.3,144\.95 0<\/circle>\s*<\/area>/);
+        assert.doesNotMatch(res.body, /<polygon>/);
+
+        // Incidents with a perimeter only get its polygons
+        const perimeter = await request({ id: 'NSW-2' });
+        assert.doesNotMatch(perimeter.body, /<circle>/);
+    });
+
+    it('answers a matching If-None-Match with 304', async () => {
+        for (const query of [{}, { id: 'NSW-2' }]) {
+            const { headers } = await request(query);
+            assert.ok(headers.ETag);
+
+            const res = await request(query, { 'if-none-match': headers.ETag });
+            assert.strictEqual(res.status, 304);
+            assert.strictEqual(res.body, undefined);
+        }
+    });
+
+    it('rejects since=<version>', async () => {
+        const res = await request({ since: String(VERSION) });
+
+        assert.strictEqual(res.status, 400);
+        assert.match(JSON.parse(res.body).message, /since=<version>/);
+    });
+});
@@ -0,0 +1,49 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { useMemoryTables } = require('./helpers/memoryTables');
+const { storeRejectedItems } = require('../shared/storageService');
+const { REJECTION_REASONS, createRejectedItem } = require('../shared/rejectedItemService');
+const getRejectedItems = require('../getRejectedItems');
+
+async function request(query) {
+    const log = () => {};
+    log.warn = log.error = () => {};
+    const context = { log };
+    await getRejectedItems(context, { query });
+    return context.res;
+}
+
+describe('getRejectedItems', () => {
+    let storage;
+
+    before(async () => {
+        storage = useMemoryTables();
+        const items = ['A', 'B', 'C'].map(text => ({
+            ...createRejectedItem('CFA', REJECTION_REASONS.NO_LOCATION, text),
+            fingerprint: text.toLowerCase()
+        }));
+        await storeRejectedItems('CFA', items, new Date());
+    });
+
+    after(() => {
+        storage.restore();
+    });
+
+    it('returns up to limit items', async () => {
+        const res = await request({ source: 'CFA', limit: '2' });
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(JSON.parse(res.body).length, 2);
+        assert.strictEqual(JSON.parse((await request({ source: 'CFA' })).body).length, 3);
+    });
+
+    it('rejects a limit that is not a positive integer', async () => {
+        for (const limit of ['-5', '0', 'abc', '10x', '2.5', '']) {
+            const res = await request({ limit });
+
+            assert.strictEqual(res.status, 400, `limit=${limit}`);
+            assert.deepStrictEqual(JSON.parse(res.body), { error: 'Invalid limit', message: 'limit must be a positive integer' });
+        }
+    });
+});
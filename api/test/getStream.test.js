@@ -0,0 +1,62 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+
+const { useMemoryTables } = require('./helpers/memoryTables');
+const { cacheFeed } = require('../shared/storageService');
+const { recordFeedVersion } = require('../shared/feedDiff');
+const getStream = require('../getStream');
+
+const CFA_VERSION = 1767571200000;
+const OLD_EMERGENCY_VERSION = 1767571200000;
+const EMERGENCY_VERSION = 1767571260000;
+
+function incident(id, status = 'Going') {
+    return { id, source: 'VIC', title: `Incident ${id}`, status, timestamp: '2026-01-05T00:00:00.000Z' };
+}
+
+describe('getStream', () => {
+    let storage;
+    let feedReads;
+
+    before(async () => {
+        storage = useMemoryTables();
+        mock.method(console, 'log', () => {});
+
+        await cacheFeed('CFA', [{ id: 'CFA-F260105001', message: 'STRUC FIRE' }], { version: CFA_VERSION });
+        await recordFeedVersion('EMERGENCY', OLD_EMERGENCY_VERSION, [incident('VIC-1'), incident('VIC-2')]);
+        await cacheFeed('EMERGENCY', [incident('VIC-1', 'Contained'), incident('VIC-3')], { version: EMERGENCY_VERSION });
+
+        // Record which cached feeds are read, and whether in full or just their version
+        feedReads = [];
+        const feedCache = storage.tables.get('FeedCache');
+        const getEntity = feedCache.getEntity.bind(feedCache);
+        mock.method(feedCache, 'getEntity', (partitionKey, rowKey, options) => {
+            feedReads.push({ feedType: partitionKey, full: !(options && options.queryOptions && options.queryOptions.select) });
+            return getEntity(partitionKey, rowKey, options);
+        });
+    });
+
+    after(() => {
+        storage.restore();
+        mock.restoreAll();
+    });
+
+    it('loads only the feeds whose version has changed', async () => {
+        const log = () => {};
+        log.warn = log.error = () => {};
+        const context = { log };
+
+        await getStream(context, {
+            headers: {},
+            query: { cfa: String(CFA_VERSION), emergency: String(OLD_EMERGENCY_VERSION) }
+        });
+
+        assert.strictEqual(context.res.status, 200);
+        const events = context.res.body.match(/^event: .*$/gm);
+        assert.deepStrictEqual(events.sort(), ['event: incident.added', 'event: incident.removed', 'event: incident.updated', 'event: sync']);
+        assert.match(context.res.body, new RegExp(`id: cfa:${CFA_VERSION},emergency:${EMERGENCY_VERSION}`));
+
+        assert.deepStrictEqual(feedReads.filter(read => read.full).map(read => read.feedType), ['EMERGENCY']);
+        assert.ok(feedReads.some(read => read.feedType === 'CFA' && !read.full));
+    });
+});
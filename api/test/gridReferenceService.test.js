@@ -0,0 +1,87 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const SERVICE_PATH = require.resolve('../shared/gridReferenceService');
+const INDEX_PATH = path.join(__dirname, 'fixtures', 'directories', 'mapGridIndex.json');
+
+// The index is read once per process, so each test loads the service afresh
+function loadService(indexPath) {
+    if (indexPath === undefined) {
+        delete process.env.MAP_GRID_INDEX_PATH;
+    } else {
+        process.env.MAP_GRID_INDEX_PATH = indexPath;
+    }
+    delete require.cache[SERVICE_PATH];
+    return require(SERVICE_PATH);
+}
+
+function reference(book, page, cell) {
+    return { book, page, cell, text: `${book} ${page} ${cell}` };
+}
+
+describe('resolveGridReference', () => {
+    const previousPath = process.env.MAP_GRID_INDEX_PATH;
+
+    beforeEach(() => {
+        mock.method(console, 'error', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        if (previousPath === undefined) {
+            delete process.env.MAP_GRID_INDEX_PATH;
+        } else {
+            process.env.MAP_GRID_INDEX_PATH = previousPath;
+        }
+    });
+
+    it('places a reference at the centre of its cell', () => {
+        const { resolveGridReference } = loadService(INDEX_PATH);
+
+        // Columns run west to east (no I), rows north to south
+        assert.deepStrictEqual(resolveGridReference(reference('SVSE', '8102', 'A1')), {
+            coordinates: [148.05, -37.05],
+            placeName: 'Spatial Vision South East 8102 A1'
+        });
+        assert.deepStrictEqual(resolveGridReference(reference('SVSE', '8102', 'J10')).coordinates, [148.85, -37.95]);
+    });
+
+    it('uses the page centre when the cell is outside the grid', () => {
+        const { resolveGridReference } = loadService(INDEX_PATH);
+
+        assert.deepStrictEqual(resolveGridReference(reference('SVSE', '8102', 'I4')), {
+            coordinates: [148.5, -37.5],
+            placeName: 'Spatial Vision South East 8102'
+        });
+        assert.deepStrictEqual(resolveGridReference(reference('M', '26', 'A13')).coordinates, [144.825, -37.77]);
+    });
+
+    it('resolves nothing for pages missing from the index', () => {
+        const { resolveGridReference } = loadService(INDEX_PATH);
+
+        assert.strictEqual(resolveGridReference(reference('SVSE', '9999', 'A1')), null);
+        assert.strictEqual(resolveGridReference(reference('SVNW', '8102', 'A1')), null);
+        assert.strictEqual(resolveGridReference(null), null);
+    });
+
+    it('resolves nothing without an operator index', () => {
+        const { resolveGridReference } = loadService(undefined);
+
+        assert.strictEqual(resolveGridReference(reference('SVSE', '8102', 'A1')), null);
+        assert.strictEqual(console.error.mock.callCount(), 0);
+    });
+
+    it('places alerts the geocoder could not as approximate grid positions', async () => {
+        loadService(INDEX_PATH);
+        delete require.cache[require.resolve('../shared/geocodingService')];
+        const { enrichAlertsWithCoordinates } = require('../shared/geocodingService');
+
+        const [alert] = await enrichAlertsWithCoordinates([
+            { message: 'STRUC FIRE SVSE 8102 A1', location: null, mapReference: reference('SVSE', '8102', 'A1') }
+        ], 'CFA');
+
+        assert.deepStrictEqual(alert.coordinates, [148.05, -37.05]);
+        assert.strictEqual(alert.coordinateSource, 'grid');
+    });
+});
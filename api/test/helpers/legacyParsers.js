@@ -0,0 +1,159 @@
+/**
+ * The feed parsers as they were before the streaming XML parser, kept to check the new
+ * parsers against (see feedParser.test.js)
+ * The RSS extraction is the regex code from api/getEmergencyFeed/index.js before the
+ * streaming parser replaced it; the pager parser is the original api/getCFAFeed/index.js one,
+ * which gave one alert per F-number, with &amp; kept when stripping message HTML as it is now.
+ * Only the parsing is kept, not the incident mapping.
+ */
+
+/**
+ * Decode HTML entities
+ */
+function decodeHTML(html) {
+    return html
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&');  // Decode &amp; last to avoid double-decoding
+}
+
+/**
+ * Extract content from XML tag
+ */
+function extractTag(xml, tagName) {
+    const regex = new RegExp(`<${tagName}[^>]*>([\\s\\S]*?)<\\/${tagName}>`, 'i');
+    const match = xml.match(regex);
+    return match ? decodeHTML(match[1].trim()) : null;
+}
+
+/**
+ * The fields of each RSS <item>, as the Emergency VIC and NSW RFS parsers read them
+ * point is the georss:point as [lng, lat], or null
+ */
+function parseRssItems(feedText) {
+    const items = [];
+    const itemRegex = /<item>([\s\S]*?)<\/item>/gi;
+    let match;
+
+    while ((match = itemRegex.exec(feedText)) !== null) {
+        const itemContent = match[1];
+
+        const pointMatch = itemContent.match(/<(?:georss:)?point[^>]*>([\s\S]*?)<\/(?:georss:)?point>/i);
+        const pointData = pointMatch ? pointMatch[1].trim().split(/\s+/) : [];
+        const latitude = parseFloat(pointData[0]);
+        const longitude = parseFloat(pointData[1]);
+
+        items.push({
+            title: extractTag(itemContent, 'title'),
+            link: extractTag(itemContent, 'link'),
+            description: extractTag(itemContent, 'description'),
+            pubDate: extractTag(itemContent, 'pubDate'),
+            category: extractTag(itemContent, 'category'),
+            point: isNaN(latitude) || isNaN(longitude) ? null : [longitude, latitude]
+        });
+    }
+
+    return items;
+}
+
+/**
+ * Parse the Emergency VIC description field
+ * Format: <strong>Field Name:</strong> Value<br>
+ */
+function parseVicDescription(description) {
+    if (!description) return {};
+
+    const data = {};
+    const fields = {
+        'Incident Name': 'incidentName',
+        'Territory': 'territory',
+        'Agency': 'agency',
+        'Fire District': 'fireDistrict',
+        'Incident No': 'incidentNo',
+        'Date/Time': 'dateTime',
+        'Type': 'type',
+        'Location': 'location',
+        'Status': 'status',
+        'Size': 'size',
+        'Vehicles': 'vehicles',
+        'Latitude': 'latitude',
+        'Longitude': 'longitude'
+    };
+
+    for (const [fieldLabel, fieldKey] of Object.entries(fields)) {
+        const regex = new RegExp(`<strong>${fieldLabel}:<\\/strong>\\s*([^<]*?)(?:<br>|$)`, 'i');
+        const match = description.match(regex);
+        if (match) {
+            data[fieldKey] = match[1].trim();
+        }
+    }
+
+    return data;
+}
+
+/**
+ * Strip HTML tags and decode entities from pager message HTML
+ */
+function stripHTML(html) {
+    let text = html;
+    let prevText = '';
+
+    while (text !== prevText) {
+        prevText = text;
+        text = text.replace(/<[^>]*>/g, '');
+    }
+
+    text = text.replace(/&lt;/g, '<')
+               .replace(/&gt;/g, '>')
+               .replace(/&quot;/g, '"')
+               .replace(/&#39;/g, "'")
+               .replace(/&(?!amp;)[^;\s]+;/g, ' ')  // Replace other entities with space ("G&amp;S" must survive)
+               .replace(/&amp;/g, '&');    // Decode &amp; last
+
+    // Remove any remaining < or > characters for safety
+    return text.replace(/[<>]/g, '').trim();
+}
+
+/**
+ * Parse the CFA pager feed: one alert per @@ALERT message, the first (newest) for each F-number
+ * Returns [{ incidentId, capcode, message }]
+ */
+function parsePagerAlerts(feedText) {
+    const alerts = [];
+    const seenIncidents = new Set();
+    const rowRegex = /<tr><td class='capcode'>([^<]*)<\/td><td class='timestamp'>([^<]*)<\/td><td>([\s\S]*?)<\/td><\/tr>/gi;
+
+    let match;
+    while ((match = rowRegex.exec(feedText)) !== null) {
+        const message = stripHTML(match[3]);
+
+        if (!message.includes('@@ALERT') || message.includes('STOP SCRAPING')) {
+            continue;
+        }
+
+        const incidentMatch = message.match(/F\d{9}/);
+        const incidentId = incidentMatch ? incidentMatch[0] : null;
+        if (incidentId && seenIncidents.has(incidentId)) {
+            continue;
+        }
+        if (incidentId) {
+            seenIncidents.add(incidentId);
+        }
+
+        alerts.push({
+            incidentId: incidentId,
+            capcode: match[1].trim(),
+            message: message.replace('@@ALERT ', '').trim()
+        });
+    }
+
+    return alerts;
+}
+
+module.exports = {
+    parseRssItems,
+    parseVicDescription,
+    parsePagerAlerts
+};
@@ -0,0 +1,236 @@
+/**
+ * In-memory Table Storage for tests
+ * Stands in for @azure/data-tables' TableClient: entities are kept per table, ETags are checked
+ * like the service does (412 on a mismatch, 409 on a duplicate create, 404 when missing), and
+ * query filters are evaluated for the OData the services use (comparisons, and/or/not, brackets)
+ * Every write is recorded in `writes`, and every transaction in `transactions`, so tests can
+ * check what a call cost
+ */
+
+const { mock } = require('node:test');
+const { TableClient } = require('@azure/data-tables');
+
+function tableError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+// OData property names the services filter on, as the SDK returns them
+const KEY_PROPERTIES = { PartitionKey: 'partitionKey', RowKey: 'rowKey', Timestamp: 'timestamp' };
+
+function tokenize(filter) {
+    const tokens = [];
+    const pattern = /\s*(?:(\()|(\))|datetime'([^']*)'|'((?:[^']|'')*)'|(-?\d+(?:\.\d+)?)\b|([A-Za-z_][A-Za-z0-9_]*))/y;
+    while (filter.substring(pattern.lastIndex).trim()) {
+        const match = pattern.exec(filter);
+        if (!match) {
+            throw new Error(`Unsupported filter: ${filter}`);
+        }
+        if (match[1]) tokens.push({ type: '(' });
+        else if (match[2]) tokens.push({ type: ')' });
+        else if (match[3] !== undefined) tokens.push({ type: 'value', value: match[3] });
+        else if (match[4] !== undefined) tokens.push({ type: 'value', value: match[4].replace(/''/g, "'") });
+        else if (match[5] !== undefined) tokens.push({ type: 'value', value: Number(match[5]) });
+        else tokens.push({ type: 'word', value: match[6] });
+    }
+    return tokens;
+}
+
+const COMPARISONS = {
+    eq: (a, b) => a === b,
+    ne: (a, b) => a !== b,
+    gt: (a, b) => a > b,
+    ge: (a, b) => a >= b,
+    lt: (a, b) => a < b,
+    le: (a, b) => a <= b
+};
+
+/**
+ * Compile an OData filter to a predicate over entities
+ */
+function compileFilter(filter) {
+    if (!filter) {
+        return () => true;
+    }
+
+    const tokens = tokenize(filter);
+    let position = 0;
+    const peekWord = word => tokens[position] && tokens[position].type === 'word' && tokens[position].value === word;
+
+    function parseOr() {
+        let left = parseAnd();
+        while (peekWord('or')) {
+            position++;
+            const a = left, b = parseAnd();
+            left = entity => a(entity) || b(entity);
+        }
+        return left;
+    }
+
+    function parseAnd() {
+        let left = parseUnary();
+        while (peekWord('and')) {
+            position++;
+            const a = left, b = parseUnary();
+            left = entity => a(entity) && b(entity);
+        }
+        return left;
+    }
+
+    function parseUnary() {
+        if (peekWord('not')) {
+            position++;
+            const operand = parseUnary();
+            return entity => !operand(entity);
+        }
+        if (tokens[position] && tokens[position].type === '(') {
+            position++;
+            const inner = parseOr();
+            position++;
+            return inner;
+        }
+
+        const property = tokens[position++].value;
+        const compare = COMPARISONS[tokens[position++].value];
+        const value = tokens[position++].value;
+        const name = KEY_PROPERTIES[property] || property;
+        return entity => entity[name] !== undefined && compare(entity[name], value);
+    }
+
+    return parseOr();
+}
+
+class MemoryTable {
+    constructor(name, writes, transactions) {
+        this.name = name;
+        this.writes = writes;
+        this.transactions = transactions;
+        this.entities = new Map();
+        this.nextETag = 1;
+    }
+
+    key(partitionKey, rowKey) {
+        return `${partitionKey}\u0000${rowKey}`;
+    }
+
+    put(entity) {
+        const stored = { ...entity, etag: `W/"${this.nextETag++}"`, timestamp: new Date().toISOString() };
+        this.entities.set(this.key(entity.partitionKey, entity.rowKey), stored);
+        return { etag: stored.etag };
+    }
+
+    record(operation, entity) {
+        this.writes.push({ table: this.name, operation, partitionKey: entity.partitionKey, rowKey: entity.rowKey });
+    }
+
+    async createTable() {}
+
+    async getEntity(partitionKey, rowKey) {
+        const entity = this.entities.get(this.key(partitionKey, rowKey));
+        if (!entity) {
+            throw tableError(404, 'ResourceNotFound');
+        }
+        return { ...entity };
+    }
+
+    async createEntity(entity) {
+        this.record('create', entity);
+        if (this.entities.has(this.key(entity.partitionKey, entity.rowKey))) {
+            throw tableError(409, 'EntityAlreadyExists');
+        }
+        return this.put(entity);
+    }
+
+    async upsertEntity(entity, mode = 'Merge') {
+        this.record('upsert', entity);
+        const existing = this.entities.get(this.key(entity.partitionKey, entity.rowKey));
+        return this.put(mode === 'Merge' && existing ? { ...existing, ...entity } : entity);
+    }
+
+    async updateEntity(entity, mode = 'Merge', { etag = '*' } = {}) {
+        this.record('update', entity);
+        const existing = this.entities.get(this.key(entity.partitionKey, entity.rowKey));
+        if (!existing) {
+            throw tableError(404, 'ResourceNotFound');
+        }
+        if (etag !== '*' && etag !== existing.etag) {
+            throw tableError(412, 'UpdateConditionNotSatisfied');
+        }
+        return this.put(mode === 'Merge' ? { ...existing, ...entity } : entity);
+    }
+
+    async deleteEntity(partitionKey, rowKey) {
+        this.record('delete', { partitionKey, rowKey });
+        if (!this.entities.delete(this.key(partitionKey, rowKey))) {
+            throw tableError(404, 'ResourceNotFound');
+        }
+    }
+
+    async submitTransaction(actions) {
+        if (actions.length > 100 || new Set(actions.map(([, entity]) => entity.partitionKey)).size > 1) {
+            throw tableError(400, 'InvalidTransaction');
+        }
+        const bytes = actions.reduce((total, [, entity]) => total + Buffer.byteLength(JSON.stringify(entity)), 0);
+        if (bytes > 4 * 1024 * 1024) {
+            throw tableError(413, 'RequestBodyTooLarge');
+        }
+        this.transactions.push({ table: this.name, partitionKey: actions[0][1].partitionKey, size: actions.length, bytes });
+        for (const [action, entity, mode] of actions) {
+            if (action === 'create') await this.createEntity(entity);
+            else if (action === 'upsert') await this.upsertEntity(entity, mode);
+            else if (action === 'update') await this.updateEntity(entity, mode);
+            else if (action === 'delete') await this.deleteEntity(entity.partitionKey, entity.rowKey);
+        }
+    }
+
+    async *listEntities({ queryOptions = {} } = {}) {
+        const matches = compileFilter(queryOptions.filter);
+        const sorted = Array.from(this.entities.values())
+            .sort((a, b) => this.key(a.partitionKey, a.rowKey) < this.key(b.partitionKey, b.rowKey) ? -1 : 1);
+        for (const entity of sorted) {
+            if (matches(entity)) {
+                yield { ...entity };
+            }
+        }
+    }
+}
+
+/**
+ * Route every TableClient.fromConnectionString to in-memory tables until restore() is called
+ * Returns { tables, writes, transactions, restore }: tables by name, and the writes and
+ * transactions made since (clear with writes.length = 0)
+ */
+function useMemoryTables() {
+    const previousConnection = process.env.STORAGE_STRING;
+    process.env.STORAGE_STRING = 'UseDevelopmentStorage=true';
+
+    const tables = new Map();
+    const writes = [];
+    const transactions = [];
+    const fromConnectionString = mock.method(TableClient, 'fromConnectionString', (connectionString, tableName) => {
+        if (!tables.has(tableName)) {
+            tables.set(tableName, new MemoryTable(tableName, writes, transactions));
+        }
+        return tables.get(tableName);
+    });
+
+    return {
+        tables,
+        writes,
+        transactions,
+        restore() {
+            fromConnectionString.mock.restore();
+            if (previousConnection === undefined) {
+                delete process.env.STORAGE_STRING;
+            } else {
+                process.env.STORAGE_STRING = previousConnection;
+            }
+        }
+    };
+}
+
+module.exports = {
+    useMemoryTables,
+    compileFilter
+};
@@ -0,0 +1,100 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+const { useMemoryTables } = require('./helpers/memoryTables');
+const { REJECTION_REASONS, RETENTION_MS, createRejectedItem, recordRejectedItems } = require('../shared/rejectedItemService');
+const { storeRejectedItems, getRejectedItems } = require('../shared/storageService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// recordRejectedItems remembers each source's fingerprints, so each test uses its own source
+function rejected(source, text, reason = REJECTION_REASONS.NO_LOCATION) {
+    return createRejectedItem(source, reason, text);
+}
+
+describe('recordRejectedItems', () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = useMemoryTables();
+    });
+
+    afterEach(() => {
+        storage.restore();
+    });
+
+    it('writes only the items it has not stored yet', async () => {
+        const first = [rejected('T1', 'STRUC FIRE'), rejected('T1', 'GRASS FIRE'), rejected('T1', 'STRUC FIRE')];
+        await recordRejectedItems('T1', first);
+
+        assert.deepStrictEqual(storage.transactions.map(transaction => transaction.size), [2]);
+
+        // The same rejections on the next refresh cost no writes
+        storage.writes.length = 0;
+        await recordRejectedItems('T1', first.map(item => ({ ...item })));
+        assert.deepStrictEqual(storage.writes, []);
+
+        // The same text rejected for a different reason is a different item
+        await recordRejectedItems('T1', [rejected('T1', 'STRUC FIRE'), rejected('T1', 'STRUC FIRE', REJECTION_REASONS.GEOCODE_FAILED)]);
+        assert.strictEqual(storage.writes.length, 1);
+    });
+
+    it('deletes items older than the retention period', async () => {
+        const now = Date.now();
+        await storeRejectedItems('T2', [{ ...rejected('T2', 'OLD'), fingerprint: 'old' }], new Date(now - RETENTION_MS - DAY_MS));
+        await recordRejectedItems('T2', [rejected('T2', 'NEW')]);
+
+        const items = await getRejectedItems({ sources: ['T2'], since: new Date(now - 2 * RETENTION_MS) });
+        assert.deepStrictEqual(items.map(item => item.rawText), ['NEW']);
+    });
+
+    it('records nothing while the stored items cannot be read', async () => {
+        mock.method(console, 'error', () => {});
+        await storeRejectedItems('T3', [{ ...rejected('T3', 'STRUC FIRE'), fingerprint: 'stored' }], new Date());
+        storage.writes.length = 0;
+        mock.method(storage.tables.get('RejectedItems'), 'listEntities', () => {
+            const error = new Error('Server busy');
+            error.statusCode = 503;
+            throw error;
+        });
+
+        // Without the stored fingerprints it can't tell which items are new
+        await recordRejectedItems('T3', [rejected('T3', 'STRUC FIRE'), rejected('T3', 'GRASS FIRE')]);
+
+        assert.deepStrictEqual(storage.writes, []);
+        mock.restoreAll();
+    });
+});
+
+describe('getRejectedItems', () => {
+    let storage;
+    const first = new Date('2026-01-10T00:00:00Z');
+    const second = new Date('2026-01-10T00:01:00Z');
+    const third = new Date('2026-01-10T00:02:00Z');
+
+    beforeEach(async () => {
+        storage = useMemoryTables();
+        await storeRejectedItems('CFA', [{ ...rejected('CFA', 'A'), fingerprint: 'a' }], first);
+        await storeRejectedItems('VIC', [{ ...rejected('VIC', 'B', REJECTION_REASONS.NO_COORDINATES), fingerprint: 'b' }], second);
+        await storeRejectedItems('CFA', [{ ...rejected('CFA', 'C'), fingerprint: 'c' }], third);
+    });
+
+    afterEach(() => {
+        storage.restore();
+    });
+
+    it('lists the items of every source, most recent first', async () => {
+        const items = await getRejectedItems({ sources: ['CFA', 'VIC'], since: first });
+        assert.deepStrictEqual(items.map(item => item.rawText), ['C', 'B', 'A']);
+        assert.deepStrictEqual(items.map(item => item.rejectedAt), [third, second, first].map(time => time.toISOString()));
+    });
+
+    it('filters by source, time, reason and limit', async () => {
+        const text = async options => (await getRejectedItems({ sources: ['CFA', 'VIC'], since: first, ...options })).map(item => item.rawText);
+
+        assert.deepStrictEqual(await text({ sources: ['CFA'] }), ['C', 'A']);
+        assert.deepStrictEqual(await text({ since: second }), ['C', 'B']);
+        assert.deepStrictEqual(await text({ reason: REJECTION_REASONS.NO_COORDINATES }), ['B']);
+        assert.deepStrictEqual(await text({ limit: 1 }), ['C']);
+    });
+});
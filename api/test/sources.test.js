@@ -0,0 +1,367 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { runSource, getEnabledSources } = require('../shared/sources');
+const nswRfs = require('../shared/sources/nswRfs');
+const tasAlert = require('../shared/sources/tasAlert');
+const saCfs = require('../shared/sources/saCfs');
+const qldFire = require('../shared/sources/qldFire');
+const actEsa = require('../shared/sources/actEsa');
+const capAu = require('../shared/sources/capAu');
+const { parseXmlDocument } = require('../shared/xmlParser');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'feeds');
+
+const log = () => {};
+log.warn = log.error = () => {};
+const context = { log };
+
+/**
+ * Run a source adapter on a fixture instead of the live feed
+ */
+function runOnFixture(source, name) {
+    const text = fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+    return runSource({ ...source, fetch: async () => text }, context);
+}
+
+/**
+ * Every fixture of a feed (the sample and any recorded snapshots)
+ */
+function fixtureNames(pattern) {
+    return fs.readdirSync(FIXTURES_DIR).filter(name => pattern.test(name));
+}
+
+// What every adapter should produce from any snapshot of its feed
+function assertIncidentsWellFormed(id, { incidents, rejected, status }) {
+    assert.strictEqual(status.ok, true, status.error);
+    // A snapshot with field names the adapter doesn't know would have all its items rejected
+    assert.ok(incidents.length > 0 || rejected.length === 0, 'every item was rejected');
+    for (const incident of incidents) {
+        assert.strictEqual(incident.source, id);
+        assert.strictEqual(incident.region, id);
+        assert.ok(incident.coordinates.every(Number.isFinite), `${incident.title}: coordinates`);
+        assert.ok(['advice', 'watchAndAct', 'emergency'].includes(incident.warningLevel), `${incident.title}: warningLevel`);
+        assert.ok(incident.updatedAt === null || !isNaN(Date.parse(incident.updatedAt)), `${incident.title}: updatedAt`);
+        for (const field of ['title', 'message', 'location', 'type', 'status']) {
+            assert.doesNotMatch(String(incident[field]), /[<>]/, `${incident.title}: ${field}`);
+        }
+    }
+}
+
+// The state and territory adapters and their fixture files
+const STATE_FIXTURES = [
+    ['SA', saCfs, /^sa-cfs-.*\.json$/],
+    ['QLD', qldFire, /^qld-fire-.*\.json$/],
+    ['TAS', tasAlert, /^tas-alert-.*\.json$/],
+    ['ACT', actEsa, /^act-esa-.*\.xml$/]
+];
+
+describe('state and territory adapters on every fixture', () => {
+    for (const [id, source, pattern] of STATE_FIXTURES) {
+        const names = fixtureNames(pattern);
+
+        it(`has a ${id} fixture`, () => {
+            assert.ok(names.length > 0);
+        });
+
+        for (const name of names) {
+            it(`normalises ${name}`, async () => {
+                assertIncidentsWellFormed(id, await runOnFixture(source, name));
+            });
+        }
+    }
+});
+
+describe('NSW RFS adapter', () => {
+    for (const name of ['nsw-rfs-major-incidents-sample.json', 'nsw-rfs-major-incidents-sample.xml']) {
+        it(`normalises the incidents with a point in ${name}`, async () => {
+            const { incidents, rejected } = await runOnFixture(nswRfs, name);
+
+            assert.strictEqual(incidents.length, 4);
+            assert.strictEqual(rejected.length, 1);
+            assert.match(incidents[0].message, /^Watch and Act: Bush Fire at Wattle Creek Rd, Bulga/);
+            assert.strictEqual(incidents[0].updatedAt, '2026-01-10T03:35:00.000Z');
+        });
+
+        it(`only treats alert level categories as official in ${name}`, async () => {
+            const { incidents } = await runOnFixture(nswRfs, name);
+
+            // "Not Applicable" items have no published level, so theirs is inferred
+            assert.deepStrictEqual(
+                incidents.map(({ warningLevel, warningLevelSource }) => [warningLevel, warningLevelSource]),
+                [['watchAndAct', 'official'], ['advice', 'official'], ['advice', 'heuristic'], ['advice', 'heuristic']]
+            );
+        });
+
+        it(`keeps the fire-ground polygon as the perimeter in ${name}`, async () => {
+            const { incidents } = await runOnFixture(nswRfs, name);
+
+            assert.deepStrictEqual(incidents[0].coordinates, [151.0234, -32.6512]);
+            assert.strictEqual(incidents[0].perimeter.type, 'Polygon');
+            assert.strictEqual(incidents[1].perimeter, null);
+        });
+    }
+});
+
+describe('TasALERT adapter', () => {
+    it('normalises features with geometry and rejects the rest', async () => {
+        const { incidents, rejected, status } = await runOnFixture(tasAlert, 'tas-alert-sample.json');
+
+        assert.strictEqual(status.ok, true);
+        assert.deepStrictEqual(incidents.map(incident => incident.incidentId), ['40211', '40208', '40199']);
+        assert.strictEqual(rejected.length, 1);
+        assert.ok(incidents.every(incident => incident.source === 'TAS' && incident.region === 'TAS'));
+    });
+
+    it('keeps only the text of HTML descriptions', async () => {
+        const { incidents } = await runOnFixture(tasAlert, 'tas-alert-sample.json');
+
+        assert.strictEqual(incidents[0].message,
+            'A bushfire is burning near Dolphin Sands Rd & the Swan River. Leave now if you are not prepared. Conditions may change.');
+        assert.strictEqual(incidents[1].message, 'Crews have made the area safe.');
+        for (const incident of incidents) {
+            assert.doesNotMatch(incident.message, /[<>]/);
+        }
+    });
+
+    it('uses the published alert level where there is one', async () => {
+        const { incidents } = await runOnFixture(tasAlert, 'tas-alert-sample.json');
+
+        assert.deepStrictEqual(
+            incidents.map(({ warningLevel, warningLevelSource, warningAction }) => [warningLevel, warningLevelSource, warningAction]),
+            [['watchAndAct', 'official', 'Prepare to Leave'], ['advice', 'heuristic', null], ['advice', 'heuristic', null]]
+        );
+    });
+
+    it('reads times as Hobart time and leaves missing times empty', async () => {
+        const { incidents } = await runOnFixture(tasAlert, 'tas-alert-sample.json');
+
+        assert.strictEqual(incidents[0].reportedAt, '2026-01-10T00:20:00.000Z');
+        assert.strictEqual(incidents[1].updatedAt, '2026-01-10T01:40:00.000Z');
+        assert.strictEqual(incidents[2].reportedAt, null);
+    });
+
+    it('keeps the fire-ground polygon as the perimeter', async () => {
+        const { incidents } = await runOnFixture(tasAlert, 'tas-alert-sample.json');
+
+        assert.deepStrictEqual(incidents[0].coordinates, [148.1605, -42.0121]);
+        assert.strictEqual(incidents[0].perimeter.type, 'Polygon');
+        assert.strictEqual(incidents[1].perimeter, null);
+    });
+});
+
+describe('SA CFS adapter', () => {
+    it('normalises records with a Location and rejects the rest', async () => {
+        const { incidents, rejected } = await runOnFixture(saCfs, 'sa-cfs-sample.json');
+
+        assert.deepStrictEqual(incidents.map(incident => incident.incidentId), ['1412301', '1412288', '1412250']);
+        assert.strictEqual(rejected.length, 1);
+        assert.deepStrictEqual(incidents[1].coordinates, [135.858, -34.7263]);
+    });
+
+    it('builds the message from the record and decodes its entities', async () => {
+        const { incidents } = await runOnFixture(saCfs, 'sa-cfs-sample.json');
+
+        assert.strictEqual(incidents[0].message, 'Grass Fire at Kersbrook - Going - Resources: 6');
+        assert.strictEqual(incidents[1].location, 'Port Lincoln & District');
+        assert.strictEqual(incidents[0].link, 'https://www.cfs.sa.gov.au/warnings-restrictions/warnings/1412301');
+    });
+
+    it('reads Date and Time as Adelaide time', async () => {
+        const { incidents } = await runOnFixture(saCfs, 'sa-cfs-sample.json');
+
+        assert.strictEqual(incidents[0].reportedAt, '2026-01-10T03:12:00.000Z');
+        assert.strictEqual(incidents[0].updatedAt, incidents[0].reportedAt);
+    });
+
+    it('infers warning levels, as the feed publishes none', async () => {
+        const { incidents } = await runOnFixture(saCfs, 'sa-cfs-sample.json');
+
+        // Coonalpyn is a bushfire with more than 10 vehicles; its "Active" status names no level
+        assert.deepStrictEqual(
+            incidents.map(({ warningLevel, warningLevelSource }) => [warningLevel, warningLevelSource]),
+            [['advice', 'heuristic'], ['advice', 'heuristic'], ['watchAndAct', 'heuristic']]
+        );
+    });
+});
+
+describe('Queensland Fire adapter', () => {
+    it('normalises features with geometry and rejects the rest', async () => {
+        const { incidents, rejected } = await runOnFixture(qldFire, 'qld-fire-sample.json');
+
+        assert.deepStrictEqual(incidents.map(incident => incident.incidentId), ['QF-2026-0042', 'QF-2026-0039', 'QF-2026-0037']);
+        assert.strictEqual(rejected.length, 1);
+    });
+
+    it('uses the published warning level and call to action', async () => {
+        const { incidents } = await runOnFixture(qldFire, 'qld-fire-sample.json');
+
+        // Toowoomba has no published level, and its "Active" status isn't Watch and Act
+        assert.deepStrictEqual(
+            incidents.map(({ warningLevel, warningLevelSource, warningAction }) => [warningLevel, warningLevelSource, warningAction]),
+            [['watchAndAct', 'official', 'Prepare to Leave'], ['advice', 'heuristic', null], ['advice', 'official', 'Stay Informed']]
+        );
+        assert.strictEqual(incidents[0].message, 'Watch and Act: Prepare to leave - Samford Valley - Active');
+    });
+
+    it('reads ISO times with their offset and local times as Brisbane time', async () => {
+        const { incidents } = await runOnFixture(qldFire, 'qld-fire-sample.json');
+
+        assert.strictEqual(incidents[0].reportedAt, '2026-01-10T02:15:00.000Z');
+        assert.strictEqual(incidents[0].updatedAt, '2026-01-10T03:30:00.000Z');
+        assert.strictEqual(incidents[1].updatedAt, '2026-01-10T01:45:00.000Z');
+    });
+
+    it('keeps a warning area polygon as the perimeter, placed at a point inside it', async () => {
+        const { incidents } = await runOnFixture(qldFire, 'qld-fire-sample.json');
+
+        assert.strictEqual(incidents[0].perimeter.type, 'Polygon');
+        const [lng, lat] = incidents[0].coordinates;
+        assert.ok(lng > 152.88 && lng < 152.92 && lat > -27.42 && lat < -27.39);
+        assert.strictEqual(incidents[1].perimeter, null);
+    });
+});
+
+describe('ACT ESA adapter', () => {
+    it('normalises items with a georss:point and rejects the rest', async () => {
+        const { incidents, rejected } = await runOnFixture(actEsa, 'act-esa-sample.xml');
+
+        assert.deepStrictEqual(incidents.map(incident => incident.incidentId), ['ACT-551', 'ACT-549']);
+        assert.strictEqual(rejected.length, 1);
+        assert.deepStrictEqual(incidents[0].coordinates, [149.0548, -35.3859]);
+    });
+
+    it('reads the labelled description fields, escaped or in CDATA', async () => {
+        const { incidents } = await runOnFixture(actEsa, 'act-esa-sample.xml');
+
+        assert.deepStrictEqual(
+            incidents.map(({ location, status, type, vehicles }) => [location, status, type, vehicles]),
+            [['Kambah', 'Going', 'GRASS FIRE', '5'], ['Braddon & Turner', 'Contained', 'STRUCTURE FIRE', '3']]
+        );
+        assert.strictEqual(incidents[0].message, 'Grass Fire at Kambah - Going - Vehicles: 5');
+    });
+
+    it('takes the update time from Updated, as Canberra time, or else pubDate', async () => {
+        const { incidents } = await runOnFixture(actEsa, 'act-esa-sample.xml');
+
+        assert.strictEqual(incidents[0].reportedAt, '2026-01-10T02:20:00.000Z');
+        assert.strictEqual(incidents[0].updatedAt, '2026-01-10T03:05:00.000Z');
+        assert.strictEqual(incidents[1].updatedAt, incidents[1].reportedAt);
+    });
+});
+
+describe('CAP-AU adapter', () => {
+    const text = fs.readFileSync(path.join(FIXTURES_DIR, 'cap-au-sample.xml'), 'utf8');
+
+    it('folds updates into the alerts they replace and drops cancelled alerts', async () => {
+        const { incidents, status } = await runOnFixture(capAu, 'cap-au-sample.xml');
+
+        assert.strictEqual(status.ok, true);
+        // cap-101 updates cap-100; cap-401 updates cap-400, which is no longer published;
+        // cap-301 cancels cap-300, and the cap-600 exercise is ignored
+        assert.deepStrictEqual(incidents.map(incident => incident.incidentId), ['cap-100', 'cap-200', 'cap-400']);
+
+        const [kinglake] = incidents;
+        assert.strictEqual(kinglake.title, 'Watch and Act - Bushfire near Kinglake');
+        assert.strictEqual(kinglake.location, 'Kinglake & Pheasant Creek');
+        assert.strictEqual(kinglake.message, 'The fire is moving towards Kinglake & Pheasant Creek.');
+        assert.strictEqual(kinglake.warningLevel, 'watchAndAct');
+        assert.strictEqual(kinglake.warningLevelSource, 'official');
+        assert.strictEqual(kinglake.warningAction, 'Prepare to Leave');
+        assert.strictEqual(kinglake.perimeter.type, 'Polygon');
+        assert.strictEqual(kinglake.reportedAt, '2026-01-09T23:00:00.000Z');
+        assert.strictEqual(kinglake.updatedAt, '2026-01-10T00:30:00.000Z');
+
+        assert.deepStrictEqual(incidents[1].coordinates, [145.14, -37.03]);
+        assert.strictEqual(incidents[1].warningLevelSource, 'heuristic');
+    });
+
+    it('keeps each alert as published XML', async () => {
+        const records = capAu.parse(text);
+        const seymour = records.find(record => record.identifier === 'cap-200');
+        const reparsed = parseXmlDocument(seymour.raw);
+
+        assert.match(seymour.raw, /^<alert xmlns="urn:oasis:names:tc:emergency:cap:1\.2">/);
+        assert.deepStrictEqual(capAu.parse(seymour.raw).map(record => record.identifier), ['cap-200']);
+        assert.strictEqual(reparsed.children.find(child => child.tag.local === 'sent').content[0], '2026-01-10T12:00:00+11:00');
+
+        // Prefixed alerts get the namespace declared on the feed
+        const kinglake = records.find(record => record.identifier === 'cap-101');
+        assert.match(kinglake.raw, /^<cap:alert xmlns:cap="urn:oasis:names:tc:emergency:cap:1\.2">/);
+        assert.match(kinglake.raw, /<cap:description>&lt;p&gt;The fire is moving towards Kinglake &amp;amp; Pheasant Creek\.&lt;\/p&gt;<\/cap:description>/);
+    });
+
+    it('records alerts without an area as rejected, with their XML', async () => {
+        const { rejected } = await runOnFixture(capAu, 'cap-au-sample.xml');
+
+        assert.strictEqual(rejected.length, 1);
+        assert.strictEqual(rejected[0].reason, 'NO_COORDINATES');
+        assert.strictEqual(rejected[0].details, 'Smoke in the Macedon Ranges');
+        assert.match(rejected[0].rawText, /^<cap:alert [^>]*>\s*<cap:identifier>cap-500<\/cap:identifier>/);
+    });
+});
+
+describe('interstate and CAP-AU adapters', () => {
+    const SCRIPT = '<img src=x onerror="alert(1)">';
+    const ESCAPED = '&lt;script&gt;alert(1)&lt;/script&gt;';
+
+    // A record from each source with markup in every text field the frontend shows
+    const records = {
+        SA: [saCfs, {
+            IncidentNo: 1, Location: '-34.9,138.6', Date: '10/01/2026', Time: '10:00',
+            Location_name: `Kersbrook${SCRIPT}`, Type: `Grass Fire${ESCAPED}`, Status: `<b>Going</b>`, Resources: '4<br>'
+        }],
+        QLD: [qldFire, {
+            geometry: { type: 'Point', coordinates: [152.9, -27.4] },
+            properties: {
+                UniqueID: 2, WarningTitle: `Bushfire${SCRIPT}`, Locality: `Samford${ESCAPED}`,
+                WarningLevel: '<i>Advice</i>', CallToAction: 'Stay informed<script>alert(1)</script>', CurrentStatus: `Active${SCRIPT}`
+            }
+        }],
+        ACT: [actEsa, {
+            title: `Fire${ESCAPED}`, guid: '3', point: [149.1, -35.3],
+            description: `Suburb: Kambah &lt;img src=x onerror=alert(1)&gt;<br />Status: Going${ESCAPED}<br />Type: Grass Fire<br />Vehicles: 2`
+        }],
+        CAP: [capAu, {
+            identifier: 'cap-4', status: 'Actual', msgType: 'Alert', sent: '2026-01-10T10:00:00+11:00',
+            infos: [{
+                language: 'en-AU', event: `Bushfire${SCRIPT}`, headline: `Bushfire near Kinglake${ESCAPED}`,
+                description: `<p>Leave now.</p>${SCRIPT}`, senderName: `CFA${SCRIPT}`, severity: 'Minor', parameters: {},
+                areas: [{ areaDesc: `Kinglake${SCRIPT}`, polygons: [], circles: ['-37.5,145.3 0'] }]
+            }]
+        }]
+    };
+
+    for (const [id, [source, record]] of Object.entries(records)) {
+        it(`keeps only the text of ${id} fields`, () => {
+            const incident = source.normalise(record, []);
+
+            assert.ok(incident);
+            for (const field of ['title', 'message', 'location', 'type', 'status', 'agency']) {
+                assert.doesNotMatch(String(incident[field]), /[<>]/, `${id} ${field}: ${incident[field]}`);
+            }
+        });
+    }
+});
+
+describe('getEnabledSources', () => {
+    const setting = process.env.EMERGENCY_SOURCES;
+    const enabledIds = () => getEnabledSources().map(source => source.id);
+
+    after(() => {
+        if (setting === undefined) delete process.env.EMERGENCY_SOURCES;
+        else process.env.EMERGENCY_SOURCES = setting;
+    });
+
+    it('enables only Emergency VIC and NSW RFS when EMERGENCY_SOURCES is unset', () => {
+        delete process.env.EMERGENCY_SOURCES;
+        assert.deepStrictEqual(enabledIds(), ['VIC', 'NSW']);
+    });
+
+    it('enables the listed sources in order, once each', () => {
+        process.env.EMERGENCY_SOURCES = 'nsw, TAS,NSW';
+        assert.deepStrictEqual(enabledIds(), ['NSW', 'TAS']);
+    });
+});
@@ -0,0 +1,69 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+const { useMemoryTables } = require('./helpers/memoryTables');
+const { acquireFetchLease, releaseFetchLease, updateLastFetch } = require('../shared/storageService');
+
+describe('fetch leases', () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = useMemoryTables();
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+    });
+
+    afterEach(() => {
+        storage.restore();
+        mock.restoreAll();
+    });
+
+    const tracker = feedType => storage.tables.get('FetchTracker').getEntity('fetchTracker', feedType);
+
+    it('gives the lease to one caller at a time', async () => {
+        const lease = await acquireFetchLease('CFA', { intervalMs: 0 });
+
+        assert.ok(lease);
+        assert.strictEqual(await acquireFetchLease('CFA', { intervalMs: 0 }), null);
+
+        await releaseFetchLease(lease);
+        assert.ok(await acquireFetchLease('CFA', { intervalMs: 0 }));
+    });
+
+    it('keeps the lease when the fetch time is recorded', async () => {
+        const lease = await acquireFetchLease('CFA', { intervalMs: 0 });
+        await updateLastFetch('CFA');
+
+        assert.strictEqual((await tracker('CFA')).leaseUntil, lease.leaseUntil);
+        assert.ok((await tracker('CFA')).lastFetchTime);
+        assert.strictEqual(await acquireFetchLease('CFA', { intervalMs: 0 }), null);
+
+        // The lease's ETag is out of date now, but the lease is still this one's to release
+        await releaseFetchLease(lease);
+        assert.strictEqual((await tracker('CFA')).leaseUntil, '');
+        assert.ok((await tracker('CFA')).lastFetchTime);
+    });
+
+    it('leaves a lease that was taken over alone', async () => {
+        const expired = await acquireFetchLease('CFA', { intervalMs: 0, leaseMs: -1000 });
+        const current = await acquireFetchLease('CFA', { intervalMs: 0 });
+        assert.ok(current);
+
+        await releaseFetchLease(expired);
+
+        assert.strictEqual((await tracker('CFA')).leaseUntil, current.leaseUntil);
+        assert.strictEqual(await acquireFetchLease('CFA', { intervalMs: 0 }), null);
+    });
+
+    it('does not fetch when FetchTracker cannot be read', async () => {
+        await updateLastFetch('CFA');
+        const table = storage.tables.get('FetchTracker');
+        mock.method(table, 'getEntity', async () => {
+            const error = new Error('Server busy');
+            error.statusCode = 503;
+            throw error;
+        });
+
+        assert.strictEqual(await acquireFetchLease('CFA', { intervalMs: 0 }), null);
+    });
+});
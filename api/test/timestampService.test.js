@@ -0,0 +1,96 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { TIME_ZONES, parseFeedTimestamp, formatZonedTimestamp } = require('../shared/timestampService');
+
+// In 2026 daylight saving ends at 03:00 on 5 April (02:00-02:59 happens twice) and starts at
+// 02:00 on 4 October (02:00-02:59 doesn't happen); Queensland has no daylight saving
+const TRANSITIONS = {
+    // Melbourne, Sydney, Hobart and Canberra: AEDT +11 / AEST +10
+    VIC: {
+        beforeRepeat: ['2026-04-05 01:59', '2026-04-04T14:59:00.000Z'],
+        repeated: ['2026-04-05 02:30', '2026-04-04T15:30:00.000Z'],
+        afterRepeat: ['2026-04-05 03:00', '2026-04-04T17:00:00.000Z'],
+        beforeGap: ['2026-10-04 01:59', '2026-10-03T15:59:00.000Z'],
+        skipped: ['2026-10-04 02:30', '2026-10-03T16:30:00.000Z'],
+        afterGap: ['2026-10-04 03:00', '2026-10-03T16:00:00.000Z']
+    },
+    // Adelaide: ACDT +10:30 / ACST +9:30
+    SA: {
+        beforeRepeat: ['2026-04-05 01:59', '2026-04-04T15:29:00.000Z'],
+        repeated: ['2026-04-05 02:30', '2026-04-04T16:00:00.000Z'],
+        afterRepeat: ['2026-04-05 03:00', '2026-04-04T17:30:00.000Z'],
+        beforeGap: ['2026-10-04 01:59', '2026-10-03T16:29:00.000Z'],
+        skipped: ['2026-10-04 02:30', '2026-10-03T17:00:00.000Z'],
+        afterGap: ['2026-10-04 03:00', '2026-10-03T16:30:00.000Z']
+    },
+    // Brisbane: AEST +10 all year
+    QLD: {
+        beforeRepeat: ['2026-04-05 01:59', '2026-04-04T15:59:00.000Z'],
+        repeated: ['2026-04-05 02:30', '2026-04-04T16:30:00.000Z'],
+        afterRepeat: ['2026-04-05 03:00', '2026-04-04T17:00:00.000Z'],
+        beforeGap: ['2026-10-04 01:59', '2026-10-03T15:59:00.000Z'],
+        skipped: ['2026-10-04 02:30', '2026-10-03T16:30:00.000Z'],
+        afterGap: ['2026-10-04 03:00', '2026-10-03T17:00:00.000Z']
+    }
+};
+TRANSITIONS.NSW = TRANSITIONS.TAS = TRANSITIONS.ACT = TRANSITIONS.VIC;
+
+describe('parseFeedTimestamp across daylight saving changes', () => {
+    for (const [source, timeZone] of Object.entries(TIME_ZONES)) {
+        for (const [name, [local, expected]] of Object.entries(TRANSITIONS[source])) {
+            it(`reads ${local} (${name}) in ${timeZone}`, () => {
+                assert.strictEqual(parseFeedTimestamp(local, timeZone), expected);
+            });
+        }
+    }
+
+    it('uses the earlier (daylight time) instant for a repeated hour in each feed format', () => {
+        const timeZone = TIME_ZONES.VIC;
+        for (const text of ['02:30:00 2026-04-05', '05/04/2026 2:30 AM', '05/04/26 02:30', '5 Apr 2026 02:30', 'Sun, 5 April 2026 2:30:00 AM']) {
+            assert.strictEqual(parseFeedTimestamp(text, timeZone), '2026-04-04T15:30:00.000Z', text);
+        }
+    });
+
+    it('moves a skipped time forward by the gap in each feed format', () => {
+        const timeZone = TIME_ZONES.NSW;
+        for (const text of ['02:30:00 2026-10-04', '04/10/2026 2:30 AM', '4 Oct 2026 02:30']) {
+            assert.strictEqual(parseFeedTimestamp(text, timeZone), '2026-10-03T16:30:00.000Z', text);
+        }
+    });
+});
+
+describe('parseFeedTimestamp with zone abbreviations', () => {
+    it('reads a repeated hour at the offset the abbreviation names', () => {
+        assert.strictEqual(parseFeedTimestamp('05/04/2026 2:30 AM AEDT', TIME_ZONES.VIC), '2026-04-04T15:30:00.000Z');
+        assert.strictEqual(parseFeedTimestamp('05/04/2026 2:30 AM AEST', TIME_ZONES.VIC), '2026-04-04T16:30:00.000Z');
+    });
+
+    it('honours the abbreviation over the source time zone', () => {
+        assert.strictEqual(parseFeedTimestamp('Fri, 16 Jan 2026 14:02:00 AEST', TIME_ZONES.VIC), '2026-01-16T04:02:00.000Z');
+        assert.strictEqual(parseFeedTimestamp('16 Jan 2026 14:02 ACDT', TIME_ZONES.NSW), '2026-01-16T03:32:00.000Z');
+        assert.strictEqual(parseFeedTimestamp('2026-01-16 14:02 ACST', TIME_ZONES.SA), '2026-01-16T04:32:00.000Z');
+        assert.strictEqual(parseFeedTimestamp('16/01/2026 2:02 PM AWST', TIME_ZONES.VIC), '2026-01-16T06:02:00.000Z');
+    });
+
+    it('reads RFC 822 dates with an abbreviation', () => {
+        assert.strictEqual(parseFeedTimestamp('Fri, 16 Jan 2026 14:02:00 AEDT', TIME_ZONES.VIC), '2026-01-16T03:02:00.000Z');
+    });
+
+    it('returns null for abbreviations it does not know', () => {
+        assert.strictEqual(parseFeedTimestamp('16 Jan 2026 14:02 NZDT', TIME_ZONES.VIC), null);
+    });
+
+    it('keeps honouring numeric offsets and GMT', () => {
+        assert.strictEqual(parseFeedTimestamp('Sun, 05 Apr 2026 02:30:00 +1000', TIME_ZONES.VIC), '2026-04-04T16:30:00.000Z');
+        assert.strictEqual(parseFeedTimestamp('Sat, 04 Apr 2026 15:30:00 GMT', TIME_ZONES.VIC), '2026-04-04T15:30:00.000Z');
+    });
+});
+
+describe('formatZonedTimestamp', () => {
+    it('writes the offset in force either side of a change', () => {
+        assert.strictEqual(formatZonedTimestamp('2026-04-04T15:30:00.000Z', TIME_ZONES.VIC), '2026-04-05T02:30:00+11:00');
+        assert.strictEqual(formatZonedTimestamp('2026-04-04T16:30:00.000Z', TIME_ZONES.VIC), '2026-04-05T02:30:00+10:00');
+        assert.strictEqual(formatZonedTimestamp('2026-10-03T16:30:00.000Z', TIME_ZONES.SA), '2026-10-04T03:00:00+10:30');
+    });
+});
@@ -0,0 +1,25 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { inferWarningLevel } = require('../shared/warningService');
+
+describe('inferWarningLevel', () => {
+    it('reads a warning level named in the status', () => {
+        assert.strictEqual(inferWarningLevel({ status: 'Emergency Warning' }), 'emergency');
+        assert.strictEqual(inferWarningLevel({ status: 'Watch and Act' }), 'watchAndAct');
+        assert.strictEqual(inferWarningLevel({ status: 'WATCH & ACT' }), 'watchAndAct');
+    });
+
+    it('does not read words containing ACT as Watch and Act', () => {
+        for (const status of ['Active', 'ACTIVE', 'Contact made', 'Being controlled', 'Not Applicable']) {
+            assert.strictEqual(inferWarningLevel({ status, size: 'Small' }), 'advice', status);
+        }
+    });
+
+    it('falls back to type, size and vehicle heuristics', () => {
+        assert.strictEqual(inferWarningLevel({ type: 'BUSHFIRE', size: 'Unknown', status: 'Active' }), 'watchAndAct');
+        assert.strictEqual(inferWarningLevel({ type: 'GRASS FIRE', size: 'Large' }), 'watchAndAct');
+        assert.strictEqual(inferWarningLevel({ type: 'GRASS FIRE', vehicles: '21' }), 'watchAndAct');
+        assert.strictEqual(inferWarningLevel({ type: 'GRASS FIRE', size: 'Small', vehicles: '3' }), 'advice');
+    });
+});
@@ -8,6 +8,27 @@ let CONFIG = {
     refreshInterval: 60000
 };
 
+// Items requested per page from each feed, newest first ("Show more" asks for the next page)
+const CFA_PAGE_SIZE = 30;
+const EMERGENCY_PAGE_SIZE = 20;
+
+const EMERGENCY_FEED_URL = '/api/getEmergencyFeed';
+
+// Wait for the map to settle after the user moves it before loading the new viewport
+const VIEWPORT_RELOAD_DELAY_MS = 500;
+
+// Live update stream: no sync event for this long means it's down; retry one the browser gave up on after
+const STREAM_TIMEOUT_MS = 90000;
+const STREAM_RETRY_MS = 60000;
+
+// Last response from each feed for the map viewport: refreshes of the same request send
+// If-None-Match with its ETag, limit is how many items are held (pages loaded so far), total
+// is how many match the viewport (X-Total-Count), and version starts the live update stream
+const feedSync = {
+    cfa: { version: null, etag: null, requestUrl: null, items: [], total: 0, pageSize: CFA_PAGE_SIZE, limit: CFA_PAGE_SIZE },
+    emergency: { version: null, etag: null, requestUrl: null, items: [], total: 0, pageSize: EMERGENCY_PAGE_SIZE, limit: EMERGENCY_PAGE_SIZE }
+};
+
 // State
 let map;
 let markers = [];
@@ -16,10 +37,15 @@ let emergencyIncidents = []; // Secondary feed: Emergency Victoria incidents
 let selectedAlertId = null;
 let selectedFeedType = null; // Track which feed the selected alert is from ('cfa' or 'emergency')
 let refreshIntervalId = null;
+let incidentStream = null; // EventSource for /api/stream live updates
+let streamState = { changed: false, watchdogId: null };
+let viewportReloadId = null;
 let userLocation = null;
 let userMarker = null;
 let autoZoomEnabled = true; // Track if auto-zoom is enabled
 let alertToMarkerMap = new Map(); // Maps alert global index to marker
+let expandedThreads = new Set(); // Incident IDs whose message thread is expanded
+let displayedItems = { cfa: [], emergency: [] }; // Items currently listed in the sidebar, for export
 
 // Theme Management
 function initTheme() {
@@ -135,7 +161,8 @@ async function init() {
     // Then initialize the rest of the app
     initMap();
     setupEventListeners();
-    loadAlerts();
+    // Poll until the live update stream is connected
+    loadAlerts().then(startIncidentStream);
     startAutoRefresh();
     
     // Automatically detect user location on startup
@@ -160,6 +187,20 @@ function initMap() {
     });
     
     map.addControl(new mapboxgl.NavigationControl());
+    
+    // Items are requested for the viewport, so load them again when the user moves the map
+    // (not when the app fits the map to the alerts, or auto-zoom would keep reloading)
+    map.on('moveend', event => {
+        if (!event.originalEvent) {
+            return;
+        }
+        clearTimeout(viewportReloadId);
+        viewportReloadId = setTimeout(() => {
+            feedSync.cfa.limit = feedSync.cfa.pageSize;
+            feedSync.emergency.limit = feedSync.emergency.pageSize;
+            loadAlerts();
+        }, VIEWPORT_RELOAD_DELAY_MS);
+    });
 }
 
 // Setup event listeners
@@ -168,6 +209,10 @@ function setupEventListeners() {
         loadAlerts();
     });
     
+    document.getElementById('exportBtn').addEventListener('click', () => {
+        exportDisplayedAlerts(document.getElementById('exportFormat').value);
+    });
+    
     // Toggle button for auto-zoom
     document.getElementById('locateBtn').addEventListener('click', () => {
         toggleAutoZoom();
@@ -188,6 +233,7 @@ function setupEventListeners() {
             document.querySelectorAll('.custom-marker').forEach(marker => {
                 marker.classList.remove('marker-selected');
             });
+            highlightRelatedItems(null);
         }
         
         // Enter or Space on alert cards
@@ -211,6 +257,139 @@ function setupEventListeners() {
     });
 }
 
+// The map viewport as a bbox filter (west,south,east,north), rounded so that tiny moves
+// make the same request
+function getViewportBbox() {
+    if (!map) {
+        return null;
+    }
+    
+    const bounds = map.getBounds();
+    const clamp = (value, limit) => Math.max(-limit, Math.min(limit, value));
+    return [
+        clamp(bounds.getWest(), 180),
+        clamp(bounds.getSouth(), 90),
+        clamp(bounds.getEast(), 180),
+        clamp(bounds.getNorth(), 90)
+    ].map(value => value.toFixed(3)).join(',');
+}
+
+// Request URL for a page of a feed's items in the map viewport, newest first
+function buildFeedUrl(url, limit, offset = 0) {
+    const params = new URLSearchParams({ limit: String(limit) });
+    if (offset > 0) {
+        params.set('offset', String(offset));
+    }
+    const bbox = getViewportBbox();
+    if (bbox) {
+        params.set('bbox', bbox);
+    }
+    return `${url}?${params}`;
+}
+
+// Fetch the newest items of a feed in the map viewport, as many as have been paged in
+// Returns the items, or null if the API returned an error
+async function fetchFeedItems(url, sync) {
+    const requestUrl = buildFeedUrl(url, sync.limit);
+    const headers = {};
+    // The ETag only stands for the same request
+    if (sync.etag && sync.requestUrl === requestUrl) {
+        headers['If-None-Match'] = sync.etag;
+    }
+    
+    const response = await fetch(requestUrl, { headers: headers });
+    if (response.status === 304) {
+        return sync.items;
+    }
+    if (!response.ok) {
+        console.warn(`${url} returned status: ${response.status}`);
+        return null;
+    }
+    
+    sync.items = await response.json();
+    sync.total = parseInt(response.headers.get('X-Total-Count'), 10) || sync.items.length;
+    sync.version = response.headers.get('X-Feed-Version');
+    sync.etag = response.headers.get('ETag');
+    sync.requestUrl = requestUrl;
+    return sync.items;
+}
+
+// Fetch the next page of a feed in the map viewport and add it to the items held
+// Returns the items, or null if the API returned an error
+async function fetchNextFeedPage(url, sync) {
+    const response = await fetch(buildFeedUrl(url, sync.pageSize, sync.items.length));
+    if (!response.ok) {
+        console.warn(`${url} returned status: ${response.status}`);
+        return null;
+    }
+    
+    // Items that moved pages since the last request could come back twice
+    const heldIds = new Set(sync.items.map(item => item.id));
+    const page = await response.json();
+    sync.items = sync.items.concat(page.filter(item => !heldIds.has(item.id)));
+    sync.total = parseInt(response.headers.get('X-Total-Count'), 10) || sync.items.length;
+    sync.limit = Math.max(sync.items.length, sync.pageSize);
+    sync.etag = null;
+    return sync.items;
+}
+
+// Process CFA alerts - these don't have warning levels, just pager alerts
+// The API returns them newest first
+function prepareCFAAlerts(items) {
+    return items.map(alert => ({
+        ...alert,
+        source: 'CFA'
+    }));
+}
+
+// Process Emergency incidents - these have warning levels
+// Note: source property (VIC, NSW, SA...) is already set by the API
+function prepareEmergencyIncidents(items) {
+    return items.slice();
+}
+
+// Load the next page of a feed for the "Show more" button
+async function showMoreItems(feed) {
+    try {
+        if (feed === 'cfa') {
+            const items = await fetchNextFeedPage(CONFIG.apiEndpoint, feedSync.cfa);
+            if (items) {
+                cfaAlerts = prepareCFAAlerts(items);
+            }
+        } else {
+            const items = await fetchNextFeedPage(EMERGENCY_FEED_URL, feedSync.emergency);
+            if (items) {
+                emergencyIncidents = prepareEmergencyIncidents(items);
+            }
+        }
+        renderAlerts();
+    } catch (error) {
+        console.warn(`Failed to load more ${feed} items:`, error);
+    }
+}
+
+// "Show more" button under a feed's list, when the viewport has more items than are loaded
+function buildShowMoreHtml(feed) {
+    const sync = feedSync[feed];
+    const remaining = sync.total - sync.items.length;
+    if (remaining <= 0) {
+        return '';
+    }
+    return `<button class="feed-show-more" onclick="showMoreItems('${feed}')">Show more (${remaining} more)</button>`;
+}
+
+// Show the current feeds in the sidebar and on the map
+function renderAlerts() {
+    displaySeparateFeeds();
+    updateMapWithSeparateFeeds();
+    updateLastUpdate();
+    
+    // Re-apply auto-zoom if enabled and user location is available
+    if (autoZoomEnabled && userLocation) {
+        filterAndUpdateAlerts();
+    }
+}
+
 // Load alerts from the API
 async function loadAlerts() {
     const refreshBtn = document.getElementById('refreshBtn');
@@ -219,31 +398,19 @@ async function loadAlerts() {
     refreshBtn.classList.add('loading');
     refreshBtn.disabled = true;
     
+    // An empty viewport is an answer; only fall back to mock data when neither feed responded
+    let anyFeedLoaded = false;
+    
     try {
         // Fetch CFA alerts (Primary feed)
         try {
             console.log('Fetching CFA pager alerts...');
-            const response = await fetch(CONFIG.apiEndpoint);
-            if (response.ok) {
-                const cfaAlertsData = await response.json();
-                // Process CFA alerts - these don't have warning levels, just pager alerts
-                cfaAlerts = cfaAlertsData.map(alert => ({
-                    ...alert,
-                    source: 'CFA'
-                }));
-                
-                // Sort by timestamp (most recent first)
-                cfaAlerts.sort((a, b) => {
-                    const timeA = new Date(a.timestamp).getTime() || 0;
-                    const timeB = new Date(b.timestamp).getTime() || 0;
-                    return timeB - timeA;
-                });
-                
-                // Limit to 30 most recent CFA alerts
-                cfaAlerts = cfaAlerts.slice(0, 30);
+            const cfaAlertsData = await fetchFeedItems(CONFIG.apiEndpoint, feedSync.cfa);
+            if (cfaAlertsData) {
+                anyFeedLoaded = true;
+                cfaAlerts = prepareCFAAlerts(cfaAlertsData);
                 console.log(`✓ Loaded ${cfaAlerts.length} CFA pager alerts`);
             } else {
-                console.warn(`CFA API returned status: ${response.status}`);
                 cfaAlerts = [];
             }
         } catch (cfaError) {
@@ -253,30 +420,15 @@ async function loadAlerts() {
         
         // Fetch Emergency Victoria incidents (Secondary feed)
         try {
-            console.log('Fetching Emergency VIC and NSW RFS incidents...');
-            const response = await fetch('/api/getEmergencyFeed');
-            if (response.ok) {
-                const emergencyIncidentsData = await response.json();
-                // Process Emergency incidents - these have warning levels
-                // Note: source property (VIC or NSW) is already set by the API
-                emergencyIncidents = emergencyIncidentsData;
+            console.log('Fetching emergency incidents...');
+            const emergencyIncidentsData = await fetchFeedItems(EMERGENCY_FEED_URL, feedSync.emergency);
+            if (emergencyIncidentsData) {
+                anyFeedLoaded = true;
+                emergencyIncidents = prepareEmergencyIncidents(emergencyIncidentsData);
                 
                 // Count by source
-                const vicCount = emergencyIncidents.filter(i => i.source === 'VIC').length;
-                const nswCount = emergencyIncidents.filter(i => i.source === 'NSW').length;
-                console.log(`✓ Loaded ${emergencyIncidents.length} emergency incidents (VIC: ${vicCount}, NSW: ${nswCount})`);
-                
-                // Sort by timestamp (most recent first)
-                emergencyIncidents.sort((a, b) => {
-                    const timeA = new Date(a.timestamp).getTime() || 0;
-                    const timeB = new Date(b.timestamp).getTime() || 0;
-                    return timeB - timeA;
-                });
-                
-                // Limit to 20 most recent Emergency incidents
-                emergencyIncidents = emergencyIncidents.slice(0, 20);
+                console.log(`✓ Loaded ${emergencyIncidents.length} emergency incidents (${formatSourceCounts(emergencyIncidents)})`);
             } else {
-                console.warn(`Emergency API returned status: ${response.status}`);
                 emergencyIncidents = [];
             }
         } catch (emergencyError) {
@@ -285,21 +437,14 @@ async function loadAlerts() {
         }
         
         // If both APIs failed, use mock data
-        if (cfaAlerts.length === 0 && emergencyIncidents.length === 0) {
+        if (!anyFeedLoaded) {
             console.warn('Both APIs unavailable, using mock data');
             const mockData = getMockAlerts();
             cfaAlerts = mockData;
             emergencyIncidents = [];
         }
         
-        displaySeparateFeeds();
-        updateMapWithSeparateFeeds();
-        updateLastUpdate();
-        
-        // Re-apply auto-zoom if enabled and user location is available
-        if (autoZoomEnabled && userLocation) {
-            filterAndUpdateAlerts();
-        }
+        renderAlerts();
         
     } catch (error) {
         console.error('Error loading alerts:', error);
@@ -643,21 +788,28 @@ async function updateMapWithFilteredAlerts(cfaAlertsFiltered, emergencyIncidents
     // Clear existing markers
     clearMapMarkers();
     
+    // Fire perimeters sit underneath the markers
+    updateFirePerimeters(emergencyIncidentsFiltered);
+    
     // Add CFA alert markers
     for (let i = 0; i < cfaAlertsFiltered.length; i++) {
         const alert = cfaAlertsFiltered[i];
         
-        if (alert.coordinates) {
+        // Closed incidents (SAFE, NOT REQUIRED...) are hidden from the map
+        if (alert.coordinates && getIncidentState(alert) !== 'closed') {
             // Use originalIndex if available (for filtered alerts), otherwise use i
             const alertIndex = alert.originalIndex !== undefined ? alert.originalIndex : i;
             
-            // Calculate opacity and color based on age
-            const opacity = calculateAlertOpacity(alert.timestamp, 'advice');
-            const recencyColor = getAlertColorByRecency(alert.timestamp);
+            // Calculate opacity and color based on incident state and age
+            const opacity = calculateIncidentOpacity(alert, 'advice');
+            const recencyColor = getIncidentColor(alert);
             
             // Create custom marker element with pager icon
             const markerEl = document.createElement('div');
-            markerEl.className = 'custom-marker cfa-marker';
+            markerEl.className = `custom-marker cfa-marker marker-${getIncidentState(alert)}`;
+            if (isApproximateLocation(alert)) {
+                markerEl.classList.add('marker-approximate');
+            }
             markerEl.setAttribute('role', 'button');
             markerEl.setAttribute('aria-label', `CFA alert at ${alert.location || 'unknown location'}`);
             markerEl.setAttribute('data-alert-index', `cfa-${alertIndex}`);
@@ -712,6 +864,7 @@ async function updateMapWithFilteredAlerts(cfaAlertsFiltered, emergencyIncidents
                         .setHTML(`
                             <div class="popup-type">📟 CFA Alert</div>
                             <div class="popup-location">${alert.location || 'Location Unknown'}</div>
+                            ${buildApproximateLocationHtml(alert, 'popup-approximate')}
                             <div class="popup-message">${alert.message}</div>
                             <div class="popup-time">${formatTime(alert.timestamp)}</div>
                         `)
@@ -727,19 +880,19 @@ async function updateMapWithFilteredAlerts(cfaAlertsFiltered, emergencyIncidents
     for (let i = 0; i < emergencyIncidentsFiltered.length; i++) {
         const incident = emergencyIncidentsFiltered[i];
         
-        if (incident.coordinates) {
+        if (incident.coordinates && getIncidentState(incident) !== 'closed') {
             // Use originalIndex if available (for filtered alerts), otherwise use i
             const incidentIndex = incident.originalIndex !== undefined ? incident.originalIndex : i;
             
             const warningLevel = incident.warningLevel || 'advice';
             const warningStyle = getWarningStyle(warningLevel);
-            const opacity = calculateAlertOpacity(incident.timestamp, warningLevel);
-            const recencyColor = getAlertColorByRecency(incident.timestamp);
+            const opacity = calculateIncidentOpacity(incident, warningLevel);
+            const recencyColor = getIncidentColor(incident);
             const displayColor = warningLevel === 'emergency' ? warningStyle.color : recencyColor;
             
             // Create custom marker element with triangle icon
             const markerEl = document.createElement('div');
-            markerEl.className = 'custom-marker emergency-marker';
+            markerEl.className = `custom-marker emergency-marker marker-${getIncidentState(incident)}`;
             markerEl.setAttribute('role', 'button');
             markerEl.setAttribute('aria-label', `Emergency incident at ${incident.location || 'unknown location'}`);
             markerEl.setAttribute('data-alert-index', `emergency-${incidentIndex}`);
@@ -802,12 +955,13 @@ async function updateMapWithFilteredAlerts(cfaAlertsFiltered, emergencyIncidents
                         closeOnClick: false
                     })
                         .setHTML(`
-                            <div class="popup-warning" style="background-color: ${warningStyle.color}; color: ${warningStyle.textColor};">${warningStyle.label}</div>
+                            <div class="popup-warning" style="background-color: ${warningStyle.color}; color: ${warningStyle.textColor};">${warningStyle.label} ${buildInferredWarningHtml(incident)}</div>
+                            ${buildWarningActionHtml(incident, 'popup-warning-action')}
                             <div class="popup-location">${incident.location || 'Location Unknown'}</div>
                             ${incident.incidentName ? `<div class="popup-incident-name">${incident.incidentName}</div>` : ''}
                             <div class="popup-message">${incident.message}</div>
                             <div class="popup-time">${formatTime(incident.timestamp)}</div>
-                            <div class="popup-source">Source: ${incident.source === 'NSW' ? 'NSW RFS' : 'Emergency VIC'}</div>
+                            <div class="popup-source">Source: ${getEmergencySourceLabel(incident).name}</div>
                         `)
                 )
                 .addTo(map);
@@ -860,9 +1014,10 @@ function displayCFAAlerts(alertsToDisplay) {
     const alertCount = document.getElementById('cfaAlertCount');
     
     alertCount.textContent = alertsToDisplay.length;
+    displayedItems.cfa = alertsToDisplay;
     
     if (alertsToDisplay.length === 0) {
-        const noAlertsMsg = 'No CFA pager alerts at this time';
+        const noAlertsMsg = 'No CFA pager alerts in this area';
         alertsList.innerHTML = `<div class="no-alerts" role="status">${noAlertsMsg}</div>`;
         return;
     }
@@ -873,12 +1028,22 @@ function displayCFAAlerts(alertsToDisplay) {
             distanceHtml = `<div class="alert-distance">📍 ${alert.distance.toFixed(1)} km away</div>`;
         }
         
-        // Calculate opacity based on age (CFA alerts don't have warning levels)
-        const opacity = calculateAlertOpacity(alert.timestamp, 'advice');
+        // Show which brigades were paged, falling back to the capcode when unknown
+        let brigadesHtml = '';
+        const pagedBrigades = formatPagedBrigades(alert);
+        if (pagedBrigades) {
+            brigadesHtml = `<div class="alert-brigades">Paged: ${pagedBrigades}</div>`;
+        }
+        
+        // Calculate opacity based on state and age (CFA alerts don't have warning levels)
+        const opacity = calculateIncidentOpacity(alert, 'advice');
+        const stateBadgeHtml = buildStateBadgeHtml(alert);
         
         // Use originalIndex if available (for filtered alerts), otherwise use index
         const alertIndex = alert.originalIndex !== undefined ? alert.originalIndex : index;
         
+        const threadHtml = buildAlertThreadHtml(alert, alertIndex);
+        
         return `
             <div class="alert-item cfa-alert" 
                  data-alert-id="${alertIndex}" 
@@ -890,14 +1055,146 @@ function displayCFAAlerts(alertsToDisplay) {
                  style="opacity: ${opacity}; transition: opacity 0.3s ease;">
                 <div class="alert-icon pager-icon" aria-hidden="true">📟</div>
                 <div class="alert-content">
-                    <div class="alert-location">${alert.location || 'Location Unknown'}</div>
+                    <div class="alert-location">${alert.location || 'Location Unknown'} ${stateBadgeHtml}</div>
+                    ${buildApproximateLocationHtml(alert, 'alert-approximate')}
                     <div class="alert-message">${alert.message}</div>
+                    ${brigadesHtml}
                     <div class="alert-time">${formatTime(alert.timestamp)}</div>
                     ${distanceHtml}
+                    ${threadHtml}
                 </div>
             </div>
         `;
-    }).join('');
+    }).join('') + (alertsToDisplay === cfaAlerts ? buildShowMoreHtml('cfa') : '');
+}
+
+// Build the expandable message thread for a CFA incident with more than one message
+function buildAlertThreadHtml(alert, alertIndex) {
+    if (!alert.messages || alert.messages.length < 2) {
+        return '';
+    }
+    
+    const threadKey = alert.incidentId || `cfa-${alertIndex}`;
+    const expanded = expandedThreads.has(threadKey);
+    const updateCount = alert.messages.length - 1;
+    
+    // Newest message first, matching the order of the alert list
+    const itemsHtml = alert.messages.slice().reverse().map(item => `
+        <li class="alert-thread-item">
+            <div class="alert-thread-time">${formatTime(item.timestamp)}${item.status && item.status !== 'ALERT' ? ` · ${item.status}` : ''}</div>
+            <div class="alert-thread-message">${item.message}</div>
+        </li>
+    `).join('');
+    
+    return `
+        <button class="alert-thread-toggle" 
+                onclick="toggleAlertThread(event, '${threadKey}')"
+                aria-expanded="${expanded}">
+            ${expanded ? 'Hide' : 'Show'} ${updateCount} update${updateCount === 1 ? '' : 's'}
+        </button>
+        <ol class="alert-thread${expanded ? ' expanded' : ''}" aria-label="Message timeline">
+            ${itemsHtml}
+        </ol>
+    `;
+}
+
+// Expand or collapse a CFA incident's message thread without selecting the card
+function toggleAlertThread(event, threadKey) {
+    event.stopPropagation();
+    
+    if (expandedThreads.has(threadKey)) {
+        expandedThreads.delete(threadKey);
+    } else {
+        expandedThreads.add(threadKey);
+    }
+    
+    const button = event.currentTarget;
+    const thread = button.nextElementSibling;
+    const expanded = expandedThreads.has(threadKey);
+    const updateCount = thread.children.length - 1;
+    
+    thread.classList.toggle('expanded', expanded);
+    button.setAttribute('aria-expanded', expanded);
+    button.textContent = `${expanded ? 'Hide' : 'Show'} ${updateCount} update${updateCount === 1 ? '' : 's'}`;
+}
+
+// Location matches below this confidence are shown as approximate pins
+const LOW_LOCATION_CONFIDENCE = 0.5;
+
+// Whether an alert's pin is only an approximate position: placed at a map grid cell
+// centre, geocoded to the suburb only, or from a low-confidence location match
+function isApproximateLocation(alert) {
+    if (alert.coordinateSource === 'grid' || alert.geocodePrecision === 'suburb') {
+        return true;
+    }
+    return Boolean(alert.locationMatch && alert.locationMatch.confidence < LOW_LOCATION_CONFIDENCE);
+}
+
+// Build the "approximate location" note shown on cards and popups
+function buildApproximateLocationHtml(alert, className) {
+    if (!alert.coordinates || !isApproximateLocation(alert)) {
+        return '';
+    }
+    
+    let detail = ' (low confidence match)';
+    if (alert.coordinateSource === 'grid') {
+        detail = alert.mapReference ? ` (map grid ${alert.mapReference.text})` : '';
+    } else if (alert.geocodePrecision === 'suburb') {
+        detail = ' (suburb only)';
+    }
+    return `<div class="${className}">≈ Approximate location${detail}</div>`;
+}
+
+// Tag warning levels inferred from incident details rather than an official warning
+function buildInferredWarningHtml(incident) {
+    if (incident.warningLevelSource !== 'heuristic') {
+        return '';
+    }
+    return '<span class="warning-inferred" title="No official warning covers this incident; level inferred from incident size and resources">Inferred</span>';
+}
+
+// Show the official warning's action statement (e.g. "Evacuate Now")
+function buildWarningActionHtml(incident, className) {
+    if (!incident.warningAction) {
+        return '';
+    }
+    return `<div class="${className}">${incident.warningAction}</div>`;
+}
+
+// Build the "Paged:" list for a CFA alert from its brigade directory matches
+function formatPagedBrigades(alert) {
+    if (alert.brigades && alert.brigades.length > 0) {
+        return alert.brigades
+            .map(entry => entry.brigade || entry.capcode)
+            .join(', ');
+    }
+    return alert.capcode || '';
+}
+
+// Badge text and display name for each emergency feed source (incident.source)
+const EMERGENCY_SOURCE_LABELS = {
+    VIC: { badge: 'VIC', name: 'Emergency VIC' },
+    NSW: { badge: 'NSW', name: 'NSW RFS' },
+    SA: { badge: 'SA', name: 'SA CFS' },
+    QLD: { badge: 'QLD', name: 'QLD Fire' },
+    TAS: { badge: 'TAS', name: 'TasALERT' },
+    ACT: { badge: 'ACT', name: 'ACT ESA' },
+    CAP: { badge: 'CAP', name: 'CAP-AU' }
+};
+
+// Get the badge/name for an incident's source, falling back to the raw source code
+function getEmergencySourceLabel(incident) {
+    return EMERGENCY_SOURCE_LABELS[incident.source] || { badge: incident.source || 'VIC', name: incident.source || 'Emergency VIC' };
+}
+
+// Summarise incident counts per source for logging, e.g. "VIC: 12, NSW: 3"
+function formatSourceCounts(incidents) {
+    const counts = {};
+    incidents.forEach(incident => {
+        const badge = getEmergencySourceLabel(incident).badge;
+        counts[badge] = (counts[badge] || 0) + 1;
+    });
+    return Object.entries(counts).map(([badge, count]) => `${badge}: ${count}`).join(', ');
 }
 
 // Display Emergency Victoria incidents with colored AWS triangles
@@ -906,25 +1203,24 @@ function displayEmergencyIncidents(incidentsToDisplay) {
     const incidentCount = document.getElementById('emergencyIncidentCount');
     
     incidentCount.textContent = incidentsToDisplay.length;
+    displayedItems.emergency = incidentsToDisplay;
     
     if (incidentsToDisplay.length === 0) {
-        const noIncidentsMsg = 'No Emergency incidents at this time';
+        const noIncidentsMsg = 'No Emergency incidents in this area';
         incidentsList.innerHTML = `<div class="no-alerts">${noIncidentsMsg}</div>`;
         return;
     }
     
     // Count by source for debugging
-    const vicCount = incidentsToDisplay.filter(i => i.source === 'VIC').length;
-    const nswCount = incidentsToDisplay.filter(i => i.source === 'NSW').length;
-    console.log(`Displaying ${vicCount} VIC incidents and ${nswCount} NSW incidents`);
+    console.log(`Displaying ${incidentsToDisplay.length} emergency incidents (${formatSourceCounts(incidentsToDisplay)})`);
     
     incidentsList.innerHTML = incidentsToDisplay.map((incident, index) => {
         // Get warning level styling
         const warningLevel = incident.warningLevel || 'advice';
         const warningStyle = getWarningStyle(warningLevel);
         
-        // Calculate opacity based on age and warning level
-        const opacity = calculateAlertOpacity(incident.timestamp, warningLevel);
+        // Calculate opacity based on state, age and warning level
+        const opacity = calculateIncidentOpacity(incident, warningLevel);
         
         let distanceHtml = '';
         if (incident.distance !== undefined) {
@@ -938,7 +1234,7 @@ function displayEmergencyIncidents(incidentsToDisplay) {
         }
         
         // Add source badge with agency info
-        const sourceLabel = incident.source === 'NSW' ? 'NSW' : 'VIC';
+        const sourceLabel = getEmergencySourceLabel(incident).badge;
         const agencyInfo = incident.agency || 'Unknown';
         const sourceBadge = `<span class="source-badge source-${sourceLabel.toLowerCase()}" title="${agencyInfo}">${sourceLabel}</span>`;
         
@@ -957,7 +1253,8 @@ function displayEmergencyIncidents(incidentsToDisplay) {
                  style="border-left-color: ${warningStyle.color}; opacity: ${opacity}; transition: opacity 0.3s ease;">
                 <div class="alert-icon triangle-icon" style="color: ${warningStyle.color};" aria-hidden="true">▲</div>
                 <div class="alert-content">
-                    <div class="alert-warning-badge">${warningStyle.label} ${sourceBadge}</div>
+                    <div class="alert-warning-badge">${warningStyle.label} ${buildInferredWarningHtml(incident)} ${sourceBadge}</div>
+                    ${buildWarningActionHtml(incident, 'alert-warning-action')}
                     <div class="alert-location" style="color: ${warningStyle.color};">${incident.location || 'Location Unknown'}</div>
                     ${incidentNameHtml}
                     <div class="alert-message">${incident.message}</div>
@@ -966,7 +1263,7 @@ function displayEmergencyIncidents(incidentsToDisplay) {
                 </div>
             </div>
         `;
-    }).join('');
+    }).join('') + (incidentsToDisplay === emergencyIncidents ? buildShowMoreHtml('emergency') : '');
 }
 
 // Select a CFA alert
@@ -1011,6 +1308,9 @@ function selectCFAAlert(index) {
         marker.togglePopup();
     }
     
+    // Highlight the matching emergency incident, if any
+    highlightRelatedItems(alert);
+    
     // Show route if user location available
     if (userLocation && alert.coordinates) {
         displayRouteForAlert(alert);
@@ -1059,12 +1359,49 @@ function selectEmergencyIncident(index) {
         marker.togglePopup();
     }
     
+    // Highlight the matching CFA pager incident, if any
+    highlightRelatedItems(incident);
+    
     // Show route if user location available
     if (userLocation && incident.coordinates) {
         displayRouteForAlert(incident);
     }
 }
 
+// Highlight the items linked to the selected one (relatedIds) in the other list and on the map
+// Pass null to clear the highlight
+function highlightRelatedItems(item) {
+    document.querySelectorAll('.alert-item.related').forEach(card => {
+        card.classList.remove('related');
+    });
+    document.querySelectorAll('.custom-marker.marker-related').forEach(m => {
+        m.classList.remove('marker-related');
+    });
+    
+    if (!item || !item.relatedIds || item.relatedIds.length === 0) {
+        return;
+    }
+    
+    const feeds = [
+        { type: 'cfa', items: cfaAlerts, cardClass: 'cfa-alert' },
+        { type: 'emergency', items: emergencyIncidents, cardClass: 'emergency-incident' }
+    ];
+    
+    feeds.forEach(feed => {
+        feed.items.forEach((related, index) => {
+            if (!related.id || !item.relatedIds.includes(related.id)) return;
+            
+            document.querySelector(`.${feed.cardClass}[data-alert-id="${index}"]`)?.classList.add('related');
+            
+            const marker = alertToMarkerMap.get(`${feed.type}-${index}`);
+            const markerEl = marker ? marker.getElement() : null;
+            if (markerEl) {
+                markerEl.classList.add('marker-related');
+            }
+        });
+    });
+}
+
 // Display route for a specific alert (helper function)
 async function displayRouteForAlert(alert) {
     if (!userLocation || !alert.coordinates) {
@@ -1107,25 +1444,83 @@ async function displayRouteForAlert(alert) {
     }
 }
 
+// Draw fire-ground perimeters (e.g. NSW RFS polygons) as a fill layer coloured by warning level
+function updateFirePerimeters(incidents) {
+    if (!map) {
+        return;
+    }
+    
+    // Layers can only be added once the style has loaded (also after a theme change)
+    if (!map.isStyleLoaded()) {
+        map.once('idle', () => updateFirePerimeters(incidents));
+        return;
+    }
+    
+    const features = incidents
+        .filter(incident => incident.perimeter && getIncidentState(incident) !== 'closed')
+        .map(incident => ({
+            type: 'Feature',
+            properties: {
+                color: getWarningStyle(incident.warningLevel || 'advice').color,
+                opacity: calculateIncidentOpacity(incident, incident.warningLevel || 'advice')
+            },
+            geometry: incident.perimeter
+        }));
+    
+    const data = { type: 'FeatureCollection', features: features };
+    
+    if (map.getSource('fire-perimeters')) {
+        map.getSource('fire-perimeters').setData(data);
+        return;
+    }
+    
+    map.addSource('fire-perimeters', { type: 'geojson', data: data });
+    map.addLayer({
+        id: 'fire-perimeters-fill',
+        type: 'fill',
+        source: 'fire-perimeters',
+        paint: {
+            'fill-color': ['get', 'color'],
+            'fill-opacity': ['*', ['get', 'opacity'], 0.35]
+        }
+    });
+    map.addLayer({
+        id: 'fire-perimeters-outline',
+        type: 'line',
+        source: 'fire-perimeters',
+        paint: {
+            'line-color': ['get', 'color'],
+            'line-width': 2,
+            'line-opacity': ['get', 'opacity']
+        }
+    });
+}
+
 // Update map with separate feeds
 async function updateMapWithSeparateFeeds() {
     // Clear existing markers
     clearMapMarkers();
     
+    // Fire perimeters sit underneath the markers
+    updateFirePerimeters(emergencyIncidents);
+    
     // Add CFA alert markers with pager icon
     for (let i = 0; i < cfaAlerts.length; i++) {
         const alert = cfaAlerts[i];
         
         // Backend now handles geocoding, so coordinates should already be present
-        // Skip alerts without coordinates
-        if (alert.coordinates) {
-            // Calculate opacity and color based on age
-            const opacity = calculateAlertOpacity(alert.timestamp, 'advice');
-            const recencyColor = getAlertColorByRecency(alert.timestamp);
+        // Skip alerts without coordinates, and hide closed incidents (SAFE, NOT REQUIRED...)
+        if (alert.coordinates && getIncidentState(alert) !== 'closed') {
+            // Calculate opacity and color based on incident state and age
+            const opacity = calculateIncidentOpacity(alert, 'advice');
+            const recencyColor = getIncidentColor(alert);
             
             // Create custom marker element with pager icon
             const markerEl = document.createElement('div');
-            markerEl.className = 'custom-marker cfa-marker';
+            markerEl.className = `custom-marker cfa-marker marker-${getIncidentState(alert)}`;
+            if (isApproximateLocation(alert)) {
+                markerEl.classList.add('marker-approximate');
+            }
             markerEl.setAttribute('role', 'button');
             markerEl.setAttribute('aria-label', `CFA alert at ${alert.location || 'unknown location'}`);
             markerEl.setAttribute('data-alert-index', `cfa-${i}`);
@@ -1183,6 +1578,7 @@ async function updateMapWithSeparateFeeds() {
                         .setHTML(`
                             <div class="popup-type">📟 CFA Alert</div>
                             <div class="popup-location">${alert.location || 'Location Unknown'}</div>
+                            ${buildApproximateLocationHtml(alert, 'popup-approximate')}
                             <div class="popup-message">${alert.message}</div>
                             <div class="popup-time">${formatTime(alert.timestamp)}</div>
                         `)
@@ -1198,14 +1594,14 @@ async function updateMapWithSeparateFeeds() {
     for (let i = 0; i < emergencyIncidents.length; i++) {
         const incident = emergencyIncidents[i];
         
-        if (incident.coordinates) {
+        if (incident.coordinates && getIncidentState(incident) !== 'closed') {
             // Determine warning level and get appropriate styling
             const warningLevel = incident.warningLevel || 'advice';
             const warningStyle = getWarningStyle(warningLevel);
             
             // Calculate opacity and recency color based on age
-            const opacity = calculateAlertOpacity(incident.timestamp, warningLevel);
-            const recencyColor = getAlertColorByRecency(incident.timestamp);
+            const opacity = calculateIncidentOpacity(incident, warningLevel);
+            const recencyColor = getIncidentColor(incident);
             
             // For emergency warnings, prioritize official warning color for safety
             // For lower severity (watch & act, advice), use recency color to show age
@@ -1214,7 +1610,7 @@ async function updateMapWithSeparateFeeds() {
             
             // Create custom marker element with triangle icon
             const markerEl = document.createElement('div');
-            markerEl.className = 'custom-marker emergency-marker';
+            markerEl.className = `custom-marker emergency-marker marker-${getIncidentState(incident)}`;
             markerEl.setAttribute('role', 'button');
             markerEl.setAttribute('aria-label', `Emergency incident at ${incident.location || 'unknown location'}`);
             markerEl.setAttribute('data-alert-index', `emergency-${i}`);
@@ -1280,12 +1676,13 @@ async function updateMapWithSeparateFeeds() {
                         closeOnClick: false
                     })
                         .setHTML(`
-                            <div class="popup-warning" style="background-color: ${warningStyle.color}; color: ${warningStyle.textColor};">${warningStyle.label}</div>
+                            <div class="popup-warning" style="background-color: ${warningStyle.color}; color: ${warningStyle.textColor};">${warningStyle.label} ${buildInferredWarningHtml(incident)}</div>
+                            ${buildWarningActionHtml(incident, 'popup-warning-action')}
                             <div class="popup-location">${incident.location || 'Location Unknown'}</div>
                             ${incident.incidentName ? `<div class="popup-incident-name">${incident.incidentName}</div>` : ''}
                             <div class="popup-message">${incident.message}</div>
                             <div class="popup-time">${formatTime(incident.timestamp)}</div>
-                            <div class="popup-source">Source: ${incident.source === 'NSW' ? 'NSW RFS' : 'Emergency VIC'}</div>
+                            <div class="popup-source">Source: ${getEmergencySourceLabel(incident).name}</div>
                         `)
                 )
                 .addTo(map);
@@ -1311,6 +1708,46 @@ function updateLastUpdate() {
     lastUpdate.textContent = `Last updated: ${new Date().toLocaleTimeString()}`;
 }
 
+// Download the alerts currently listed (all, or the nearest when auto-zoom is on) as KML or GPX
+async function exportDisplayedAlerts(format) {
+    const ids = displayedItems.cfa.concat(displayedItems.emergency)
+        .map(item => item.id)
+        .filter(Boolean);
+    
+    const exportStatus = document.getElementById('exportStatus');
+    if (ids.length === 0) {
+        exportStatus.textContent = 'No alerts to export';
+        return;
+    }
+    
+    const exportBtn = document.getElementById('exportBtn');
+    exportBtn.disabled = true;
+    exportStatus.textContent = '';
+    
+    try {
+        const response = await fetch(`/api/feed.${format}?ids=${encodeURIComponent(ids.join(','))}`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const blob = await response.blob();
+        const stamp = new Date().toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `fire-alerts-${stamp}.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(link.href);
+        exportStatus.textContent = `Exported ${ids.length} alerts`;
+    } catch (error) {
+        console.error('Error exporting alerts:', error);
+        exportStatus.textContent = 'Export failed. Please try again.';
+    } finally {
+        exportBtn.disabled = false;
+    }
+}
+
 // Format timestamp
 function formatTime(timestamp) {
     if (!timestamp) return 'Unknown time';
@@ -1431,6 +1868,70 @@ function getAlertColorByRecency(timestamp) {
     }
 }
 
+/**
+ * Get the lifecycle state of an incident
+ * CFA incidents carry a state derived from STOP / UNDER CONTROL / SAFE messages;
+ * anything without one is treated as active
+ * @param {object} item - CFA alert or emergency incident
+ * @returns {string} 'active', 'contained', or 'closed'
+ */
+function getIncidentState(item) {
+    return item.state || 'active';
+}
+
+/**
+ * Calculate opacity for an incident based on its state
+ * Contained and closed incidents are greyed out at a fixed opacity;
+ * active incidents fade by age via calculateAlertOpacity
+ * @param {object} item - CFA alert or emergency incident
+ * @param {string} warningLevel - 'advice', 'watchAndAct', or 'emergency'
+ * @returns {number} Opacity value between 0.3 and 1.0
+ */
+function calculateIncidentOpacity(item, warningLevel) {
+    const OPACITY_CONTAINED = 0.5;
+    const OPACITY_CLOSED = 0.3;
+    
+    const state = getIncidentState(item);
+    if (state === 'closed') {
+        return OPACITY_CLOSED;
+    }
+    if (state === 'contained') {
+        return OPACITY_CONTAINED;
+    }
+    return calculateAlertOpacity(item.timestamp, warningLevel);
+}
+
+/**
+ * Get marker color for an incident
+ * Contained and closed incidents are grey; active incidents use the recency color
+ * @param {object} item - CFA alert or emergency incident
+ * @returns {string} Hex color code
+ */
+function getIncidentColor(item) {
+    const COLOR_INACTIVE = '#95A5A6'; // Gray
+    
+    if (getIncidentState(item) !== 'active') {
+        return COLOR_INACTIVE;
+    }
+    return getAlertColorByRecency(item.timestamp);
+}
+
+/**
+ * Build a small badge showing a non-active incident state
+ * @param {object} item - CFA alert or emergency incident
+ * @returns {string} Badge HTML, empty for active incidents
+ */
+function buildStateBadgeHtml(item) {
+    const state = getIncidentState(item);
+    if (state === 'active') {
+        return '';
+    }
+    
+    const label = state === 'contained' ? 'Contained' : 'Closed';
+    const title = item.status ? ` title="${item.status}"` : '';
+    return `<span class="alert-state-badge state-${state}"${title}>${label}</span>`;
+}
+
 // Show error message
 function showError(message) {
     // Show error in both feed sections
@@ -1496,6 +1997,58 @@ function stopAutoRefresh() {
     }
 }
 
+// Live updates from /api/stream (Server-Sent Events). Changes are pushed as the backend sees
+// them, and polling (startAutoRefresh) only runs while the stream is down
+function startIncidentStream() {
+    if (!window.EventSource) {
+        return;
+    }
+    
+    // The stream sends changes since our versions; on reconnect the browser sends Last-Event-ID instead
+    const url = `/api/stream?cfa=${feedSync.cfa.version || ''}&emergency=${feedSync.emergency.version || ''}`;
+    incidentStream = new EventSource(url);
+    
+    // The stream reports changes anywhere in the feeds (or a reset, when our version is too old
+    // to diff against); the items shown are a page of the map viewport, so fetch that again
+    const markChanged = () => {
+        streamState.changed = true;
+    };
+    for (const type of ['incident.added', 'incident.updated', 'incident.removed', 'feed.reset']) {
+        incidentStream.addEventListener(type, markChanged);
+    }
+    
+    incidentStream.addEventListener('sync', handleStreamSync);
+    
+    incidentStream.onerror = () => {
+        // EventSource reconnects by itself after each window; CLOSED means it has given up
+        // (e.g. the API is unavailable or has no storage for feed versions)
+        if (incidentStream.readyState === EventSource.CLOSED) {
+            console.warn('Live updates unavailable, polling instead');
+            incidentStream = null;
+            clearTimeout(streamState.watchdogId);
+            if (!refreshIntervalId) {
+                startAutoRefresh();
+            }
+            setTimeout(startIncidentStream, STREAM_RETRY_MS);
+        }
+    };
+}
+
+// End of a stream window: show what changed and stop polling while the stream is healthy
+function handleStreamSync() {
+    stopAutoRefresh();
+    clearTimeout(streamState.watchdogId);
+    streamState.watchdogId = setTimeout(() => {
+        console.warn('Live updates stalled, polling instead');
+        startAutoRefresh();
+    }, STREAM_TIMEOUT_MS);
+    
+    if (streamState.changed) {
+        streamState.changed = false;
+        loadAlerts();
+    }
+}
+
 // Initialize when DOM is ready
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);